@@ -0,0 +1,545 @@
+import React, { useState, useEffect } from "react";
+import { Archive, ArchiveRestore, Pencil, Scale, Trash2 } from "lucide-react";
+import { useTransactions } from "../components/TransactionContext";
+import { toDateKey, parseDateKey } from "../utils/recurrence";
+import { parseMoney, toInputValue } from "../utils/money";
+
+const KIND_LABELS = {
+  cash: "Cash",
+  bank: "Bank / Debit card",
+  credit: "Credit card",
+};
+
+/**
+ * AccountsManager Component
+ *
+ * A modal for managing accounts/wallets (cash, debit card, credit card...).
+ * Features include:
+ * - List of accounts with their current running balance
+ * - Add / edit an account (name, kind, opening balance)
+ * - Archive / restore an account (hidden from new transactions, history kept)
+ * - Delete an account that has no transactions
+ * - Reconcile an account against a statement balance
+ *
+ * Reconciliation:
+ * The user enters the statement's closing date and balance; the app's
+ * balance at the end of that day is shown next to it with the difference.
+ * Recording the check stores it as the account's lastReconciliation; the
+ * user may also absorb the difference into the opening balance.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Controls modal visibility
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Function} props.showMessage - Display toast notification (message, isError)
+ * @param {Function} props.showConfirm - Display confirmation dialog (message, callback, options)
+ *
+ * @returns {JSX.Element|null} Modal component or null if not open
+ */
+const AccountsManager = ({ isOpen, onClose, showMessage, showConfirm }) => {
+  const {
+    accounts,
+    addAccount,
+    updateAccount,
+    deleteAccount,
+    reconcileAccount,
+    getAccountBalances,
+    getAccountTransactions,
+    baseCurrency,
+    currencyStep,
+    formatMoney,
+  } = useTransactions();
+
+  // ==================== View State ====================
+  // Account being added or edited (null = not in the form)
+  // { id: string | null, name, kind, openingBalance } — balance kept as a string
+  const [form, setForm] = useState(null);
+  // Account being reconciled (null = not reconciling)
+  // { account, statementDate: "YYYY-MM-DD", statementBalance: string }
+  const [reconcile, setReconcile] = useState(null);
+
+  // Return to the list view whenever the modal is reopened
+  useEffect(() => {
+    if (isOpen) {
+      setForm(null);
+      setReconcile(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const balances = getAccountBalances();
+
+  const updateForm = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  /**
+   * Form submission handler (add or edit)
+   *
+   * Validates:
+   * - Name is not empty and not used by another account
+   * - Opening balance is a number (may be negative, e.g. a credit card debt)
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const name = form.name.trim();
+    const openingBalance =
+      form.openingBalance === ""
+        ? 0
+        : parseMoney(form.openingBalance, baseCurrency);
+
+    if (!name || openingBalance === null) {
+      showMessage("Please enter a name and a valid opening balance.", true);
+      return;
+    }
+    if (accounts.some((a) => a.id !== form.id && a.name === name)) {
+      showMessage(`An account named '${name}' already exists.`, true);
+      return;
+    }
+
+    const account = { name, kind: form.kind, openingBalance };
+    const success = form.id
+      ? await updateAccount(form.id, account)
+      : await addAccount(account);
+
+    if (success) {
+      showMessage(
+        form.id ? `Account '${name}' updated.` : `Account '${name}' added.`
+      );
+      setForm(null);
+    } else {
+      showMessage("Error saving account.", true);
+    }
+  };
+
+  /**
+   * Handler for archiving or restoring an account
+   */
+  const handleToggleArchived = async (account) => {
+    const success = await updateAccount(account.id, {
+      archived: !account.archived,
+    });
+    if (!success) {
+      showMessage("Error updating account.", true);
+    }
+  };
+
+  /**
+   * Handler for deleting an account with user confirmation.
+   * Accounts with transactions can only be archived.
+   */
+  const handleDelete = (account) => {
+    const count = getAccountTransactions(account.id).length;
+    if (count > 0) {
+      showMessage(
+        `'${account.name}' has ${count} transaction(s). Archive it instead to keep its history.`,
+        true
+      );
+      return;
+    }
+    showConfirm(`Delete the account '${account.name}'?`, async () => {
+      const success = await deleteAccount(account.id);
+      if (success) {
+        showMessage(`Account '${account.name}' deleted.`);
+      } else {
+        showMessage(`Error deleting account '${account.name}'.`, true);
+      }
+    });
+  };
+
+  // ==================== Reconciliation ====================
+  // App balance at the end of the statement day and the difference to the
+  // statement; null until a valid statement balance is entered
+  const statementBalance = reconcile
+    ? parseMoney(reconcile.statementBalance, baseCurrency)
+    : null;
+  let computedBalance = null;
+  let difference = null;
+  if (reconcile && reconcile.statementDate) {
+    const asOf = parseDateKey(reconcile.statementDate);
+    asOf.setHours(23, 59, 59, 999);
+    computedBalance = getAccountBalances(asOf)[reconcile.account.id];
+    if (statementBalance !== null) {
+      difference = statementBalance - computedBalance;
+    }
+  }
+
+  /**
+   * Record the reconciliation, optionally adjusting the opening balance
+   * by the difference so the account matches the statement
+   */
+  const handleReconcile = async (adjustOpeningBalance) => {
+    if (difference === null) {
+      showMessage("Please enter the statement date and balance.", true);
+      return;
+    }
+    const { account } = reconcile;
+    const success = await reconcileAccount(
+      account.id,
+      reconcile.statementDate,
+      statementBalance,
+      { adjustOpeningBalance }
+    );
+    if (!success) {
+      showMessage(`Error reconciling '${account.name}'.`, true);
+      return;
+    }
+    showMessage(
+      difference === 0
+        ? `'${account.name}' matches the statement.`
+        : adjustOpeningBalance
+          ? `'${account.name}' adjusted by ${formatMoney(difference)} to match the statement.`
+          : `Reconciliation recorded with a difference of ${formatMoney(difference)}.`
+    );
+    setReconcile(null);
+  };
+
+  const inputClass =
+    "w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-1";
+
+  // Active accounts first, then archived ones
+  const sortedAccounts = [...accounts].sort(
+    (a, b) => Number(!!a.archived) - Number(!!b.archived)
+  );
+
+  // ==================== Component Render ====================
+  return (
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto flex-shrink-0">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">
+            {form
+              ? form.id
+                ? "Edit Account"
+                : "Add Account"
+              : reconcile
+                ? `Reconcile ${reconcile.account.name}`
+                : "Accounts"}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              fill="none"
+              viewBox="0 0 24 24"
+              strokeWidth="2"
+              stroke="currentColor"
+              className="w-6 h-6"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        {form ? (
+          // ==================== Add / Edit Form ====================
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label htmlFor="accountName" className={labelClass}>
+                Name
+              </label>
+              <input
+                type="text"
+                id="accountName"
+                value={form.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                required
+                className={inputClass}
+                placeholder="e.g., Cash Wallet, Visa Card"
+              />
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor="accountKind" className={labelClass}>
+                Kind
+              </label>
+              <select
+                id="accountKind"
+                value={form.kind}
+                onChange={(e) => updateForm({ kind: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                  <option key={kind} value={kind}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Opening balance - negative for an amount owed on a credit card */}
+            <div className="mb-4">
+              <label htmlFor="accountOpening" className={labelClass}>
+                Opening Balance ({baseCurrency})
+              </label>
+              <input
+                type="number"
+                id="accountOpening"
+                value={form.openingBalance}
+                onChange={(e) => updateForm({ openingBalance: e.target.value })}
+                step={currencyStep}
+                className={inputClass}
+                placeholder="0.00"
+              />
+              {form.kind === "credit" && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Enter an amount already owed as a negative number.
+                </p>
+              )}
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition-colors"
+              >
+                {form.id ? "Save Changes" : "Add Account"}
+              </button>
+            </div>
+          </form>
+        ) : reconcile ? (
+          // ==================== Reconcile Form ====================
+          <div>
+            <div className="mb-4 grid grid-cols-2 gap-2">
+              <div>
+                <label htmlFor="statementDate" className={labelClass}>
+                  Statement date
+                </label>
+                <input
+                  type="date"
+                  id="statementDate"
+                  value={reconcile.statementDate}
+                  onChange={(e) =>
+                    setReconcile((prev) => ({
+                      ...prev,
+                      statementDate: e.target.value,
+                    }))
+                  }
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label htmlFor="statementBalance" className={labelClass}>
+                  Statement balance
+                </label>
+                <input
+                  type="number"
+                  id="statementBalance"
+                  value={reconcile.statementBalance}
+                  onChange={(e) =>
+                    setReconcile((prev) => ({
+                      ...prev,
+                      statementBalance: e.target.value,
+                    }))
+                  }
+                  step={currencyStep}
+                  className={inputClass}
+                  placeholder="0.00"
+                />
+              </div>
+            </div>
+
+            {/* Comparison with the app's balance on the statement date */}
+            {computedBalance !== null && (
+              <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Balance in app</span>
+                  <span className="font-medium">
+                    {formatMoney(computedBalance)}
+                  </span>
+                </div>
+                {difference !== null && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Difference</span>
+                    <span
+                      className={`font-bold ${
+                        difference === 0 ? "text-green-600" : "text-red-600"
+                      }`}
+                    >
+                      {difference === 0 ? "Balanced" : formatMoney(difference)}
+                    </span>
+                  </div>
+                )}
+              </div>
+            )}
+            {difference !== null && difference !== 0 && (
+              <p className="mb-4 text-xs text-gray-500">
+                Look for missing or duplicated transactions up to the statement
+                date, or adjust the opening balance to accept the statement.
+              </p>
+            )}
+
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setReconcile(null)}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={() => handleReconcile(false)}
+                className="flex-1 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition-colors"
+              >
+                Record
+              </button>
+            </div>
+            {difference !== null && difference !== 0 && (
+              <button
+                type="button"
+                onClick={() => handleReconcile(true)}
+                className="w-full mt-2 text-blue-600 hover:text-blue-800 font-semibold text-sm py-2 px-4 rounded-lg border border-blue-600 hover:border-blue-800 transition-colors"
+              >
+                Record and adjust opening balance
+              </button>
+            )}
+          </div>
+        ) : (
+          // ==================== Account List ====================
+          <div>
+            <ul className="space-y-3 mb-4">
+              {sortedAccounts.map((account) => {
+                const balance = balances[account.id] ?? 0;
+                const last = account.lastReconciliation;
+                return (
+                  <li
+                    key={account.id}
+                    className={`p-3 border rounded-lg shadow-sm ${
+                      account.archived
+                        ? "bg-gray-50 border-gray-200"
+                        : "bg-white border-gray-300"
+                    }`}
+                  >
+                    <div className="flex justify-between items-start">
+                      <div>
+                        <p className="font-medium text-gray-800">
+                          {account.name}
+                          {account.archived && (
+                            <span className="ml-2 text-xs text-gray-400">
+                              (Archived)
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {KIND_LABELS[account.kind] || account.kind}
+                        </p>
+                      </div>
+                      <span
+                        className={`font-bold ${
+                          balance >= 0 ? "text-blue-600" : "text-red-600"
+                        }`}
+                      >
+                        {formatMoney(balance)}
+                      </span>
+                    </div>
+
+                    {last && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        Reconciled to{" "}
+                        {parseDateKey(last.date).toLocaleDateString("default", {
+                          month: "short",
+                          day: "numeric",
+                          year: "numeric",
+                        })}
+                        {last.difference === 0 || last.adjusted
+                          ? " — balanced"
+                          : ` — off by ${formatMoney(last.difference)}`}
+                      </p>
+                    )}
+
+                    <div className="mt-2 flex justify-end items-center space-x-1">
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setReconcile({
+                            account,
+                            statementDate: toDateKey(new Date()),
+                            statementBalance: "",
+                          })
+                        }
+                        className="text-gray-500 hover:text-gray-700 p-1 rounded-full"
+                        title="Reconcile"
+                      >
+                        <Scale className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleToggleArchived(account)}
+                        className="text-gray-500 hover:text-gray-700 p-1 rounded-full"
+                        title={account.archived ? "Restore" : "Archive"}
+                      >
+                        {account.archived ? (
+                          <ArchiveRestore className="h-4 w-4" />
+                        ) : (
+                          <Archive className="h-4 w-4" />
+                        )}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setForm({
+                            id: account.id,
+                            name: account.name,
+                            kind: account.kind || "bank",
+                            openingBalance: toInputValue(
+                              account.openingBalance || 0,
+                              baseCurrency
+                            ),
+                          })
+                        }
+                        className="text-blue-500 hover:text-blue-700 p-1 rounded-full"
+                        title="Edit"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(account)}
+                        className="text-red-500 hover:text-red-700 p-1 rounded-full"
+                        title="Delete"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+
+            <button
+              type="button"
+              onClick={() =>
+                setForm({
+                  id: null,
+                  name: "",
+                  kind: "cash",
+                  openingBalance: "",
+                })
+              }
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition-colors"
+            >
+              Add Account
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountsManager;
@@ -1,16 +1,35 @@
 import React, { useState, useEffect } from "react";
 import { useTransactions } from "../components/TransactionContext";
+import { buildCategorySummary } from "../utils/summary";
+import { DEFAULT_ACCOUNT_ID, getAccountId } from "../utils/accounts";
+import { SUPPORTED_CURRENCIES, getCurrencyStep } from "../utils/currency";
+import {
+  formatMoney as formatInCurrency,
+  parseMoney,
+  toInputValue,
+} from "../utils/money";
+import { convertToBase, isValidRate } from "../utils/exchange";
+import { ROLLOVER_POLICIES, getRolloverPolicy } from "../utils/rollover";
+import { toDateKey } from "../utils/recurrence";
 
 /**
  * AddTransactionModal Component
  *
- * A modal dialog for adding new income or expense transactions.
+ * A modal dialog for adding new income, expense or transfer transactions, or
+ * editing an existing one when `transactionToEdit` is provided.
  * Features include:
- * - Type selection (income/expense)
- * - Amount and category input
+ * - Type selection (income/expense/transfer)
+ * - Amount and category input (a transfer picks a "from" and a "to" category)
+ * - Account selection (cash, debit card, credit card...) for income and expenses
+ * - Foreign currency entry: amount as paid plus an exchange rate (pre-filled
+ *   from the local rate table); the converted base amount is what gets counted
+ * - Split mode: one income/expense divided across several category lines
+ *   that must add up to the amount
  * - Optional description and date picker
  * - Real-time category summary display
- * - Category management (add/delete) for income type
+ * - Category management (add/rename/archive/delete) for income type
+ *   Deleting asks whether to reassign, archive, or delete the category's transactions
+ * - "Recalculate Totals" repair of category counters (diff shown before writing)
  *
  * @component
  * @param {Object} props
@@ -19,6 +38,7 @@ import { useTransactions } from "../components/TransactionContext";
  * @param {Function} props.showMessage - Display toast notification (message, isError)
  * @param {Function} props.showConfirm - Display confirmation dialog (message, callback)
  * @param {Array|Object} props.filteredTransactions - Transactions for current cycle (used to calculate summary)
+ * @param {Object|null} [props.transactionToEdit] - Existing transaction to edit; null/undefined opens in add mode
  *
  * @returns {JSX.Element|null} Modal component or null if not open
  */
@@ -28,17 +48,53 @@ const AddTransactionModal = ({
   showMessage,
   showConfirm,
   filteredTransactions,
+  transactionToEdit = null,
 }) => {
-  const { userCategories, addTransaction, addCategory, deleteCategory } =
-    useTransactions();
+  const {
+    userCategories,
+    accounts,
+    baseCurrency,
+    currencyStep,
+    formatMoney,
+    exchangeRates,
+    setExchangeRates,
+    addTransaction,
+    updateTransaction,
+    addCategory,
+    renameCategory,
+    deleteCategory,
+    setCategoryArchived,
+    setCategoryRollover,
+    getCategoryTransactions,
+    recalculateCategoryTotals,
+    applyCategoryTotals,
+  } = useTransactions();
+
+  // Edit mode is active whenever an existing transaction was handed in
+  const isEditing = Boolean(transactionToEdit);
 
   // ==================== Form State ====================
-  // Tracks the transaction type: 'income' or 'expense'
+  // Tracks the transaction type: 'income', 'expense' or 'transfer'
   const [type, setType] = useState("expense");
   // Amount input as string (converted to number on submit)
   const [amount, setAmount] = useState("");
   // Selected category name (string, used as lookup key)
+  // For a transfer this is the category the money comes from
   const [category, setCategory] = useState("");
+  // Transfer only: name of the category the money goes to
+  const [toCategory, setToCategory] = useState("");
+  // Split lines: [{ category: string, amount: string }, ...]
+  // Empty = the whole amount goes to `category`
+  const [splitLines, setSplitLines] = useState([]);
+  const isSplitting = splitLines.length > 0;
+  // Account ID the transaction is posted to ("" = the default account below)
+  const [accountId, setAccountId] = useState("");
+  // Currency the amount (and split lines) are entered in ("" = base currency)
+  const [currency, setCurrency] = useState("");
+  // Foreign currency only: base units per 1 foreign unit, as typed
+  const [rateInput, setRateInput] = useState("");
+  // Foreign currency only: also store the rate in the local rate table
+  const [saveRate, setSaveRate] = useState(false);
   // Transaction date in ISO string format (YYYY-MM-DD)
   const [date, setDate] = useState("");
   // Optional transaction description/notes
@@ -49,30 +105,85 @@ const AddTransactionModal = ({
   const [showCategoryManagement, setShowCategoryManagement] = useState(false);
   // Budget amount for new category
   const [newCategoryBudget, setNewCategoryBudget] = useState("");
+  // Category currently being renamed: { id, name } (null = no rename in progress)
+  const [renamingCategory, setRenamingCategory] = useState(null);
+  // Category pending deletion and the chosen handling for its transactions:
+  // { id, name, mode: "reassign" | "archive" | "delete", targetCategoryId }
+  // (null = no deletion in progress)
+  const [deletingCategory, setDeletingCategory] = useState(null);
+  // Category whose rollover policy is being edited:
+  // { id, name, policy, cap: string } (null = not editing)
+  const [editingRollover, setEditingRollover] = useState(null);
+  // Pending counter corrections from "Recalculate Totals" (null = no diff shown)
+  const [totalsDiff, setTotalsDiff] = useState(null);
+  // True while the dry run or the corrections are in flight (these leave the
+  // context's `loading` alone so the modal stays mounted)
+  const [isReconciling, setIsReconciling] = useState(false);
 
   // The full category object corresponding to the selected category name
   // Contains: { id, name, budgetAmount, userId, createdAt }
   const [selectedCategory, setSelectedCategory] = useState(null);
 
   /**
-   * Reset form to initial state whenever modal opens
-   * - Sets date to today
-   * - Clears all input fields
+   * Reset form whenever modal opens
+   * - Add mode: sets date to today and clears all input fields
+   * - Edit mode: pre-fills every field from the transaction being edited
    * - Hides category management panel
    * This ensures a clean slate for each new transaction entry
    */
   useEffect(() => {
     if (isOpen) {
-      const today = new Date();
-      setDate(today.toISOString().split("T")[0]);
-      setAmount("");
-      setCategory("");
-      setDescription("");
+      if (transactionToEdit) {
+        const editCurrency = transactionToEdit.originalCurrency || baseCurrency;
+        setType(transactionToEdit.type);
+        setDate(toDateKey(transactionToEdit.date.toDate()));
+        // Foreign currency transactions are edited in the currency they were paid in
+        setCurrency(transactionToEdit.originalCurrency || "");
+        setRateInput(
+          transactionToEdit.exchangeRate
+            ? String(transactionToEdit.exchangeRate)
+            : ""
+        );
+        setAmount(
+          toInputValue(
+            transactionToEdit.originalAmount ?? transactionToEdit.amount,
+            editCurrency
+          )
+        );
+        setCategory(transactionToEdit.category || "");
+        setToCategory(transactionToEdit.toCategory || "");
+        setSplitLines(
+          (transactionToEdit.splits || []).map((line) => ({
+            category: line.category,
+            amount: toInputValue(
+              line.originalAmount ?? line.amount,
+              editCurrency
+            ),
+          }))
+        );
+        setDescription(transactionToEdit.description || "");
+        setAccountId(getAccountId(transactionToEdit));
+      } else {
+        setDate(toDateKey(new Date()));
+        setAmount("");
+        setCategory("");
+        setToCategory("");
+        setSplitLines([]);
+        setDescription("");
+        setAccountId("");
+        setCurrency("");
+        setRateInput("");
+      }
+      setSaveRate(false);
       setNewCategoryName("");
       setNewCategoryBudget("");
       setShowCategoryManagement(false);
+      setRenamingCategory(null);
+      setDeletingCategory(null);
+      setEditingRollover(null);
+      setTotalsDiff(null);
     }
-  }, [isOpen]);
+  }, [isOpen, transactionToEdit, baseCurrency]);
 
   // Memoize categories to prevent unnecessary re-renders if userCategories hasn't changed
   const categories = React.useMemo(
@@ -115,8 +226,11 @@ const AddTransactionModal = ({
       showMessage("Please enter a name for the new category.", true);
       return;
     }
-    const budgetAmount = parseFloat(newCategoryBudget);
-    if (isNaN(budgetAmount) || budgetAmount < 0) {
+    const budgetAmount =
+      newCategoryBudget === ""
+        ? 0
+        : parseMoney(newCategoryBudget, baseCurrency);
+    if (budgetAmount === null || budgetAmount < 0) {
       showMessage("Please enter a valid budget amount (can be 0).", true);
       return;
     }
@@ -131,20 +245,66 @@ const AddTransactionModal = ({
     }
   };
 
+  /**
+   * Handler for saving a category rename
+   *
+   * Transactions reference categories by ID, so existing history is
+   * relabelled with the new name rather than detached from the category.
+   * Keeps the form's selected category in sync if it was the one renamed.
+   */
+  const handleRenameCategory = async () => {
+    const { id, name } = renamingCategory;
+    const oldName = categories.find((cat) => cat.id === id)?.name;
+    if (name.trim() === "") {
+      showMessage("Please enter a name for the category.", true);
+      return;
+    }
+
+    const success = await renameCategory(id, name);
+    if (success) {
+      if (category === oldName) setCategory(name.trim());
+      showMessage(`Category '${oldName}' renamed to '${name.trim()}'.`);
+      setRenamingCategory(null);
+    } else {
+      showMessage(
+        `Could not rename '${oldName}'. The name may already be in use.`,
+        true
+      );
+    }
+  };
+
+  /**
+   * Start deleting a category: opens the options panel below the list
+   * Defaults to reassigning when the category still has transactions,
+   * otherwise to a plain delete (nothing to move)
+   *
+   * @param {Object} cat - Category object from userCategories
+   */
+  const startDeleteCategory = (cat) => {
+    const hasTransactions = getCategoryTransactions(cat.id).length > 0;
+    setRenamingCategory(null);
+    setEditingRollover(null);
+    setDeletingCategory({
+      id: cat.id,
+      name: cat.name,
+      mode: hasTransactions ? "reassign" : "delete",
+      targetCategoryId: "",
+    });
+  };
+
   /**
    * Handler for deleting a category with user confirmation
    *
    * Process:
-   * 1. Validates that showConfirm function is available
-   * 2. Shows confirmation dialog to user
-   * 3. On confirm: calls deleteCategory() from context
+   * 1. Validates that showConfirm function is available and the options are complete
+   * 2. Shows confirmation dialog stating how many transactions are affected
+   * 3. On confirm: calls deleteCategory(id, { mode, targetCategoryId }) from context
+   *    - reassign: transactions move to the chosen category, category is removed
+   *    - archive: category is hidden from new entries, transactions kept in reports
+   *    - delete: category and all of its transactions are removed
    * 4. Shows success or error message
-   *
-   * Note: Deleting a category does not affect existing transactions
-   *
-   * @param {string} categoryToDeleteName - Name of the category to delete
    */
-  const handleDeleteCategory = async (categoryToDeleteName) => {
+  const handleDeleteCategory = () => {
     if (typeof showConfirm !== "function") {
       console.error(
         "showConfirm function is not provided to AddTransactionModal."
@@ -153,26 +313,199 @@ const AddTransactionModal = ({
       return;
     }
 
+    const { id, name, mode, targetCategoryId } = deletingCategory;
+    const target = categories.find((cat) => cat.id === targetCategoryId);
+    if (mode === "reassign" && !target) {
+      showMessage(
+        "Please choose a category to move the transactions to.",
+        true
+      );
+      return;
+    }
+
+    const count = getCategoryTransactions(id).length;
+    const countText = `${count} transaction${count === 1 ? "" : "s"}`;
+    const confirmText = {
+      reassign: `Move ${countText} from '${name}' to '${target?.name}' and delete '${name}'?`,
+      archive: `Archive '${name}'? It will be hidden from new entries; its ${countText} stay in your reports.`,
+      delete: `Delete '${name}' and its ${countText}? This cannot be undone.`,
+    }[mode];
+    const confirmLabel = {
+      reassign: "Yes, Move & Delete",
+      archive: "Yes, Archive",
+      delete: "Yes, Delete",
+    }[mode];
+    const doneText = {
+      reassign: `Category '${name}' deleted; ${countText} moved to '${target?.name}'.`,
+      archive: `Category '${name}' archived.`,
+      delete: `Category '${name}' and ${countText} deleted.`,
+    }[mode];
+
     showConfirm(
-      `Are you sure you want to delete the category '${categoryToDeleteName}'? This will not affect existing transactions.`,
+      confirmText,
       async () => {
-        const categoryToDelete = userCategories.find(
-          (cat) => cat.name === categoryToDeleteName
-        );
-        if (categoryToDelete) {
-          const success = await deleteCategory(categoryToDelete.id);
-          if (success) {
-            showMessage(`Category '${categoryToDeleteName}' deleted!`);
-          } else {
-            showMessage(
-              `Error deleting category '${categoryToDeleteName}'.`,
-              true
-            );
-          }
+        const success = await deleteCategory(id, { mode, targetCategoryId });
+        if (success) {
+          if (mode !== "archive" && category === name) setCategory("");
+          showMessage(doneText);
+          setDeletingCategory(null);
         } else {
-          showMessage(`Category '${categoryToDeleteName}' not found.`, true);
+          showMessage(`Error deleting category '${name}'.`, true);
         }
-      }
+      },
+      { confirmLabel }
+    );
+  };
+
+  /**
+   * Start editing a category's rollover policy (panel below the list)
+   *
+   * @param {Object} cat - Category object from userCategories
+   */
+  const startEditRollover = (cat) => {
+    setRenamingCategory(null);
+    setDeletingCategory(null);
+    setEditingRollover({
+      id: cat.id,
+      name: cat.name,
+      policy: getRolloverPolicy(cat),
+      cap: cat.rolloverCap ? toInputValue(cat.rolloverCap, baseCurrency) : "",
+    });
+  };
+
+  /**
+   * Handler for saving a rollover policy
+   *
+   * Validates:
+   * - "cap" needs a positive cap amount
+   */
+  const handleSaveRollover = async () => {
+    const { id, name, policy } = editingRollover;
+    const cap =
+      policy === "cap" ? parseMoney(editingRollover.cap, baseCurrency) : 0;
+    if (!(cap > 0) && policy === "cap") {
+      showMessage("Please enter a positive cap amount.", true);
+      return;
+    }
+
+    const success = await setCategoryRollover(id, policy, cap);
+    if (success) {
+      showMessage(`Rollover for '${name}': ${ROLLOVER_POLICIES[policy]}.`);
+      setEditingRollover(null);
+    } else {
+      showMessage(`Error saving the rollover for '${name}'.`, true);
+    }
+  };
+
+  /**
+   * Handler for restoring an archived category so it appears for new entries again
+   *
+   * @param {Object} cat - Archived category object
+   */
+  const handleRestoreCategory = async (cat) => {
+    const success = await setCategoryArchived(cat.id, false);
+    if (success) {
+      showMessage(`Category '${cat.name}' restored.`);
+    } else {
+      showMessage(`Error restoring category '${cat.name}'.`, true);
+    }
+  };
+
+  /**
+   * Handler for the "Recalculate Totals" dry run
+   *
+   * Asks the context to recompute every category's counters from the
+   * transactions collection. Differences are shown in the panel for review;
+   * nothing is written until the user clicks "Apply Corrections".
+   */
+  const handleRecalculateTotals = async () => {
+    setIsReconciling(true);
+    const diff = await recalculateCategoryTotals();
+    setIsReconciling(false);
+    if (diff === null) {
+      showMessage("Error recalculating category totals.", true);
+    } else if (diff.length === 0) {
+      setTotalsDiff(null);
+      showMessage("All category totals already match their transactions.");
+    } else {
+      setTotalsDiff(diff);
+    }
+  };
+
+  /**
+   * Handler for writing the reviewed counter corrections
+   */
+  const handleApplyTotals = async () => {
+    setIsReconciling(true);
+    const success = await applyCategoryTotals(totalsDiff);
+    setIsReconciling(false);
+    if (success) {
+      showMessage(`Corrected totals for ${totalsDiff.length} categories.`);
+      setTotalsDiff(null);
+    } else {
+      showMessage("Error applying corrected totals.", true);
+    }
+  };
+
+  // ==================== Foreign Currency ====================
+  // Entered amounts are in `enteredCurrency` and parsed to its minor units
+  // (utils/money); only on submit are they converted to the base currency
+  // with the exchange rate
+  const isForeign = Boolean(currency) && currency !== baseCurrency;
+  const enteredCurrency = isForeign ? currency : baseCurrency;
+  const enteredStep = isForeign ? getCurrencyStep(currency) : currencyStep;
+  const exchangeRate = parseFloat(rateInput);
+  const formatEntered = (value) =>
+    isForeign ? formatInCurrency(value, currency) : formatMoney(value);
+
+  /**
+   * Switch the entry currency; a foreign currency picks up its rate from the
+   * local rate table, or asks for one (and offers to save it) if there is none
+   */
+  const handleCurrencyChange = (code) => {
+    const tableRate = exchangeRates[code];
+    setCurrency(code === baseCurrency ? "" : code);
+    setRateInput(tableRate ? String(tableRate) : "");
+    setSaveRate(code !== baseCurrency && !tableRate);
+  };
+
+  // Parsed amounts in minor units (null while not a valid number)
+  const parsedAmount = parseMoney(amount, enteredCurrency);
+  const parseLineAmount = (line) => parseMoney(line.amount, enteredCurrency);
+
+  // Amount of the total not yet assigned to a split line (0 = balanced)
+  const splitRemaining =
+    (parsedAmount || 0) -
+    splitLines.reduce((sum, line) => sum + (parseLineAmount(line) || 0), 0);
+
+  /**
+   * Switch to split mode, starting from the current category and amount
+   * plus an empty second line
+   */
+  const startSplit = () => {
+    setSplitLines([
+      { category, amount },
+      { category: "", amount: "" },
+    ]);
+  };
+
+  /**
+   * Leave split mode; the first line's category becomes the single category
+   */
+  const cancelSplit = () => {
+    setCategory(splitLines[0]?.category || "");
+    setSplitLines([]);
+  };
+
+  /**
+   * Update one split line
+   *
+   * @param {number} index - Line position
+   * @param {Object} changes - { category?, amount? }
+   */
+  const updateSplitLine = (index, changes) => {
+    setSplitLines((prev) =>
+      prev.map((line, i) => (i === index ? { ...line, ...changes } : line))
     );
   };
 
@@ -182,11 +515,13 @@ const AddTransactionModal = ({
    * Validates:
    * - All required fields are filled
    * - Amount is positive
+   * - A transfer has a "to" category different from its "from" category
+   * - A split has 2+ lines in different categories that add up to the amount
    *
    * Process:
    * 1. Prevents default form submission
    * 2. Constructs transaction object with user inputs
-   * 3. Calls context addTransaction() method
+   * 3. Calls context updateTransaction() in edit mode, addTransaction() otherwise
    * 4. On success: shows confirmation and closes modal
    * 5. On error: shows error message
    *
@@ -195,39 +530,167 @@ const AddTransactionModal = ({
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (!amount || !category || !date || parseFloat(amount) <= 0) {
+    if (!(parsedAmount > 0) || (!category && !isSplitting) || !date) {
       showMessage("Please fill all fields with valid values.", true);
       return;
     }
+    if (isSplitting) {
+      const lineNames = splitLines.map((line) => line.category);
+      if (
+        splitLines.length < 2 ||
+        splitLines.some(
+          (line) => !line.category || !(parseLineAmount(line) > 0)
+        )
+      ) {
+        showMessage(
+          "Each split line needs a category and an amount (at least two lines).",
+          true
+        );
+        return;
+      }
+      if (new Set(lineNames).size !== lineNames.length) {
+        showMessage("Each split line must use a different category.", true);
+        return;
+      }
+      if (splitRemaining !== 0) {
+        showMessage(
+          `Split lines must add up to the total (${formatEntered(
+            splitRemaining
+          )} remaining).`,
+          true
+        );
+        return;
+      }
+    }
+    if (isForeign && !isValidRate(exchangeRate)) {
+      showMessage(
+        `Please enter the exchange rate for ${currency} (${baseCurrency} per 1 ${currency}).`,
+        true
+      );
+      return;
+    }
+    if (type === "transfer" && (!toCategory || toCategory === category)) {
+      showMessage(
+        "Please choose two different categories to transfer between.",
+        true
+      );
+      return;
+    }
 
     const transaction = {
       type,
-      amount: parseFloat(amount),
+      amount: parsedAmount,
       category,
       date,
       description: description.trim(),
+      accountId: accountId || defaultAccountId,
     };
+    if (isEditing && date === toDateKey(transactionToEdit.date.toDate())) {
+      // Date untouched: keep the stored moment instead of moving it to
+      // the start of the day
+      delete transaction.date;
+    }
+    if (type === "transfer") {
+      transaction.toCategory = toCategory;
+    } else if (transactionToEdit?.type === "transfer") {
+      // No longer a transfer: detach the old destination
+      transaction.toCategory = null;
+    }
+    if (isSplitting) {
+      // The parent has no category of its own; each line counts for its own
+      transaction.category = null;
+      transaction.categoryId = null;
+      transaction.splits = splitLines.map((line) => ({
+        category: line.category,
+        amount: parseLineAmount(line),
+      }));
+    } else if (transactionToEdit?.splits) {
+      // No longer split: drop the old lines
+      transaction.splits = null;
+    }
+    if (isForeign) {
+      // Keep what was paid; count the converted value. A split's total is the
+      // sum of its converted lines so the lines always add up exactly.
+      transaction.originalAmount = transaction.amount;
+      transaction.originalCurrency = currency;
+      transaction.exchangeRate = exchangeRate;
+      if (isSplitting) {
+        transaction.splits = transaction.splits.map((line) => ({
+          ...line,
+          originalAmount: line.amount,
+          amount: convertToBase(line.amount, exchangeRate, baseCurrency),
+        }));
+        transaction.amount = transaction.splits.reduce(
+          (sum, line) => sum + line.amount,
+          0
+        );
+      } else {
+        transaction.amount = convertToBase(
+          transaction.amount,
+          exchangeRate,
+          baseCurrency
+        );
+      }
+      if (saveRate) {
+        setExchangeRates({ [currency]: exchangeRate });
+      }
+    } else if (transactionToEdit?.originalCurrency) {
+      // Back to the base currency: drop the foreign currency details
+      transaction.originalAmount = null;
+      transaction.originalCurrency = null;
+      transaction.exchangeRate = null;
+    }
 
-    const success = await addTransaction(transaction);
+    const success = isEditing
+      ? await updateTransaction(transactionToEdit.id, transaction)
+      : await addTransaction(transaction);
 
+    const action = isEditing ? "updated" : "added";
     if (success) {
       showMessage(
-        `${type.charAt(0).toUpperCase() + type.slice(1)} added successfully!`
+        `${type.charAt(0).toUpperCase() + type.slice(1)} ${action} successfully!`
       );
       onClose();
     } else {
-      showMessage(`Error adding ${type}`, true);
+      showMessage(`Error ${isEditing ? "updating" : "adding"} ${type}`, true);
     }
   };
 
   // Hide modal if not open
   if (!isOpen) return null;
 
+  // Currencies offered for entry: the base currency, the common ones and any
+  // currency that has a rate in the local table
+  const currencyOptions = [
+    baseCurrency,
+    ...new Set([...SUPPORTED_CURRENCIES, ...Object.keys(exchangeRates)]),
+  ].filter((code, index) => code !== baseCurrency || index === 0);
+
+  // Accounts offered in the form: active ones plus the edited transaction's own
+  // account. New entries default to the main account, or the first active one
+  // if the main account was archived.
+  const formAccounts = accounts.filter(
+    (a) => !a.archived || a.id === accountId
+  );
+  const defaultAccountId =
+    formAccounts.find((a) => a.id === DEFAULT_ACCOUNT_ID)?.id ||
+    formAccounts[0]?.id ||
+    DEFAULT_ACCOUNT_ID;
+
   // ==================== Compute Derived Data ====================
   // Filter categories based on transaction type:
+  // - Archived: hidden, except the categories of the transaction being edited
   // - Income: only categories with a defined budget
-  // - Expense: all categories
+  // - Expense / Transfer: all categories
   const filteredCategories = categories.filter((cat) => {
+    if (
+      cat.archived &&
+      cat.name !== transactionToEdit?.category &&
+      cat.name !== transactionToEdit?.toCategory &&
+      !transactionToEdit?.splits?.some((line) => line.category === cat.name)
+    ) {
+      return false;
+    }
     if (type === "income") {
       return cat.budgetAmount !== null && cat.budgetAmount !== undefined;
     } else {
@@ -242,39 +705,15 @@ const AddTransactionModal = ({
     : Object.values(filteredTransactions || {});
 
   /**
-   * Build a summary of income, expense, and balance per category
+   * Build a summary of income, expense, transfers and balance per category
    * for the current visible period (filtered transactions)
    *
    * This shows the user their current spending context when adding
    * a new transaction, helping them make informed decisions
    *
-   * Structure: { [categoryName]: { income: 0, expense: 0, balance: 0 } }
+   * Structure: { [categoryName]: { income, expense, transferIn, transferOut, balance } }
    */
-  const categorySummary = transactionsArray.reduce((acc, t) => {
-    if (!t || typeof t.amount !== "number" || !t.category || !t.type) {
-      return acc;
-    }
-
-    const { category, amount, type } = t;
-
-    if (!acc[category]) {
-      acc[category] = {
-        income: 0,
-        expense: 0,
-        balance: 0,
-      };
-    }
-
-    if (type === "income") {
-      acc[category].income += amount;
-      acc[category].balance += amount;
-    } else if (type === "expense") {
-      acc[category].expense += amount;
-      acc[category].balance -= amount;
-    }
-
-    return acc;
-  }, {});
+  const categorySummary = buildCategorySummary(transactionsArray);
 
   /**
    * Safe accessor for the selected category's summary data
@@ -286,6 +725,8 @@ const AddTransactionModal = ({
     ? categorySummary[selectedCategory.name] || {
         income: 0,
         expense: 0,
+        transferIn: 0,
+        transferOut: 0,
         balance: 0,
       }
     : null;
@@ -295,7 +736,7 @@ const AddTransactionModal = ({
       <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto flex-shrink-0">
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-xl font-semibold text-gray-800">
-            Add Transaction
+            {isEditing ? "Edit Transaction" : "Add Transaction"}
           </h2>
           <button
             onClick={onClose}
@@ -334,58 +775,242 @@ const AddTransactionModal = ({
               onChange={(e) => {
                 setType(e.target.value);
                 setCategory("");
+                setToCategory("");
+                setSplitLines([]);
               }}
               className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
             >
               <option value="income">Income</option>
               <option value="expense">Expense</option>
+              <option value="transfer">Transfer</option>
             </select>
           </div>
 
-          {/* Amount Input - The transaction amount in QAR */}
+          {/* Amount Input - The amount as paid, with the currency it was paid in */}
           <div className="mb-4">
             <label
               htmlFor="transactionAmount"
               className="block text-sm font-medium text-gray-700 mb-1"
             >
-              Amount (QAR)
+              Amount ({enteredCurrency})
             </label>
-            <input
-              type="number"
-              id="transactionAmount"
-              value={amount}
-              onChange={(e) => setAmount(e.target.value)}
-              step="0.01"
-              min="0.01"
-              required
-              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
-              placeholder="e.g., 50.00"
-            />
+            <div className="flex gap-2">
+              <input
+                type="number"
+                id="transactionAmount"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                step={enteredStep}
+                min={enteredStep}
+                required
+                className="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g., 50.00"
+              />
+              <select
+                value={enteredCurrency}
+                onChange={(e) => handleCurrencyChange(e.target.value)}
+                className="p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                aria-label="Currency"
+              >
+                {currencyOptions.map((code) => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
 
-          {/* Category Selector - Pick from user's defined categories */}
-          <div className="mb-4">
-            <label
-              htmlFor="transactionCategory"
-              className="block text-sm font-medium text-gray-700 mb-1"
-            >
-              Category
-            </label>
-            <select
-              id="transactionCategory"
-              value={category}
-              onChange={(e) => setCategory(e.target.value)}
-              required
-              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
-            >
-              <option value="">Select a category</option>
-              {filteredCategories.map((cat) => (
-                <option key={cat.name} value={cat.name}>
-                  {cat.name}
-                </option>
+          {/* Exchange Rate - only for a foreign currency; shows the converted
+              amount that will be counted in the base currency */}
+          {isForeign && (
+            <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+              <label
+                htmlFor="transactionRate"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Exchange rate (1 {currency} = ? {baseCurrency})
+              </label>
+              <input
+                type="number"
+                id="transactionRate"
+                value={rateInput}
+                onChange={(e) => {
+                  setRateInput(e.target.value);
+                  setSaveRate(
+                    parseFloat(e.target.value) !== exchangeRates[currency]
+                  );
+                }}
+                step="any"
+                min="0"
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                placeholder="e.g., 3.64"
+              />
+              {isValidRate(exchangeRate) && parsedAmount > 0 && (
+                <p className="mt-1 text-xs text-gray-600">
+                  ={" "}
+                  {formatMoney(
+                    convertToBase(parsedAmount, exchangeRate, baseCurrency)
+                  )}
+                </p>
+              )}
+              {isValidRate(exchangeRate) &&
+                exchangeRate !== exchangeRates[currency] && (
+                  <label className="mt-2 flex items-center text-xs text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={saveRate}
+                      onChange={(e) => setSaveRate(e.target.checked)}
+                      className="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    Save as the {currency} rate for future transactions
+                  </label>
+                )}
+            </div>
+          )}
+
+          {isSplitting ? (
+            // Split Lines - one category and amount per line, must add up to the total
+            <div className="mb-4">
+              <span className="block text-sm font-medium text-gray-700 mb-1">
+                Split Across Categories
+              </span>
+              {splitLines.map((line, index) => (
+                <div key={index} className="flex items-center gap-2 mb-2">
+                  <select
+                    value={line.category}
+                    onChange={(e) =>
+                      updateSplitLine(index, { category: e.target.value })
+                    }
+                    className="flex-grow p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    aria-label={`Category for split line ${index + 1}`}
+                  >
+                    <option value="">Select a category</option>
+                    {filteredCategories.map((cat) => (
+                      <option key={cat.name} value={cat.name}>
+                        {cat.name}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={line.amount}
+                    onChange={(e) =>
+                      updateSplitLine(index, { amount: e.target.value })
+                    }
+                    step={enteredStep}
+                    min={enteredStep}
+                    className="w-28 p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="0.00"
+                    aria-label={`Amount for split line ${index + 1}`}
+                  />
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setSplitLines((prev) =>
+                        prev.filter((_, i) => i !== index)
+                      )
+                    }
+                    disabled={splitLines.length <= 2}
+                    className="text-red-500 hover:text-red-700 disabled:text-gray-300 font-semibold p-1"
+                    title="Remove line"
+                  >
+                    ✕
+                  </button>
+                </div>
               ))}
-            </select>
-          </div>
+              <div className="flex justify-between items-center text-sm">
+                <button
+                  type="button"
+                  onClick={() =>
+                    setSplitLines((prev) => [
+                      ...prev,
+                      { category: "", amount: "" },
+                    ])
+                  }
+                  className="text-blue-600 hover:text-blue-800 font-semibold"
+                >
+                  + Add line
+                </button>
+                <span
+                  className={
+                    splitRemaining === 0 ? "text-green-600" : "text-red-500"
+                  }
+                >
+                  Remaining: {formatEntered(splitRemaining)}
+                </span>
+              </div>
+              <button
+                type="button"
+                onClick={cancelSplit}
+                className="mt-2 text-xs text-gray-500 hover:text-gray-700"
+              >
+                Use a single category
+              </button>
+            </div>
+          ) : (
+            // Category Selector - Pick from user's defined categories
+            <div className="mb-4">
+              <label
+                htmlFor="transactionCategory"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                {type === "transfer" ? "From Category" : "Category"}
+              </label>
+              <select
+                id="transactionCategory"
+                value={category}
+                onChange={(e) => setCategory(e.target.value)}
+                required
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Select a category</option>
+                {filteredCategories.map((cat) => (
+                  <option key={cat.name} value={cat.name}>
+                    {cat.name}
+                  </option>
+                ))}
+              </select>
+              {/* Split toggle - income/expense only (a transfer already names two categories) */}
+              {type !== "transfer" && (
+                <button
+                  type="button"
+                  onClick={startSplit}
+                  className="mt-1 text-xs font-semibold text-blue-600 hover:text-blue-800"
+                >
+                  Split across categories
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Destination Selector - Transfer only: where the money goes */}
+          {type === "transfer" && (
+            <div className="mb-4">
+              <label
+                htmlFor="transactionToCategory"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                To Category
+              </label>
+              <select
+                id="transactionToCategory"
+                value={toCategory}
+                onChange={(e) => setToCategory(e.target.value)}
+                required
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">Select a category</option>
+                {filteredCategories
+                  .filter((cat) => cat.name !== category)
+                  .map((cat) => (
+                    <option key={cat.name} value={cat.name}>
+                      {cat.name}
+                    </option>
+                  ))}
+              </select>
+            </div>
+          )}
 
           {/* Category Summary Card - Shows income/expense/balance for selected category in current period */}
           {/* Helps users understand their spending context before adding a new transaction */}
@@ -397,11 +1022,11 @@ const AddTransactionModal = ({
               <div className="grid grid-cols-3 gap-2 text-sm font-medium text-gray-700">
                 <div>
                   <div className="text-xs text-gray-500">Income:</div>
-                  QAR {selectedCategorySummary.income.toFixed(2)}
+                  {formatMoney(selectedCategorySummary.income)}
                 </div>
                 <div>
                   <div className="text-xs text-gray-500">Expense:</div>
-                  QAR {selectedCategorySummary.expense.toFixed(2)}
+                  {formatMoney(selectedCategorySummary.expense)}
                 </div>
                 <div>
                   <div className="text-xs text-gray-500">Net Balance:</div>
@@ -412,10 +1037,43 @@ const AddTransactionModal = ({
                         : "text-green-600"
                     }
                   >
-                    QAR {selectedCategorySummary.balance.toFixed(2)}
+                    {formatMoney(selectedCategorySummary.balance)}
                   </div>
                 </div>
               </div>
+              {(selectedCategorySummary.transferIn > 0 ||
+                selectedCategorySummary.transferOut > 0) && (
+                <div className="mt-2 text-xs text-gray-500">
+                  Transfers in:{" "}
+                  {formatMoney(selectedCategorySummary.transferIn)} · out:{" "}
+                  {formatMoney(selectedCategorySummary.transferOut)}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Account Selection - where the money came in or went out;
+              transfers only move budget between categories, so they have none */}
+          {type !== "transfer" && formAccounts.length > 0 && (
+            <div className="mb-4">
+              <label
+                htmlFor="transactionAccount"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Account
+              </label>
+              <select
+                id="transactionAccount"
+                value={accountId || defaultAccountId}
+                onChange={(e) => setAccountId(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+              >
+                {formAccounts.map((account) => (
+                  <option key={account.id} value={account.id}>
+                    {account.name}
+                  </option>
+                ))}
+              </select>
             </div>
           )}
 
@@ -471,8 +1129,8 @@ const AddTransactionModal = ({
                   type="number"
                   value={newCategoryBudget}
                   onChange={(e) => setNewCategoryBudget(e.target.value)}
-                  placeholder="Budget (QAR)"
-                  step="0.01"
+                  placeholder={`Budget (${baseCurrency})`}
+                  step={currencyStep}
                   min="0"
                   className="flex-grow p-2 border border-gray-300 rounded-lg md:rounded-none focus:ring-blue-500 focus:border-blue-500"
                 />
@@ -495,40 +1153,339 @@ const AddTransactionModal = ({
                   </p>
                 ) : (
                   categories.map((cat) => {
+                    // Inline rename row replaces the normal row while editing
+                    if (renamingCategory?.id === cat.id) {
+                      return (
+                        <div
+                          key={cat.id}
+                          className="flex items-center gap-2 p-2 bg-white border border-blue-300 rounded-lg shadow-sm"
+                        >
+                          <input
+                            type="text"
+                            value={renamingCategory.name}
+                            onChange={(e) =>
+                              setRenamingCategory({
+                                id: cat.id,
+                                name: e.target.value,
+                              })
+                            }
+                            className="flex-grow p-1 text-sm border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                            aria-label={`New name for ${cat.name}`}
+                          />
+                          <button
+                            type="button"
+                            onClick={handleRenameCategory}
+                            className="text-xs font-semibold text-blue-600 hover:text-blue-800"
+                          >
+                            Save
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setRenamingCategory(null)}
+                            className="text-xs font-semibold text-gray-500 hover:text-gray-700"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      );
+                    }
+
                     return (
                       <div
-                        key={cat.name}
+                        key={cat.id}
                         className="flex justify-between items-center p-2 bg-white border border-gray-200 rounded-lg shadow-sm"
                       >
                         <span className="text-gray-700 text-sm">
                           {cat.name}
+                          {cat.archived && (
+                            <span className="ml-2 text-xs text-gray-400">
+                              (Archived)
+                            </span>
+                          )}
+                          {getRolloverPolicy(cat) !== "none" && (
+                            <span className="ml-2 text-xs text-blue-500">
+                              (Rolls over)
+                            </span>
+                          )}
                         </span>
-                        <button
-                          type="button"
-                          onClick={() => handleDeleteCategory(cat.name)}
-                          className="text-red-500 hover:text-red-700 text-xs font-semibold p-1 rounded-full"
-                          title={`Delete ${cat.name}`}
-                        >
-                          <svg
-                            xmlns="http://www.w3.org/2000/svg"
-                            className="h-4 w-4"
-                            fill="none"
-                            viewBox="0 0 24 24"
-                            stroke="currentColor"
+                        <div className="flex items-center">
+                          <button
+                            type="button"
+                            onClick={() => startEditRollover(cat)}
+                            className="text-blue-500 hover:text-blue-700 text-xs font-semibold p-1"
+                            title={`Rollover policy for ${cat.name}`}
+                          >
+                            Rollover
+                          </button>
+                          {cat.archived && (
+                            <button
+                              type="button"
+                              onClick={() => handleRestoreCategory(cat)}
+                              className="text-green-600 hover:text-green-800 text-xs font-semibold p-1"
+                              title={`Restore ${cat.name}`}
+                            >
+                              Restore
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setRenamingCategory({
+                                id: cat.id,
+                                name: cat.name,
+                              })
+                            }
+                            className="text-blue-500 hover:text-blue-700 text-xs font-semibold p-1 rounded-full"
+                            title={`Rename ${cat.name}`}
                           >
-                            <path
-                              strokeLinecap="round"
-                              strokeLinejoin="round"
-                              strokeWidth="2"
-                              d="M6 18L18 6M6 6l12 12"
-                            />
-                          </svg>
-                        </button>
+                            <svg
+                              xmlns="http://www.w3.org/2000/svg"
+                              className="h-4 w-4"
+                              fill="none"
+                              viewBox="0 0 24 24"
+                              stroke="currentColor"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                strokeWidth="2"
+                                d="M16.862 4.487l1.687-1.688a1.875 1.875 0 112.652 2.652L6.832 19.82a4.5 4.5 0 01-1.897 1.13l-2.685.8.8-2.685a4.5 4.5 0 011.13-1.897L16.863 4.487z"
+                              />
+                            </svg>
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => startDeleteCategory(cat)}
+                            className="text-red-500 hover:text-red-700 text-xs font-semibold p-1 rounded-full"
+                            title={`Delete ${cat.name}`}
+                          >
+                            <svg
+                              xmlns="http://www.w3.org/2000/svg"
+                              className="h-4 w-4"
+                              fill="none"
+                              viewBox="0 0 24 24"
+                              stroke="currentColor"
+                            >
+                              <path
+                                strokeLinecap="round"
+                                strokeLinejoin="round"
+                                strokeWidth="2"
+                                d="M6 18L18 6M6 6l12 12"
+                              />
+                            </svg>
+                          </button>
+                        </div>
                       </div>
                     );
                   })
                 )}
               </div>
+
+              {/* Rollover Policy - How the category's balance carries into the next period */}
+              {/* Applied automatically once each period completes */}
+              {editingRollover && (
+                <div className="mt-3 p-3 bg-white border border-blue-300 rounded-lg text-sm text-gray-700">
+                  <p className="font-semibold mb-1">
+                    Rollover for '{editingRollover.name}'
+                  </p>
+                  <p className="text-xs text-gray-500 mb-2">
+                    Applied automatically when a budget period ends, starting
+                    with the current one.
+                  </p>
+                  <select
+                    value={editingRollover.policy}
+                    onChange={(e) =>
+                      setEditingRollover((prev) => ({
+                        ...prev,
+                        policy: e.target.value,
+                      }))
+                    }
+                    className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    aria-label="Rollover policy"
+                  >
+                    {Object.entries(ROLLOVER_POLICIES).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  {editingRollover.policy === "cap" && (
+                    <input
+                      type="number"
+                      value={editingRollover.cap}
+                      onChange={(e) =>
+                        setEditingRollover((prev) => ({
+                          ...prev,
+                          cap: e.target.value,
+                        }))
+                      }
+                      placeholder={`Cap per period (${baseCurrency})`}
+                      step={currencyStep}
+                      min="0"
+                      className="w-full mt-2 p-2 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                      aria-label="Rollover cap"
+                    />
+                  )}
+                  <div className="flex justify-end space-x-2 mt-2">
+                    <button
+                      type="button"
+                      onClick={() => setEditingRollover(null)}
+                      className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleSaveRollover}
+                      className="px-3 py-1 text-xs font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg"
+                    >
+                      Save
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Category Deletion Options - What happens to the category's transactions */}
+              {/* Confirmed via ConfirmModal, which states how many transactions are affected */}
+              {deletingCategory && (
+                <div className="mt-3 p-3 bg-white border border-red-300 rounded-lg text-sm text-gray-700">
+                  <p className="font-semibold mb-1">
+                    Delete '{deletingCategory.name}'
+                  </p>
+                  <p className="text-xs text-gray-500 mb-2">
+                    {getCategoryTransactions(deletingCategory.id).length}{" "}
+                    transaction(s) use this category.
+                  </p>
+                  {[
+                    {
+                      value: "reassign",
+                      label: "Move transactions to another category",
+                    },
+                    {
+                      value: "archive",
+                      label: "Archive (hide from new entries, keep in reports)",
+                    },
+                    {
+                      value: "delete",
+                      label: "Delete category and its transactions",
+                    },
+                  ].map((option) => (
+                    <label
+                      key={option.value}
+                      className="flex items-center space-x-2 mb-1 cursor-pointer"
+                    >
+                      <input
+                        type="radio"
+                        name="deleteCategoryMode"
+                        value={option.value}
+                        checked={deletingCategory.mode === option.value}
+                        onChange={() =>
+                          setDeletingCategory((prev) => ({
+                            ...prev,
+                            mode: option.value,
+                          }))
+                        }
+                        className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+                      />
+                      <span className="text-xs">{option.label}</span>
+                    </label>
+                  ))}
+                  {deletingCategory.mode === "reassign" && (
+                    <select
+                      value={deletingCategory.targetCategoryId}
+                      onChange={(e) =>
+                        setDeletingCategory((prev) => ({
+                          ...prev,
+                          targetCategoryId: e.target.value,
+                        }))
+                      }
+                      className="w-full mt-1 p-2 text-sm border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                      aria-label="Move transactions to"
+                    >
+                      <option value="">Select target category</option>
+                      {categories
+                        .filter(
+                          (cat) =>
+                            cat.id !== deletingCategory.id && !cat.archived
+                        )
+                        .map((cat) => (
+                          <option key={cat.id} value={cat.id}>
+                            {cat.name}
+                          </option>
+                        ))}
+                    </select>
+                  )}
+                  <div className="flex justify-end space-x-2 mt-2">
+                    <button
+                      type="button"
+                      onClick={() => setDeletingCategory(null)}
+                      className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleDeleteCategory}
+                      className="px-3 py-1 text-xs font-medium text-white bg-red-500 hover:bg-red-600 rounded-lg"
+                    >
+                      Continue
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Counter Reconciliation - Recompute spent/budget totals from transactions */}
+              {/* Shows a stored → computed diff and only writes after confirmation */}
+              <div className="mt-4 pt-4 border-t border-gray-200">
+                <button
+                  type="button"
+                  onClick={handleRecalculateTotals}
+                  disabled={isReconciling}
+                  className="w-full px-4 py-2 text-sm font-medium text-blue-600 border border-blue-600 hover:bg-blue-50 rounded-lg disabled:opacity-50"
+                >
+                  {isReconciling ? "Checking..." : "Recalculate Totals"}
+                </button>
+
+                {totalsDiff && (
+                  <div className="mt-3">
+                    <div className="max-h-40 overflow-y-auto space-y-2">
+                      {totalsDiff.map((row) => (
+                        <div
+                          key={row.categoryId}
+                          className="p-2 bg-white border border-yellow-300 rounded-lg text-xs text-gray-700"
+                        >
+                          <div className="font-semibold mb-1">{row.name}</div>
+                          <div>
+                            Budget: {formatMoney(row.stored.budgetAmount)} →{" "}
+                            {formatMoney(row.computed.budgetAmount)}
+                          </div>
+                          <div>
+                            Spent: {formatMoney(row.stored.spentAmount)} →{" "}
+                            {formatMoney(row.computed.spentAmount)}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex justify-end space-x-2 mt-2">
+                      <button
+                        type="button"
+                        onClick={() => setTotalsDiff(null)}
+                        className="px-3 py-1 text-xs font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-lg"
+                      >
+                        Dismiss
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleApplyTotals}
+                        disabled={isReconciling}
+                        className="px-3 py-1 text-xs font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg disabled:opacity-50"
+                      >
+                        Apply Corrections
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
             </div>
           )}
 
@@ -550,7 +1507,7 @@ const AddTransactionModal = ({
             />
           </div>
 
-          {/* Form Action Buttons - Cancel closes modal, Submit adds the transaction */}
+          {/* Form Action Buttons - Cancel closes modal, Submit adds or saves the transaction */}
           <div className="flex justify-end space-x-3">
             <button
               type="button"
@@ -563,7 +1520,7 @@ const AddTransactionModal = ({
               type="submit"
               className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-lg"
             >
-              Add Transaction
+              {isEditing ? "Save Changes" : "Add Transaction"}
             </button>
           </div>
         </form>
@@ -5,6 +5,9 @@ import UserInfo from "./UserInfo";
 import OverviewSection from "./OverviewSection";
 import TransactionsSection from "./TransactionsSection";
 import AddTransactionModal from "./AddTransactionModal";
+import RecurringManager from "./RecurringManager";
+import AccountsManager from "./AccountsManager";
+import ExchangeRatesManager from "./ExchangeRatesManager";
 import MessageModal from "./MessageModal";
 import ConfirmModal from "./ConfirmModal";
 import LoadingIndicator from "./LoadingIndicator";
@@ -31,11 +34,19 @@ import ExpenseList from "./ExpenseList";
  */
 const AppContainer = () => {
   const { currentUser, signOutUser, signInWithGoogle } = useAuth();
-  const { transactions, currentMonth, currentYear, loading: transactionsLoading } = useTransactions();
+  const { currentPeriod, loading: transactionsLoading } = useTransactions();
 
   // ==================== Modal & UI State Management ====================
   // Controls visibility of "Add Transaction" modal
   const [showAddModal, setShowAddModal] = React.useState(false);
+  // Transaction currently being edited (null = modal opens in add mode)
+  const [editingTransaction, setEditingTransaction] = React.useState(null);
+  // Controls visibility of the recurring transactions manager
+  const [showRecurringModal, setShowRecurringModal] = React.useState(false);
+  // Controls visibility of the accounts/wallets manager
+  const [showAccountsModal, setShowAccountsModal] = React.useState(false);
+  // Controls visibility of the exchange rate table
+  const [showRatesModal, setShowRatesModal] = React.useState(false);
   // Controls visibility of message/notification modal
   const [showMessageModal, setShowMessageModal] = React.useState(false);
   // Controls visibility of confirmation dialog modal
@@ -46,33 +57,24 @@ const AppContainer = () => {
   const [confirmAction, setConfirmAction] = React.useState(null);
   // Stores the confirmation dialog message text
   const [confirmMessage, setConfirmMessage] = React.useState("");
+  // Stores optional button labels and secondary callback for the confirmation dialog
+  const [confirmOptions, setConfirmOptions] = React.useState({});
 
   // ==================== Transaction Filtering Logic ====================
   /**
-   * Filter transactions to show only those within the current month boundaries.
+   * Transactions within the viewed period, from the shared currentPeriod
+   * selector in TransactionContext, so every section shows the same period.
    *
-   * The filtering respects the user's billing cycle preference:
-   * - If 'calendar' mode: shows transactions from 1st to last day of current month
-   * - If 'custom' mode: shows transactions from custom start day (current month)
-   *        to custom end day (next month)
+   * The period respects the user's billing cycle preference:
+   * - If 'calendar' mode: 1st to last day of the current month
+   * - If 'weekly' / 'biweekly' mode: the viewed week or two weeks
+   * - If 'custom' mode: the viewed period of the anchored cycle
+   *   (e.g., 25th of one month to the 24th of the next)
    *
-   * Month boundaries are calculated as:
-   * - monthStart: 1st day of current month at 00:00:00.000
-   * - monthEnd: Last day of current month at 23:59:59.999
+   * Only AddTransactionModal takes them as a prop; the other sections read
+   * currentPeriod from the context themselves.
    */
-  const monthStart = new Date(currentYear, currentMonth, 1);
-  const monthEnd = new Date(currentYear, currentMonth + 1, 0, 23, 59, 59, 999);
-
-  /**
-   * Filter transactions array to include only dates within the calculated month range.
-   * Safely handles Firestore Timestamp objects using optional chaining.
-   *
-   * @returns {Array} Filtered transaction array for the current period
-   */
-  const filteredTransactions = transactions.filter(t => {
-    const transactionDate = t.date?.toDate(); // Use optional chaining to prevent errors if date is missing
-    return transactionDate >= monthStart && transactionDate <= monthEnd;
-  });
+  const filteredTransactions = currentPeriod.transactions;
 
   // ==================== Loading & Authorization Guards ====================
   // Show loading indicator while transactions are being fetched from Firestore
@@ -97,13 +99,37 @@ const AppContainer = () => {
    *
    * @param {string} msg - The confirmation message to display
    * @param {Function} action - Callback function to execute if user confirms
+   * @param {Object} [options] - Optional dialog customisation
+   * @param {string} [options.confirmLabel] - Text of the primary button
+   * @param {string} [options.secondaryLabel] - Text of an alternative action button
+   * @param {Function} [options.secondaryAction] - Callback for the alternative action
    */
-  const showConfirm = (msg, action) => {
+  const showConfirm = (msg, action, options = {}) => {
     setConfirmMessage(msg);
     setConfirmAction(() => action);
+    setConfirmOptions(options);
     setShowConfirmModal(true);
   };
 
+  /**
+   * Handler for opening the transaction modal in edit mode
+   *
+   * @param {Object} transaction - The transaction row selected in TransactionsSection
+   */
+  const openEditModal = (transaction) => {
+    setEditingTransaction(transaction);
+    setShowAddModal(true);
+  };
+
+  /**
+   * Close the transaction modal and drop any edit selection
+   * so the next "Add New Transaction" opens with an empty form
+   */
+  const closeTransactionModal = () => {
+    setShowAddModal(false);
+    setEditingTransaction(null);
+  };
+
   // ==================== Main Component Render ====================
   return (
     <div className="w-full max-w-md">
@@ -114,19 +140,23 @@ const AppContainer = () => {
             user={currentUser}
             onSignOut={signOutUser}
             onSignInGoogle={signInWithGoogle}
+            onManageRates={() => setShowRatesModal(true)}
           />
         )}
       </header>
 
       {/* Expense Summary List: Shows recent transactions categorized */}
       <div className="mb-6 text-center bg-white p-4 rounded-xl shadow-lg">
-        <ExpenseList filteredTransactions={filteredTransactions} />
+        <ExpenseList />
       </div>
 
       {/* Main Content Area: Overview, Add Button, and Transaction Management */}
       <div className="bg-white rounded-xl shadow-2xl p-6">
-        {/* Overview Section: Month summary, income/expense totals, balance */}
-        <OverviewSection filteredTransactions={filteredTransactions} />
+        {/* Overview Section: Month summary, income/expense totals, balance, account balances */}
+        <OverviewSection
+          onManageAccounts={() => setShowAccountsModal(true)}
+          showMessage={showMessage}
+        />
 
         {/* Add Transaction Button: Opens the modal for adding new income/expense */}
         <div className="mb-6">
@@ -136,6 +166,13 @@ const AppContainer = () => {
           >
             Add New Transaction
           </button>
+          {/* Opens the manager for rent, salary and other recurring entries */}
+          <button
+            onClick={() => setShowRecurringModal(true)}
+            className="w-full mt-2 text-blue-600 hover:text-blue-800 font-semibold text-sm py-2 px-4 rounded-lg border border-blue-600 hover:border-blue-800 transition-colors"
+          >
+            Recurring Transactions
+          </button>
         </div>
 
         {/* Transaction List Section: Displays all transactions for the period */}
@@ -143,18 +180,47 @@ const AppContainer = () => {
         <TransactionsSection
           showConfirm={showConfirm}
           showMessage={showMessage}
-          filteredTransactions={filteredTransactions}
+          onEdit={openEditModal}
         />
       </div>
 
-      {/* Modal: Add New Transaction */}
-      {/* Allows user to create income or expense transactions with category and date */}
+      {/* Modal: Add New / Edit Transaction */}
+      {/* Allows user to create income or expense transactions with category and date,
+          or edit an existing one when opened from TransactionsSection */}
       <AddTransactionModal
         isOpen={showAddModal}
-        onClose={() => setShowAddModal(false)}
+        onClose={closeTransactionModal}
         showMessage={showMessage}
         showConfirm={showConfirm}
         filteredTransactions={filteredTransactions}
+        transactionToEdit={editingTransaction}
+      />
+
+      {/* Modal: Recurring Transactions */}
+      {/* Add, edit, pause or delete recurring templates and skip single occurrences;
+          due occurrences are posted automatically by TransactionContext */}
+      <RecurringManager
+        isOpen={showRecurringModal}
+        onClose={() => setShowRecurringModal(false)}
+        showMessage={showMessage}
+        showConfirm={showConfirm}
+      />
+
+      {/* Modal: Accounts */}
+      {/* Add, edit, archive or delete accounts and reconcile them against statements */}
+      <AccountsManager
+        isOpen={showAccountsModal}
+        onClose={() => setShowAccountsModal(false)}
+        showMessage={showMessage}
+        showConfirm={showConfirm}
+      />
+
+      {/* Modal: Exchange Rates */}
+      {/* Local rate table used to pre-fill foreign currency transactions */}
+      <ExchangeRatesManager
+        isOpen={showRatesModal}
+        onClose={() => setShowRatesModal(false)}
+        showMessage={showMessage}
       />
 
       {/* Modal: Message/Notification Display */}
@@ -171,6 +237,15 @@ const AppContainer = () => {
       <ConfirmModal
         isOpen={showConfirmModal}
         message={confirmMessage}
+        confirmLabel={confirmOptions.confirmLabel}
+        secondaryLabel={confirmOptions.secondaryLabel}
+        onSecondary={
+          confirmOptions.secondaryAction &&
+          (() => {
+            confirmOptions.secondaryAction();
+            setShowConfirmModal(false);
+          })
+        }
         onConfirm={() => {
           if (confirmAction) {
             confirmAction();
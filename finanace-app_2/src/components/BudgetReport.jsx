@@ -0,0 +1,237 @@
+import React, { useState } from "react";
+import { useTransactions } from "../components/TransactionContext";
+import { buildBudgetReport, getActualSpending } from "../utils/budget";
+import { parseMoney, toInputValue } from "../utils/money";
+
+/**
+ * BudgetReport Component
+ *
+ * Planned vs actual spending per expense category for the viewed period,
+ * shown by OverviewSection's "Budget" view. Features include:
+ * - Planned amount, actual spending and variance (planned - actual) per category
+ * - Over-budget categories highlighted in red, most over budget first
+ * - Inline editing of the plan, for every period or for this period only
+ *
+ * Actual spending leaves out roll-over pairs, like the charts do. Archived
+ * categories are listed only while they have spending in the period.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Function} props.showMessage - Shows an error when saving fails
+ *
+ * @returns {JSX.Element} Budget table
+ */
+const BudgetReport = ({ showMessage }) => {
+  const {
+    userCategories,
+    currentPeriod,
+    setPlannedBudget,
+    formatMoney,
+    baseCurrency,
+    currencyStep,
+  } = useTransactions();
+
+  // Category being edited and the amount typed for it
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState("");
+  // True while a plan is being saved (setPlannedBudget leaves the context's
+  // `loading` alone, so this view stays mounted)
+  const [isSaving, setIsSaving] = useState(false);
+
+  // ==================== Compute Derived Data ====================
+  const actualSpending = getActualSpending(currentPeriod.transactions);
+  const { rows, totals } = buildBudgetReport(
+    userCategories.filter((cat) => !cat.archived || actualSpending[cat.name]),
+    actualSpending,
+    currentPeriod.startKey
+  );
+
+  // ==================== Event Handlers ====================
+  const startEditing = (row) => {
+    setEditingId(row.category.id);
+    setDraft(
+      row.planned === null ? "" : toInputValue(row.planned, baseCurrency)
+    );
+  };
+
+  /**
+   * Save the typed amount
+   *
+   * @param {boolean} thisPeriodOnly - Store it as an override for the viewed
+   *                                   period instead of the every-period plan
+   */
+  const handleSave = async (thisPeriodOnly) => {
+    const amount = parseMoney(draft, baseCurrency);
+    if (amount === null || amount < 0) {
+      showMessage("Please enter a valid planned amount.", true);
+      return;
+    }
+    setIsSaving(true);
+    const saved = await setPlannedBudget(
+      editingId,
+      amount,
+      thisPeriodOnly ? currentPeriod.startKey : null
+    );
+    setIsSaving(false);
+    if (saved) {
+      setEditingId(null);
+    } else {
+      showMessage("Failed to save planned amount.", true);
+    }
+  };
+
+  /**
+   * Remove the plan shown: the override when there is one (the
+   * every-period plan applies again), otherwise the every-period plan
+   */
+  const handleRemove = async (row) => {
+    setIsSaving(true);
+    const saved = await setPlannedBudget(
+      row.category.id,
+      null,
+      row.isOverride ? currentPeriod.startKey : null
+    );
+    setIsSaving(false);
+    if (saved) {
+      setEditingId(null);
+    } else {
+      showMessage("Failed to remove planned amount.", true);
+    }
+  };
+
+  // ==================== Component Render ====================
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg shadow overflow-x-auto">
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-2">
+          No expense categories yet.
+        </p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-700">
+              <th className="text-left font-medium pb-2">Category</th>
+              <th className="text-right font-medium pb-2">Planned</th>
+              <th className="text-right font-medium pb-2">Actual</th>
+              <th className="text-right font-medium pb-2">Variance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) =>
+              editingId === row.category.id ? (
+                <tr key={row.category.id} className="bg-white">
+                  <td colSpan="4" className="py-2 px-1">
+                    <div className="flex items-center gap-2">
+                      <span className="text-gray-700 font-medium flex-grow">
+                        {row.category.name}
+                      </span>
+                      <input
+                        type="number"
+                        min="0"
+                        step={currencyStep}
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        className="w-28 p-1 border border-gray-300 rounded-md text-right"
+                        aria-label={`Planned amount for ${row.category.name} (${baseCurrency})`}
+                        autoFocus
+                      />
+                    </div>
+                    <div className="flex flex-wrap justify-end gap-2 mt-2 text-xs font-semibold">
+                      <button
+                        onClick={() => handleSave(false)}
+                        disabled={isSaving}
+                        className="px-2 py-1 rounded-md bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50"
+                      >
+                        Every Period
+                      </button>
+                      <button
+                        onClick={() => handleSave(true)}
+                        disabled={isSaving}
+                        className="px-2 py-1 rounded-md border border-blue-500 text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+                      >
+                        This Period Only
+                      </button>
+                      {row.planned !== null && (
+                        <button
+                          onClick={() => handleRemove(row)}
+                          disabled={isSaving}
+                          className="px-2 py-1 text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          {row.isOverride ? "Remove Override" : "Remove Plan"}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => setEditingId(null)}
+                        className="px-2 py-1 text-gray-600 hover:text-gray-800"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ) : (
+                <tr
+                  key={row.category.id}
+                  className={row.overBudget ? "bg-red-50" : ""}
+                >
+                  <td className="py-0.5">
+                    <button
+                      onClick={() => startEditing(row)}
+                      className="text-left text-gray-600 hover:text-blue-600"
+                      title="Edit planned amount"
+                    >
+                      {row.category.name}
+                    </button>
+                    {row.isOverride && (
+                      <span className="ml-1 text-xs text-gray-400">
+                        (this period)
+                      </span>
+                    )}
+                  </td>
+                  <td className="text-right text-gray-800">
+                    {row.planned === null ? "—" : formatMoney(row.planned)}
+                  </td>
+                  <td className="text-right text-gray-800">
+                    {formatMoney(row.actual)}
+                  </td>
+                  <td
+                    className={`text-right ${row.overBudget ? "text-red-600 font-semibold" : "text-green-600"}`}
+                  >
+                    {row.variance === null ? "—" : formatMoney(row.variance)}
+                    {row.usedRatio !== null && (
+                      <span className="block text-xs text-gray-500 font-normal">
+                        {Math.round(row.usedRatio * 100)}% used
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              )
+            )}
+          </tbody>
+          <tfoot>
+            <tr className="border-t border-gray-200 font-semibold">
+              <td className="text-gray-700 pt-2">Total planned</td>
+              <td className="text-right text-gray-800 pt-2">
+                {formatMoney(totals.planned)}
+              </td>
+              <td className="text-right text-gray-800 pt-2">
+                {formatMoney(totals.actual)}
+              </td>
+              <td
+                className={`text-right pt-2 ${totals.variance < 0 ? "text-red-600" : "text-green-600"}`}
+              >
+                {formatMoney(totals.variance)}
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+      <p className="mt-2 text-xs text-gray-500">
+        Click a category to set its planned amount. Totals cover planned
+        categories only; roll-overs between periods are not counted.
+      </p>
+    </div>
+  );
+};
+
+export default BudgetReport;
@@ -25,6 +25,13 @@ import React from 'react';
  *                               Should contain the destructive logic (delete, clear, etc.)
  * @param {Function} onCancel - Callback executed when user clicks "No"
  *                              Should close modal or revert to previous state
+ * @param {string} [confirmLabel="Yes, Delete"] - Text of the primary (red) button
+ * @param {string} [secondaryLabel] - Text of an optional middle button offering
+ *                                    a narrower alternative to the primary action
+ *                                    Example: "This Only" next to "Delete Both"
+ * @param {Function} [onSecondary] - Callback executed when the secondary button is clicked
+ *                                   The secondary button only renders when both
+ *                                   secondaryLabel and onSecondary are provided
  *
  * @component
  * @returns {JSX.Element|null} Confirmation modal or null if not open
@@ -47,7 +54,15 @@ import React from 'react';
  *   </>
  * );
  */
-const ConfirmModal = ({ isOpen, message, onConfirm, onCancel }) => {
+const ConfirmModal = ({
+  isOpen,
+  message,
+  onConfirm,
+  onCancel,
+  confirmLabel = "Yes, Delete",
+  secondaryLabel,
+  onSecondary,
+}) => {
   // ==================== Visibility Guard ====================
   // If modal is closed, don't render any DOM elements
   // This prevents:
@@ -97,6 +112,18 @@ const ConfirmModal = ({ isOpen, message, onConfirm, onCancel }) => {
             No
           </button>
 
+          {/* Secondary Button (optional) */}
+          {/* - Alternative to the primary action (e.g., delete one item instead of two)
+              - Neutral outline styling so it doesn't compete with the primary action */}
+          {secondaryLabel && onSecondary && (
+            <button
+              onClick={onSecondary}
+              className="px-4 py-2 text-sm font-medium text-red-600 border border-red-500 hover:bg-red-50 rounded-lg"
+            >
+              {secondaryLabel}
+            </button>
+          )}
+
           {/* Confirm Button */}
           {/* - Primary action (red background)
               - Executes onConfirm callback on click (triggers the deletion/destructive action)
@@ -107,7 +134,7 @@ const ConfirmModal = ({ isOpen, message, onConfirm, onCancel }) => {
             onClick={onConfirm}
             className="px-4 py-2 text-sm font-medium text-white bg-red-500 hover:bg-red-600 rounded-lg"
           >
-            Yes, Delete
+            {confirmLabel}
           </button>
         </div>
       </div>
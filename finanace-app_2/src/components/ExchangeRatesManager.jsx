@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from "react";
+import { Trash2 } from "lucide-react";
+import { useTransactions } from "../components/TransactionContext";
+import { SUPPORTED_CURRENCIES } from "../utils/currency";
+import { isValidRate, parseRateFile } from "../utils/exchange";
+
+/**
+ * ExchangeRatesManager Component
+ *
+ * A modal for the local exchange rate table used when entering transactions
+ * in a foreign currency. Features include:
+ * - List of saved rates for the current base currency ("1 USD = 3.64 QAR")
+ * - Add or update a single rate
+ * - Remove a rate
+ * - Import rates from a CSV or JSON file (see utils/exchange parseRateFile)
+ *
+ * The table is stored in this browser only. Changing a rate never changes
+ * transactions already entered: each one keeps the rate it was converted with.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Controls modal visibility
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Function} props.showMessage - Display toast notification (message, isError)
+ *
+ * @returns {JSX.Element|null} Modal component or null if not open
+ */
+const ExchangeRatesManager = ({ isOpen, onClose, showMessage }) => {
+  const { baseCurrency, exchangeRates, setExchangeRates, removeExchangeRate } =
+    useTransactions();
+
+  // ==================== Form State ====================
+  // Currency code and rate (as typed) for the add/update row
+  const [newCurrency, setNewCurrency] = useState("");
+  const [newRate, setNewRate] = useState("");
+
+  // Clear the add/update row whenever the modal is reopened
+  useEffect(() => {
+    if (isOpen) {
+      setNewCurrency("");
+      setNewRate("");
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  /**
+   * Add or update one rate
+   *
+   * Validates:
+   * - A currency other than the base currency is chosen
+   * - Rate is a positive number
+   */
+  const handleSave = (e) => {
+    e.preventDefault();
+    const rate = parseFloat(newRate);
+    if (!newCurrency || newCurrency === baseCurrency || !isValidRate(rate)) {
+      showMessage("Please choose a currency and enter a positive rate.", true);
+      return;
+    }
+    setExchangeRates({ [newCurrency]: rate });
+    setNewCurrency("");
+    setNewRate("");
+  };
+
+  /**
+   * Import rates from a CSV/JSON file chosen by the user.
+   * Imported rates are merged into the table, replacing existing ones.
+   */
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    // Reset the input so choosing the same file again triggers onChange
+    e.target.value = "";
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const rates = parseRateFile(String(reader.result), baseCurrency);
+        setExchangeRates(rates);
+        showMessage(
+          `Imported ${Object.keys(rates).length} exchange rate(s) for ${baseCurrency}.`
+        );
+      } catch (error) {
+        showMessage(`Could not import rates: ${error.message}`, true);
+      }
+    };
+    reader.onerror = () => showMessage("Could not read the file.", true);
+    reader.readAsText(file);
+  };
+
+  // ==================== Compute Derived Data ====================
+  const savedRates = Object.entries(exchangeRates).sort(([a], [b]) =>
+    a.localeCompare(b)
+  );
+  const currencyOptions = [
+    ...new Set([...SUPPORTED_CURRENCIES, ...Object.keys(exchangeRates)]),
+  ].filter((code) => code !== baseCurrency);
+
+  const inputClass =
+    "p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+
+  // ==================== Component Render ====================
+  return (
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto flex-shrink-0">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">
+            Exchange Rates
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              fill="none"
+              viewBox="0 0 24 24"
+              strokeWidth="2"
+              stroke="currentColor"
+              className="w-6 h-6"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <p className="mb-4 text-xs text-gray-500">
+          Rates are saved in this browser and pre-filled when you enter a
+          transaction in another currency. Transactions keep the rate they were
+          entered with.
+        </p>
+
+        {/* ============ Saved Rates ============ */}
+        {savedRates.length === 0 ? (
+          <p className="text-gray-500 text-center py-4">
+            No exchange rates for {baseCurrency} yet.
+          </p>
+        ) : (
+          <ul className="space-y-2 mb-4">
+            {savedRates.map(([code, rate]) => (
+              <li
+                key={code}
+                className="flex justify-between items-center p-2 border border-gray-200 rounded-lg text-sm"
+              >
+                <span className="text-gray-700">
+                  1 {code} = {rate} {baseCurrency}
+                </span>
+                <div className="flex items-center space-x-1">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setNewCurrency(code);
+                      setNewRate(String(rate));
+                    }}
+                    className="text-blue-600 hover:text-blue-800 text-xs font-semibold p-1"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeExchangeRate(code)}
+                    className="text-red-500 hover:text-red-700 p-1 rounded-full"
+                    title="Remove"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* ============ Add / Update a Rate ============ */}
+        <form onSubmit={handleSave} className="flex gap-2 mb-4">
+          <select
+            value={newCurrency}
+            onChange={(e) => setNewCurrency(e.target.value)}
+            className={inputClass}
+            aria-label="Currency"
+          >
+            <option value="">Currency</option>
+            {currencyOptions.map((code) => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            value={newRate}
+            onChange={(e) => setNewRate(e.target.value)}
+            step="any"
+            min="0"
+            className={`${inputClass} flex-grow min-w-0`}
+            placeholder={`${baseCurrency} per 1 unit`}
+            aria-label="Rate"
+          />
+          <button
+            type="submit"
+            className="bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition-colors"
+          >
+            Save
+          </button>
+        </form>
+
+        {/* ============ Import From File ============ */}
+        {/* CSV ("USD,3.64" per line) or JSON ({ "USD": 3.64 } or a rate API's
+            { "base": ..., "rates": {...} }) */}
+        <label className="block w-full text-center text-blue-600 hover:text-blue-800 font-semibold text-sm py-2 px-4 rounded-lg border border-blue-600 hover:border-blue-800 transition-colors cursor-pointer">
+          Import From File (CSV or JSON)
+          <input
+            type="file"
+            accept=".csv,.json,.txt,text/csv,application/json,text/plain"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRatesManager;
@@ -1,6 +1,18 @@
 import React, { useState, useRef, useEffect, useMemo } from "react";
-import { ChevronDown, ChevronUp, Send } from "lucide-react";
+import {
+  AlertTriangle,
+  ChevronDown,
+  ChevronUp,
+  Send,
+  Undo2,
+} from "lucide-react";
 import { useTransactions } from "./TransactionContext";
+import { buildCategorySummary } from "../utils/summary";
+import { getRolloverPolicy } from "../utils/rollover";
+import { getActualSpending, getPlannedBudget } from "../utils/budget";
+import { buildSpendingForecast, getScheduledSpending } from "../utils/forecast";
+import { toDateKey } from "../utils/recurrence";
+import TrendDelta from "./TrendDelta";
 
 /**
  * ExpenseList Component
@@ -11,22 +23,33 @@ import { useTransactions } from "./TransactionContext";
  * - Displays categorized income and expenses for the current billing cycle
  * - Shows budget utilization with progress bars and color-coded indicators
  * - Allows forwarding surplus balances to the next billing period
- * - Supports both calendar month and custom billing cycle modes
+ * - Supports calendar month, weekly, bi-weekly and custom billing cycle modes
  *
  * Modes:
  * 1. View Mode (default):
  *    - Shows all categories with their income, expenses, and balances
+ *    - Transfers between categories show as "In"/"Out" on each side
  *    - Displays progress bar indicating percentage of budget remaining
+ *      (of the planned budget when the category has one, see utils/budget)
  *    - Color-coded: Green (>50%), Yellow (15-50%), Red (<15%)
+ *    - Spending trend vs the previous period and the same period last year
+ *      (arrow and percentage of the "Exp:" amount shown; see TrendDelta)
+ *    - While the period is under way: projected spending at its end, from
+ *      the pace so far plus scheduled recurring items (see utils/forecast),
+ *      with a warning on categories projected to exceed their budget
  *
  * 2. Forward Mode:
- *    - Toggles to select categories with positive balance
+ *    - Toggles to select categories with a surplus or a deficit; a deficit
+ *      is carried as a debit that lowers the next period's budget
+ *    - Categories with an automatic rollover policy are left out (they
+ *      carry over on their own when the period ends)
  *    - Forward button becomes active when categories are selected
  *    - Confirms action before proceeding
+ *    - The last forward can be undone from the toolbar ("Undo Forward")
  *
  * Data Flow:
- * 1. Get cycle boundaries (calendar or custom) from context
- * 2. Filter transactions within cycle date range
+ * 1. Get the viewed period's transactions from context (currentPeriod)
+ * 2. Same period and transactions as OverviewSection, whatever the cycle
  * 3. Calculate category summaries (income, expense, balance)
  * 4. Filter out empty categories
  * 5. Render dropdown menu with category list
@@ -39,14 +62,19 @@ const ExpenseList = () => {
   // ==================== Context & State Management ====================
   // Get transaction data and cycle utilities from the transaction context
   const {
-    transactions, // All transactions from Firestore
     currentMonth, // Current month index (0-11)
     currentYear, // Current year
     forwardSurplus, // Function to forward balance to next period
+    undoForward, // Function to reverse a forward by its ID
+    lastForwardId, // Last forward made this session, offered for undo (or null)
     loading, // Loading state during async operations
-    getCycleBoundaries, // Function to calculate cycle start/end dates
-    cycleType, // "calendar" or "custom" billing cycle
+    currentPeriod, // Viewed period's boundaries and transactions
+    periodComparison, // Viewed, previous and last year's period totals
+    cycleType, // "calendar", "weekly", "biweekly" or "custom" billing cycle
     formatCycleHeader, // Function to format cycle display text
+    formatMoney, // Formats amounts in the user's base currency
+    userCategories, // Category documents (for their rollover policies)
+    recurringTemplates, // Recurring items still due count in the forecast
   } = useTransactions();
 
   // ==================== Local UI State ====================
@@ -61,91 +89,30 @@ const ExpenseList = () => {
 
   // ==================== Data Computation & Filtering ====================
   /**
-   * Get cycle boundaries from context
-   * Returns start and end dates based on billing cycle type:
+   * Transactions of the viewed period, shared with OverviewSection
+   * Period depends on the billing cycle type:
    * - Calendar: 1st to last day of current month
-   * - Custom: custom start day (current month) to custom end day (next month)
+   * - Weekly / Bi-weekly: the viewed week or two weeks
+   * - Custom: the viewed period of the anchored cycle
    */
-  const { start: cycleStart, end: cycleEnd } = getCycleBoundaries(
-    currentMonth,
-    currentYear
-  );
-
-  /**
-   * Filter transactions to only those within the current cycle
-   * Memoized to prevent recalculation on every render
-   * Only recalculates when transactions or boundaries change
-   */
-  const filteredTransactions = useMemo(() => {
-    return transactions.filter((t) => {
-      const transactionDate = t.date.toDate();
-
-      // Strip time components for accurate date-only comparison
-      const txDateOnly = new Date(
-        transactionDate.getFullYear(),
-        transactionDate.getMonth(),
-        transactionDate.getDate()
-      );
-
-      const startDateOnly = new Date(
-        cycleStart.getFullYear(),
-        cycleStart.getMonth(),
-        cycleStart.getDate()
-      );
-
-      const endDateOnly = new Date(
-        cycleEnd.getFullYear(),
-        cycleEnd.getMonth(),
-        cycleEnd.getDate()
-      );
-
-      return txDateOnly >= startDateOnly && txDateOnly <= endDateOnly;
-    });
-  }, [transactions, cycleStart, cycleEnd]);
-
-  /**
-   * Normalize filtered transactions to array format
-   * May come as array or object depending on Firestore query result
-   */
-  const transactionsArray = Array.isArray(filteredTransactions)
-    ? filteredTransactions
-    : Object.values(filteredTransactions || {});
+  const filteredTransactions = currentPeriod.transactions;
 
   /**
    * Calculate summary for each category
-   * Structure: { categoryName: { income: 0, expense: 0, balance: 0 } }
-   * Balance = income - expense
+   * Structure: { categoryName: { income, expense, transferIn, transferOut, balance } }
+   * Balance = income + transferIn - expense - transferOut
    *
    * Memoized to prevent recalculation on every render
    * Only recalculates when transactions array changes
    */
-  const categorySummary = useMemo(() => {
-    return transactionsArray.reduce((acc, t) => {
-      if (!t || typeof t.amount !== "number" || !t.category || !t.type) {
-        return acc;
-      }
-
-      const { category, amount, type } = t;
-
-      if (!acc[category]) {
-        acc[category] = { income: 0, expense: 0, balance: 0 };
-      }
-
-      if (type === "income") {
-        acc[category].income += amount;
-        acc[category].balance += amount;
-      } else if (type === "expense") {
-        acc[category].expense += amount;
-        acc[category].balance -= amount;
-      }
-
-      return acc;
-    }, {});
-  }, [transactionsArray]);
+  const categorySummary = useMemo(
+    () => buildCategorySummary(filteredTransactions),
+    [filteredTransactions]
+  );
 
   /**
    * Build category list from summary
-   * - Includes only categories with income or expense activity
+   * - Includes only categories with income, expense or transfer activity
    * - Adds id field for React key in lists
    * - Spreads summary data (income, expense, balance) for easy access
    *
@@ -154,11 +121,11 @@ const ExpenseList = () => {
    */
   const expenseCategoriesList = useMemo(() => {
     return Object.keys(categorySummary)
-      .filter(
-        (categoryName) =>
-          categorySummary[categoryName].income > 0 ||
-          categorySummary[categoryName].expense > 0
-      )
+      .filter((categoryName) => {
+        const { income, expense, transferIn, transferOut } =
+          categorySummary[categoryName];
+        return income > 0 || expense > 0 || transferIn > 0 || transferOut > 0;
+      })
       .map((categoryName) => ({
         name: categoryName,
         id: categoryName,
@@ -166,6 +133,82 @@ const ExpenseList = () => {
       }));
   }, [categorySummary]);
 
+  /**
+   * Spending measured against planned budgets, without roll-over pairs
+   * (the same actual amounts BudgetReport shows, see utils/budget)
+   */
+  const actualSpending = useMemo(
+    () => getActualSpending(filteredTransactions),
+    [filteredTransactions]
+  );
+
+  /**
+   * Budget a category's spending is measured against: its planned budget
+   * for this period when it has one (see utils/budget), otherwise what was
+   * posted to it (transfers in/out raise or lower the available budget)
+   *
+   * Against a plan the spending is the actual amount without roll-outs;
+   * against what was posted it is the full "Exp:" amount, since roll-ins
+   * count on the budget side too.
+   *
+   * @param {Object} category - Entry of expenseCategoriesList
+   * @returns {Object} { planned: number|null, budget: number, spent: number }
+   */
+  const getCategoryBudget = (category) => {
+    const planned = getPlannedBudget(
+      userCategories.find((cat) => cat.name === category.name),
+      currentPeriod.startKey
+    );
+    if (planned !== null) {
+      return {
+        planned,
+        budget: planned,
+        spent: actualSpending[category.name] || 0,
+      };
+    }
+    return {
+      planned,
+      budget: category.income + category.transferIn - category.transferOut,
+      spent: category.expense,
+    };
+  };
+
+  /**
+   * End-of-period spending projection (see utils/forecast)
+   * Same boundaries as getCycleBoundaries (the viewed period); recurring
+   * items count under their category's current name
+   */
+  const forecast = useMemo(() => {
+    const todayKey = toDateKey(new Date());
+    const period = { start: currentPeriod.startKey, end: currentPeriod.endKey };
+    const nameFor = (template) =>
+      userCategories.find((cat) => cat.id === template.categoryId)?.name ||
+      template.category;
+    return buildSpendingForecast(
+      filteredTransactions,
+      period,
+      todayKey,
+      getScheduledSpending(recurringTemplates, period, todayKey, nameFor)
+    );
+  }, [filteredTransactions, currentPeriod, recurringTemplates, userCategories]);
+
+  /**
+   * Categories projected to end the period over budget: { [name]: overBy }
+   * Only while the period has days left; a category without a plan and
+   * nothing posted to it has no budget to exceed
+   */
+  const projectedOverruns = {};
+  if (forecast.daysLeft > 0) {
+    expenseCategoriesList.forEach((category) => {
+      const { planned, budget } = getCategoryBudget(category);
+      const projected = forecast.categories[category.name]?.projected || 0;
+      if ((planned !== null || budget > 0) && projected > budget) {
+        projectedOverruns[category.name] = projected - budget;
+      }
+    });
+  }
+  const overrunCount = Object.keys(projectedOverruns).length;
+
   // ==================== Event Handlers ====================
   /**
    * Toggle dropdown menu open/closed state
@@ -230,17 +273,32 @@ const ExpenseList = () => {
       return;
     }
 
-    // Calculate total balance of selected categories
-    const totalAmount = selectedCategories.reduce(
-      (sum, name) => sum + (categorySummary[name]?.balance || 0),
-      0
+    // Total surplus and total deficit of the selected categories
+    const balances = selectedCategories.map(
+      (name) => categorySummary[name]?.balance || 0
     );
+    const totalSurplus = balances
+      .filter((b) => b > 0)
+      .reduce((sum, b) => sum + b, 0);
+    const totalDeficit = balances
+      .filter((b) => b < 0)
+      .reduce((sum, b) => sum - b, 0);
+    const amountText = [
+      totalSurplus > 0 && `${formatMoney(totalSurplus)} of surplus`,
+      totalDeficit > 0 && `${formatMoney(totalDeficit)} of deficit`,
+    ]
+      .filter(Boolean)
+      .join(" and ");
 
     // Confirm before proceeding (destructive operation)
     const isConfirmed = window.confirm(
-      `Are you sure you want to forward QAR ${totalAmount.toFixed(2)} from ${
+      `Are you sure you want to forward ${amountText} from ${
         selectedCategories.length
-      } categories?`
+      } categories?${
+        totalDeficit > 0
+          ? " Deficits are taken from the next period's budget."
+          : ""
+      }`
     );
 
     if (!isConfirmed) return;
@@ -251,15 +309,12 @@ const ExpenseList = () => {
       balance: categorySummary[name].balance,
     }));
 
-    // Call context function to forward surplus
-    const success = await forwardSurplus(surplusData);
+    // Call context function to forward surplus (returns the forward's ID,
+    // which the context keeps as lastForwardId for the undo button)
+    const forwardId = await forwardSurplus(surplusData);
 
-    if (success) {
-      alert(
-        `Successfully forwarded QAR ${totalAmount.toFixed(
-          2
-        )} to the next budget period.`
-      );
+    if (forwardId) {
+      alert(`Successfully forwarded ${amountText} to the next budget period.`);
     } else {
       alert("Forwarding failed. The budget period may not be completed yet.");
     }
@@ -270,6 +325,29 @@ const ExpenseList = () => {
     setSelectedCategories([]);
   };
 
+  /**
+   * Undo the last forward made this session
+   * Removes all of its roll-out/roll-over transactions and restores the
+   * category totals (see undoForward in TransactionContext, which also
+   * clears lastForwardId)
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  const handleUndoForward = async () => {
+    const isConfirmed = window.confirm(
+      "Undo the last forward? Its roll-out and roll-over transactions will be removed."
+    );
+    if (!isConfirmed) return;
+
+    const success = await undoForward(lastForwardId);
+    if (success) {
+      alert("Forward undone.");
+    } else {
+      alert("Could not undo the forward. It may already have been undone.");
+    }
+  };
+
   // ==================== Click-Outside Detection ====================
   /**
    * Effect: Close dropdown when clicking outside
@@ -342,18 +420,31 @@ const ExpenseList = () => {
   /**
    * Filter category list based on current mode
    * - View Mode: Show all categories with activity
-   * - Forward Mode: Show only categories with positive balance (can be forwarded)
+   * - Forward Mode: Show only categories with a non-zero balance (surplus or
+   *   deficit) and no automatic rollover policy (those would be carried over twice)
    */
   const renderedCategoriesList = isForwarding
-    ? expenseCategoriesList.filter((category) => category.balance > 0)
+    ? expenseCategoriesList.filter(
+        (category) =>
+          category.balance !== 0 &&
+          getRolloverPolicy(
+            userCategories.find((cat) => cat.name === category.name)
+          ) === "none"
+      )
     : expenseCategoriesList;
 
   /**
    * Display indicator showing which billing cycle is active
    * - "📅 Calendar" for calendar month mode
+   * - "🗓️ Weekly" / "🗓️ Bi-weekly" for weekly periods
    * - "⚙️ Custom" for custom billing cycle mode
    */
-  const cycleIndicator = cycleType === "calendar" ? "📅 Calendar" : "⚙️ Custom";
+  const cycleIndicator =
+    {
+      calendar: "📅 Calendar",
+      weekly: "🗓️ Weekly",
+      biweekly: "🗓️ Bi-weekly",
+    }[cycleType] || "⚙️ Custom";
 
   // ==================== Component Render ====================
   return (
@@ -377,6 +468,13 @@ const ExpenseList = () => {
           {isForwarding
             ? "Select Funds to Forward"
             : `Expense List - ${cycleIndicator}`}
+          {/* Warning when categories are projected to exceed their budget */}
+          {overrunCount > 0 && (
+            <AlertTriangle
+              className="ml-2 h-4 w-4 text-red-500"
+              aria-label={`${overrunCount} categories projected over budget`}
+            />
+          )}
           {/* Chevron icon rotates based on open state */}
           {isOpen ? (
             <ChevronUp className="ml-2 -mr-1 h-5 w-5" aria-hidden="true" />
@@ -426,20 +524,12 @@ const ExpenseList = () => {
             ) : (
               // View Mode: Forward Surplus button to switch to forward mode
               <button
-                onClick={
-                  cycleType === "calendar" ? toggleForwarding : undefined
-                }
-                disabled={cycleType !== "calendar"}
-                className={`flex items-center px-4 py-2 text-sm font-medium rounded-md transition-colors
-      ${
-        cycleType === "calendar"
-          ? "text-blue-600 hover:bg-blue-50"
-          : "text-gray-400 bg-gray-100 cursor-not-allowed"
-      }`}
+                onClick={toggleForwarding}
+                className="flex items-center px-4 py-2 text-sm font-medium rounded-md transition-colors text-blue-600 hover:bg-blue-50"
                 title={
-                  cycleType !== "calendar"
-                    ? "Only available in Calendar Month mode"
-                    : ""
+                  cycleType === "calendar"
+                    ? ""
+                    : "Forwards into the period after the one shown"
                 }
               >
                 <Send className="w-4 h-4 mr-2" />
@@ -447,6 +537,18 @@ const ExpenseList = () => {
               </button>
             )}
 
+            {/* Undo button visible in View Mode after a forward */}
+            {!isForwarding && lastForwardId && (
+              <button
+                onClick={handleUndoForward}
+                className="flex items-center px-2 py-2 text-sm font-medium rounded-md transition-colors text-gray-600 hover:bg-gray-100"
+                disabled={loading}
+              >
+                <Undo2 className="w-4 h-4 mr-1" />
+                Undo Forward
+              </button>
+            )}
+
             {/* Cancel button visible only in Forward Mode */}
             {isForwarding && (
               <button
@@ -463,6 +565,21 @@ const ExpenseList = () => {
           {/* Displays the current billing cycle date range */}
           <div className="px-4 py-2 bg-gray-50 border-b border-gray-200 text-sm text-gray-600 font-medium">
             Period: {formatCycleHeader(currentMonth, currentYear)}
+            {/* Overall projection while the period is under way */}
+            {forecast.daysLeft > 0 && forecast.total.projected > 0 && (
+              <div className="text-xs font-normal text-gray-500">
+                Projected spending: {formatMoney(forecast.total.projected)}
+                {forecast.total.scheduled > 0 &&
+                  ` (incl. ${formatMoney(forecast.total.scheduled)} scheduled)`}{" "}
+                by period end, {forecast.daysLeft} days left
+                {overrunCount > 0 && (
+                  <span className="text-red-600 font-semibold">
+                    {" "}
+                    · {overrunCount} over budget
+                  </span>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Categories List */}
@@ -473,22 +590,37 @@ const ExpenseList = () => {
             {renderedCategoriesList.length === 0 ? (
               <div className="px-4 py-2 text-sm text-gray-500 text-center">
                 {isForwarding
-                  ? "No categories have a positive balance to forward."
+                  ? "No categories have a balance to forward."
                   : "No activity recorded for this period."}
               </div>
             ) : (
               // Category Item List
               renderedCategoriesList.map((category) => {
-                // Calculate budget utilization percentage
+                // Calculate budget utilization percentage against the
+                // category's budget (see getCategoryBudget)
+                const {
+                  planned,
+                  budget,
+                  spent: budgetSpent,
+                } = getCategoryBudget(category);
                 const percentageRemaining = calculatePercentageRemaining(
-                  category.expense,
-                  category.income
+                  budgetSpent,
+                  budget
                 );
+                const hasTransfers =
+                  category.transferIn > 0 || category.transferOut > 0;
                 const progressBarWidth = percentageRemaining;
                 const progressBarColor =
                   getProgressBarColor(percentageRemaining);
                 const balance = category.balance;
                 const isChecked = selectedCategories.includes(category.name);
+                // Spending in this category per period, counted like the
+                // "Exp:" amount above (roll-outs included)
+                const spentIn = (row) =>
+                  row.categories[category.name]?.expense || 0;
+                const spent = spentIn(periodComparison.current);
+                const projection = forecast.categories[category.name];
+                const overrun = projectedOverruns[category.name];
 
                 return (
                   <div
@@ -519,11 +651,19 @@ const ExpenseList = () => {
                             {category.name}
                           </span>
                           <span className="text-xs text-gray-500">
-                            Exp: QAR {category.expense.toFixed(2)} / Inc: QAR{" "}
-                            {category.income.toFixed(2)}
+                            Exp: {formatMoney(category.expense)} / Inc:{" "}
+                            {formatMoney(category.income)}
                           </span>
                         </div>
 
+                        {/* Transfers between categories (only when there are any) */}
+                        {hasTransfers && (
+                          <div className="flex justify-end mb-1 text-xs text-indigo-600">
+                            In: {formatMoney(category.transferIn)} / Out:{" "}
+                            {formatMoney(category.transferOut)}
+                          </div>
+                        )}
+
                         {/* Progress Bar (visible in View Mode only) */}
                         {!isForwarding && (
                           <div className="w-full bg-gray-200 rounded-full h-2">
@@ -537,7 +677,10 @@ const ExpenseList = () => {
                         {/* Bottom Row: Percentage Remaining and Balance */}
                         <div className="flex justify-between items-center mt-1">
                           <div className="text-xs text-gray-600">
-                            {percentageRemaining.toFixed(0)}% Remaining
+                            {percentageRemaining.toFixed(0)}%{" "}
+                            {planned === null
+                              ? "Remaining"
+                              : `of ${formatMoney(planned)} plan left`}
                           </div>
                           {/* Balance color coded: red if negative (over budget), green if positive */}
                           <div
@@ -545,9 +688,54 @@ const ExpenseList = () => {
                               balance < 0 ? "text-red-500" : "text-green-600"
                             }`}
                           >
-                            Balance: QAR {balance.toFixed(2)}
+                            Balance: {formatMoney(balance)}
                           </div>
                         </div>
+
+                        {/* End-of-period projection (View Mode, period under way)
+                            Red with a warning when projected over budget */}
+                        {!isForwarding &&
+                          projection &&
+                          forecast.daysLeft > 0 && (
+                            <div
+                              className={`flex justify-end items-center mt-1 text-xs ${
+                                overrun
+                                  ? "text-red-600 font-semibold"
+                                  : "text-gray-500"
+                              }`}
+                            >
+                              {overrun && (
+                                <AlertTriangle
+                                  className="w-3 h-3 mr-1"
+                                  aria-hidden="true"
+                                />
+                              )}
+                              Projected: {formatMoney(projection.projected)}
+                              {overrun &&
+                                ` (${formatMoney(overrun)} over budget)`}
+                            </div>
+                          )}
+
+                        {/* Spending trend (View Mode, categories with spending now or before) */}
+                        {!isForwarding &&
+                          (spent > 0 ||
+                            spentIn(periodComparison.previous) > 0 ||
+                            spentIn(periodComparison.lastYear) > 0) && (
+                            <div className="flex justify-end gap-3 mt-1">
+                              <TrendDelta
+                                current={spent}
+                                previous={spentIn(periodComparison.previous)}
+                                label="prev."
+                                higherIsBetter={false}
+                              />
+                              <TrendDelta
+                                current={spent}
+                                previous={spentIn(periodComparison.lastYear)}
+                                label="last yr"
+                                higherIsBetter={false}
+                              />
+                            </div>
+                          )}
                       </div>
                     </label>
                   </div>
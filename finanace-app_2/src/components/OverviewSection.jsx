@@ -1,140 +1,149 @@
 import React from 'react';
 import { useTransactions } from '../components/TransactionContext';
+import PeriodSummary from './PeriodSummary';
+import SpendingCharts from './SpendingCharts';
+import BudgetReport from './BudgetReport';
+import TrendDelta from './TrendDelta';
+import { parseDateKey } from '../utils/recurrence';
 
 /**
  * OverviewSection Component
  * 
  * Purpose:
- * Displays a summary of financial data for the selected calendar month, including:
- * - Month navigation (previous/next month)
- * - Total income for the month
- * - Total expenses for the month
+ * Displays a summary of financial data for the viewed budget period, including:
+ * - Period navigation (previous/next month, week or billing cycle)
+ * - Total income for the period
+ * - Total expenses for the period
  * - Current balance (income - expenses)
+ * - Trend of each total vs the previous period and the same period last
+ *   year: arrow and percentage under the card (see TrendDelta)
+ * - Charts: spending by category, daily spending against budget, and income
+ *   vs expenses over the last 12 periods (see SpendingCharts)
+ * - Account balances (cash, cards...) at the end of the period, plus their total
+ * - Year and last-N-periods views: each period's totals side by side,
+ *   per-category totals and a to-date savings rate (see PeriodSummary)
+ * - Budget view: planned vs actual spending per category for the viewed
+ *   period, with the plans editable in place (see BudgetReport)
  * 
  * Behavior:
- * - Always uses calendar month boundaries (1st to last day of month)
- * - Filters transactions based on selected month/year from context
+ * - Uses the billing cycle chosen in settings (calendar month, weekly,
+ *   bi-weekly or custom), the same period ExpenseList shows
+ * - Takes the period and its transactions from context (currentPeriod)
  * - Updates totals reactively when transactions change
- * - Supports month navigation with previous/next buttons
+ * - Supports period navigation with previous/next buttons
+ * - View selector under the header: Period | Budget | Year | Last N
+ *   (Budget keeps one-period steps; Year and Last N move by one year,
+ *   or by N periods)
  * 
  * Data Flow:
- * 1. Gets transactions and month/year from TransactionContext
- * 2. Filters transactions to match current calendar month
- * 3. Calculates income, expenses, and balance totals
- * 4. Displays results in three colored cards (green/red/blue)
+ * 1. Gets the current period and its transactions from TransactionContext
+ * 2. Calculates income, expenses, and balance totals
+ * 3. Displays results in three colored cards (green/red/blue)
  * 
  * Features:
  * - Color-coded totals: Green (income), Red (expenses), Blue (balance)
  * - Responsive layout: Cards stack and scroll on mobile
- * - Navigation arrows: Easy month switching
- * - Currency formatting: Displays amounts with QAR currency and 2 decimal places
+ * - Navigation arrows: Easy period switching
+ * - Currency formatting: Displays amounts in the user's base currency via formatMoney
  * 
  * Usage Example:
  * ```jsx
  * <OverviewSection />
  * 
  * // Displays:
- * // [< Previous Month | March 2024 | Next Month >]
+ * // [< Previous Period | March 2024 | Next Period >]
+ * // (custom cycle: [< | Mar 25, 2024 - Apr 24, 2024 | >])
  * // [Total Income: QAR 5,000.00] [Total Expenses: QAR 2,500.00] [Balance: QAR 2,500.00]
  * ```
  * 
+ * Props:
+ * - onManageAccounts: Opens the AccountsManager modal
+ * - showMessage: Shows errors from the Budget view (e.g., a failed save)
+ *
  * Dependencies:
- * - useTransactions: Provides transactions, currentMonth, currentYear, changeMonth
+ * - useTransactions: Provides currentPeriod, periodComparison, currentMonth, currentYear, changeMonth,
+ *   changeYear, getRecentPeriods, formatCycleHeader, accounts, getAccountBalances,
+ *   formatMoney
  */
-const OverviewSection = () => {
+const OverviewSection = ({ onManageAccounts, showMessage }) => {
   const { 
-    transactions, 
+    currentPeriod,
+    periodComparison,
     currentMonth, 
     currentYear, 
-    changeMonth
-    // Note: Removed getCycleBoundaries and formatCycleHeader
+    changeMonth,
+    changeYear,
+    getRecentPeriods,
+    formatCycleHeader,
+    accounts,
+    getAccountBalances,
+    formatMoney
   } = useTransactions();
 
-  // ==================== Calendar Month Boundaries ====================
-  // Always use calendar month (1st to last day), regardless of any billing cycle settings
-  // This ensures OverviewSection always shows a complete calendar month view
-  //
-  // Calculation:
-  // - calendarStart: First day of the month (time = 00:00:00)
-  //   Format: new Date(year, month, 1)
-  //   Example: March 1, 2024 at 00:00:00
-  //
-  // - calendarEnd: Last moment of the month (time = 23:59:59.999)
-  //   Format: new Date(year, month + 1, 0, 23, 59, 59, 999)
-  //   Why month + 1? JavaScript's Date constructor wraps around:
-  //   - new Date(2024, 3, 0) = Feb 29, 2024 (last day of Feb)
-  //   - new Date(2024, 3, 0, 23:59:59) = last moment of Feb
-  //   - new Date(2024, 4, 0) = Mar 31, 2024 (last day of Mar)
-  //
-  // Examples:
-  // March 2024: Start 2024-03-01 00:00:00 → End 2024-03-31 23:59:59.999
-  // Feb 2024:   Start 2024-02-01 00:00:00 → End 2024-02-29 23:59:59.999 (leap year)
-  const calendarStart = new Date(currentYear, currentMonth, 1);
-  const calendarEnd = new Date(currentYear, currentMonth + 1, 0, 23, 59, 59, 999);
-  
-  // ==================== Filter Transactions by Calendar Month ====================
-  // Extract only transactions that fall within the current calendar month
-  //
-  // Process:
-  // 1. For each transaction in the list:
-  //    - Convert Firestore Timestamp to JavaScript Date: t.date.toDate()
-  //    - Check if transactionDate >= calendarStart AND <= calendarEnd
-  //    - Include transaction only if both conditions are true
-  //
-  // 2. Result: filteredTransactions contains only transactions for this month
-  //
-  // Example:
-  // If currentMonth = February 2024:
-  // - calendarStart = Feb 1, 2024 00:00:00
-  // - calendarEnd = Feb 29, 2024 23:59:59.999
-  // - Only transactions between these dates are included
-  //
-  // Why this matters:
-  // - Ensures accurate monthly totals (no data from previous/next months)
-  // - Prevents double-counting in cumulative calculations
-  // - Supports proper month-to-month comparisons
-  const filteredTransactions = transactions.filter(t => {
-    const transactionDate = t.date.toDate();
-    return transactionDate >= calendarStart && transactionDate <= calendarEnd;
-  });
+  // ==================== View Selection ====================
+  // view: "period" (one period, the default) | "budget" | "year" | "periods" (last N)
+  // periodCount: N for the "periods" view
+  const [view, setView] = React.useState("period");
+  const [periodCount, setPeriodCount] = React.useState(6);
 
-  // ==================== Month Header Display ====================
-  // Format the current month and year for display above the totals card
+  // ==================== Current Period ====================
+  // The viewed period comes from the shared currentPeriod selector, so the
+  // totals here always match ExpenseList, whatever the billing cycle
   //
-  // toLocaleString() converts month number to readable text:
-  // - Options: { month: 'long', year: 'numeric' }
-  // - month: 'long' = full month name (e.g., "March", "February")
-  // - year: 'numeric' = 4-digit year (e.g., "2024", "2025")
+  // - periodEnd: Last moment of the period (time = 23:59:59.999)
+  //   Example: Calendar March 2024 → 2024-03-31 23:59:59.999
+  //            Custom from the 25th → 2024-04-24 23:59:59.999
   //
-  // Locale behavior:
-  // - 'default' uses browser's locale settings
-  // - Automatically handles month names in user's language
+  // - filteredTransactions: Only transactions dated inside the period
+  //   Why this matters:
+  //   - Ensures accurate period totals (no data from previous/next periods)
+  //   - Prevents double-counting in cumulative calculations
+  //   - Supports proper period-to-period comparisons
+  const { end: periodEnd, transactions: filteredTransactions } = currentPeriod;
+
+  // ==================== Period Header Display ====================
+  // Same text as ExpenseList's "Period:" line (see formatCycleHeader)
   //
   // Examples:
-  // - currentMonth = 2 (March, 0-indexed), currentYear = 2024 → "March 2024"
-  // - currentMonth = 1 (February, 0-indexed), currentYear = 2024 → "February 2024"
-  const cycleHeader = new Date(currentYear, currentMonth).toLocaleString('default', { 
-    month: 'long', 
-    year: 'numeric' 
-  });
+  // - Calendar: "March 2024"
+  // - Weekly, bi-weekly and custom: "Mar 25, 2024 - Apr 24, 2024"
+  const cycleHeader = formatCycleHeader(currentMonth, currentYear);
 
-  // ==================== Calculate Monthly Totals ====================
-  // Sum up all income and expenses for the current month
+  // Header and arrow step for the selected view
+  // - Period and Budget: "March 2024", arrows move one period (changeMonth)
+  // - Year: "2024", arrows move one year (changeYear)
+  // - Last N: "Oct 1, 2023 - Mar 31, 2024", arrows move N periods
+  let viewHeader = cycleHeader;
+  let navigate = changeMonth;
+  if (view === 'year') {
+    viewHeader = String(parseDateKey(currentPeriod.startKey).getFullYear());
+    navigate = changeYear;
+  } else if (view === 'periods') {
+    const recent = getRecentPeriods(periodCount);
+    const dateOptions = { month: 'short', day: 'numeric', year: 'numeric' };
+    viewHeader = `${parseDateKey(recent[0].start).toLocaleDateString('default', dateOptions)} - ${parseDateKey(currentPeriod.endKey).toLocaleDateString('default', dateOptions)}`;
+    navigate = (delta) => changeMonth(delta * periodCount);
+  }
+
+  // ==================== Calculate Period Totals ====================
+  // Sum up all income and expenses for the current period
   //
   // Initialize accumulators:
   // - totalIncome: Sum of all transactions with type === 'income'
-  // - totalExpenses: Sum of all transactions with type !== 'income' (includes 'expense', etc.)
+  // - totalExpenses: Sum of all transactions with type === 'expense'
   //
   // Process:
   // 1. Loop through each filtered transaction
   // 2. Check transaction type:
   //    - If 'income': add to totalIncome
   //    - If 'expense': add to totalExpenses
-  // 3. Final values represent complete month summary
+  //    - If 'transfer': skip (money only moves between categories,
+  //      so the period's income, expenses and balance are unchanged)
+  // 3. Final values represent complete period summary
   //
   // Formula:
   // - balance = totalIncome - totalExpenses
-  // - Positive balance: More income than expenses (good month!)
+  // - Positive balance: More income than expenses (good period!)
   // - Negative balance: More expenses than income (deficit)
   //
   // Example:
@@ -150,28 +159,56 @@ const OverviewSection = () => {
   filteredTransactions.forEach(t => {
     if (t.type === 'income') {
       totalIncome += t.amount;
-    } else {
+    } else if (t.type === 'expense') {
       totalExpenses += t.amount;
     }
   });
   
   const balance = totalIncome - totalExpenses;
 
+  // ==================== Trend Deltas ====================
+  // The card totals above against the period before and the same period last
+  // year, counted the same way (roll-overs included, transfers left out; see
+  // periodComparison in TransactionContext), so each delta describes the
+  // number shown above it
+  //
+  // Example: expenses 2,200 now, 2,000 last period, 2,500 last year
+  // → "↗ 10% vs prev." (red, spending rose) and "↘ 12% vs last yr" (green)
+  const { previous, lastYear } = periodComparison;
+
+  // ==================== Account Balances ====================
+  // Running balance of each account at the end of the viewed period
+  // (opening balance + all income - all expenses dated up to periodEnd).
+  // Unlike the period totals above, these carry over from period to period.
+  //
+  // Archived accounts are listed only while they still hold money, and the
+  // total covers every account so it always equals the sum of the wallets.
+  //
+  // Example:
+  // Cash: opening 200, expenses 50 → QAR 150.00
+  // Visa: opening -300, expenses 120 → -QAR 420.00
+  // Total: -QAR 270.00
+  const accountBalances = getAccountBalances(periodEnd);
+  const visibleAccounts = accounts.filter(
+    a => !a.archived || (accountBalances[a.id] || 0) !== 0
+  );
+  const totalBalance = Object.values(accountBalances).reduce((sum, b) => sum + b, 0);
+
   // ==================== Render Section ====================
   return (
     <section className="mb-6">
       
-      {/* ============ Month Navigation Header ============ */}
-      {/* Displays month name centered with navigation arrows on left/right */}
+      {/* ============ Period Navigation Header ============ */}
+      {/* Displays the period centered with navigation arrows on left/right */}
       <div className="flex justify-between items-center mb-4">
         
-        {/* Previous Month Button */}
+        {/* Previous Period Button */}
         {/* - Rounded-full creates circular button
             - hover:bg-gray-200 provides visual feedback on hover
-            - onClick={() => changeMonth(-1)} calls context function to go back 1 month
+            - onClick={() => navigate(-1)} goes back 1 period, 1 year or N periods
             - SVG: Left arrow icon (chevron-left) */}
         <button
-          onClick={() => changeMonth(-1)}
+          onClick={() => navigate(-1)}
           className="p-2 rounded-full hover:bg-gray-200 transition-colors"
         >
           <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6 text-gray-600">
@@ -179,19 +216,20 @@ const OverviewSection = () => {
           </svg>
         </button>
         
-        {/* Month and Year Display */}
+        {/* Period Display */}
         {/* - text-xl: Large font size for prominence
             - font-semibold: Bold text
             - text-gray-700: Dark gray color for good contrast
-            - cycleHeader: "March 2024" format */}
-        <h2 className="text-xl font-semibold text-gray-700">{cycleHeader}</h2>
+            - viewHeader: "March 2024" or "Mar 25, 2024 - Apr 24, 2024" (formatCycleHeader),
+              the year, or the range of the last N periods */}
+        <h2 className="text-xl font-semibold text-gray-700">{viewHeader}</h2>
         
-        {/* Next Month Button */}
+        {/* Next Period Button */}
         {/* - Same styling as previous button
-            - onClick={() => changeMonth(1)} moves forward 1 month
+            - onClick={() => navigate(1)} moves forward 1 period, 1 year or N periods
             - SVG: Right arrow icon (chevron-right) */}
         <button
-          onClick={() => changeMonth(1)}
+          onClick={() => navigate(1)}
           className="p-2 rounded-full hover:bg-gray-200 transition-colors"
         >
           <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" className="w-6 h-6 text-gray-600">
@@ -200,53 +238,147 @@ const OverviewSection = () => {
         </button>
       </div>
 
-      {/* ============ Financial Summary Cards ============ */}
-      {/* Displays three cards in a row showing income, expenses, and balance
-          - flex gap-x-3: Horizontal layout with spacing between cards
-          - text-center: All content centered within each card
-          - overflow-x-auto: Allows scrolling on mobile if needed */}
-      <div className="flex gap-x-3 text-center overflow-x-auto">
+      {/* ============ View Selector ============ */}
+      {/* Period: the cards below | Budget: BudgetReport table
+          Year / Last N: PeriodSummary tables
+          - The N select appears with the "Last N" view */}
+      <div className="flex justify-center items-center gap-2 mb-4 text-sm">
+        {[['period', 'Period'], ['budget', 'Budget'], ['year', 'Year'], ['periods', 'Last']].map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => setView(value)}
+            className={`px-3 py-1 rounded-full font-medium transition-colors ${
+              view === value ? 'bg-blue-500 text-white' : 'text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        {view === 'periods' && (
+          <select
+            value={periodCount}
+            onChange={(e) => setPeriodCount(Number(e.target.value))}
+            className="p-1 border border-gray-300 rounded-md text-sm"
+            aria-label="Number of periods"
+          >
+            {[3, 6, 12, 24].map((count) => (
+              <option key={count} value={count}>
+                {count} periods
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {view === 'budget' ? (
+        <BudgetReport showMessage={showMessage} />
+      ) : view !== 'period' ? (
+        <PeriodSummary view={view} periodCount={periodCount} />
+      ) : (
+        <>
+          {/* ============ Financial Summary Cards ============ */}
+          {/* Displays three cards in a row showing income, expenses, and balance
+              - flex gap-x-3: Horizontal layout with spacing between cards
+              - text-center: All content centered within each card
+              - overflow-x-auto: Allows scrolling on mobile if needed */}
+          <div className="flex gap-x-3 text-center overflow-x-auto">
         
-        {/* Total Income Card */}
-        {/* Color scheme: Green (positive indicator)
-            - bg-green-50: Very light green background
-            - text-green-700: Dark green label text
-            - text-green-600: Medium green for amount
-            - p-4: Padding inside card
-            - rounded-lg: Rounded corners
-            - shadow: Subtle shadow for depth */}
-        <div className="bg-green-50 p-4 rounded-lg shadow">
-          <p className="text-sm text-green-700 font-medium">Total Income</p>
-          <p className="text-xl font-bold text-green-600">QAR {totalIncome.toFixed(2)}</p>
-        </div>
+            {/* Total Income Card */}
+            {/* Color scheme: Green (positive indicator)
+                - bg-green-50: Very light green background
+                - text-green-700: Dark green label text
+                - text-green-600: Medium green for amount
+                - Trend deltas under the amount (vs previous period, vs last year)
+                - p-4: Padding inside card
+                - rounded-lg: Rounded corners
+                - shadow: Subtle shadow for depth */}
+            <div className="bg-green-50 p-4 rounded-lg shadow">
+              <p className="text-sm text-green-700 font-medium">Total Income</p>
+              <p className="text-xl font-bold text-green-600">{formatMoney(totalIncome)}</p>
+              <div className="flex flex-col items-center mt-1">
+                <TrendDelta current={totalIncome} previous={previous.income} label="prev." />
+                <TrendDelta current={totalIncome} previous={lastYear.income} label="last yr" />
+              </div>
+            </div>
         
-        {/* Total Expenses Card */}
-        {/* Color scheme: Red (warning indicator)
-            - bg-red-50: Very light red background
-            - text-red-700: Dark red label text
-            - text-red-600: Medium red for amount
-            - Styling same as income card (consistent design) */}
-        <div className="bg-red-50 p-4 rounded-lg shadow">
-          <p className="text-sm text-red-700 font-medium">Total Expenses</p>
-          <p className="text-xl font-bold text-red-600">QAR {totalExpenses.toFixed(2)}</p>
-        </div>
+            {/* Total Expenses Card */}
+            {/* Color scheme: Red (warning indicator)
+                - bg-red-50: Very light red background
+                - text-red-700: Dark red label text
+                - text-red-600: Medium red for amount
+                - Styling same as income card (consistent design) */}
+            <div className="bg-red-50 p-4 rounded-lg shadow">
+              <p className="text-sm text-red-700 font-medium">Total Expenses</p>
+              <p className="text-xl font-bold text-red-600">{formatMoney(totalExpenses)}</p>
+              <div className="flex flex-col items-center mt-1">
+                <TrendDelta current={totalExpenses} previous={previous.expenses} label="prev." higherIsBetter={false} />
+                <TrendDelta current={totalExpenses} previous={lastYear.expenses} label="last yr" higherIsBetter={false} />
+              </div>
+            </div>
         
-        {/* Balance Card */}
-        {/* Color scheme: Blue primary, with dynamic color for amount
-            - bg-blue-50: Very light blue background
-            - text-blue-700: Dark blue label text
-            - Dynamic amount color:
-              • balance >= 0: Blue (healthy balance)
-              • balance < 0: Red (deficit warning)
-            - Math.abs() ensures positive display (color shows direction)
-            - toFixed(2): Always shows 2 decimal places for currency */}
-        <div className="bg-blue-50 p-4 rounded-lg shadow">
-          <p className="text-sm text-blue-700 font-medium">Balance</p>
-          <p className={`text-xl font-bold ${balance >= 0 ? 'text-blue-600' : 'text-red-600'}`}>
-            QAR {Math.abs(balance).toFixed(2)}
-          </p>
-        </div>
-      </div>
+            {/* Balance Card */}
+            {/* Color scheme: Blue primary, with dynamic color for amount
+                - bg-blue-50: Very light blue background
+                - text-blue-700: Dark blue label text
+                - Dynamic amount color:
+                  • balance >= 0: Blue (healthy balance)
+                  • balance < 0: Red (deficit warning)
+                - signDisplay "never" shows the absolute value (color shows direction)
+                - formatMoney: base currency symbol and decimals */}
+            <div className="bg-blue-50 p-4 rounded-lg shadow">
+              <p className="text-sm text-blue-700 font-medium">Balance</p>
+              <p className={`text-xl font-bold ${balance >= 0 ? 'text-blue-600' : 'text-red-600'}`}>
+                {formatMoney(balance, { signDisplay: 'never' })}
+              </p>
+              <div className="flex flex-col items-center mt-1">
+                <TrendDelta current={balance} previous={previous.balance} label="prev." />
+                <TrendDelta current={balance} previous={lastYear.balance} label="last yr" />
+              </div>
+            </div>
+          </div>
+
+          {/* ============ Charts ============ */}
+          {/* SVG charts for the viewed period (donut, daily spend line)
+              and the 12 periods up to it (income vs expense bars) */}
+          <SpendingCharts />
+
+          {/* ============ Account Balances ============ */}
+          {/* One row per account (balance at period end), then the total across accounts
+              - Negative balances (e.g., credit card debt) shown in red with a minus sign
+              - "Manage" opens AccountsManager (add, archive, reconcile) */}
+          <div className="mt-4 p-3 bg-gray-50 rounded-lg shadow">
+            <div className="flex justify-between items-center mb-2">
+              <p className="text-sm text-gray-700 font-medium">Accounts</p>
+              {onManageAccounts && (
+                <button
+                  onClick={onManageAccounts}
+                  className="text-xs text-blue-600 hover:text-blue-800 font-semibold"
+                >
+                  Manage
+                </button>
+              )}
+            </div>
+            <ul className="space-y-1 text-sm">
+              {visibleAccounts.map(account => (
+                <li key={account.id} className="flex justify-between">
+                  <span className="text-gray-600">{account.name}</span>
+                  <span className={accountBalances[account.id] < 0 ? 'text-red-600' : 'text-gray-800'}>
+                    {formatMoney(accountBalances[account.id] || 0)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            {visibleAccounts.length > 1 && (
+              <div className="flex justify-between mt-2 pt-2 border-t border-gray-200 text-sm font-semibold">
+                <span className="text-gray-700">Total</span>
+                <span className={totalBalance < 0 ? 'text-red-600' : 'text-gray-800'}>
+                  {formatMoney(totalBalance)}
+                </span>
+              </div>
+            )}
+          </div>
+        </>
+      )}
     </section>
   );
 };
@@ -0,0 +1,192 @@
+import React from "react";
+import { useTransactions } from "../components/TransactionContext";
+import { buildMultiPeriodSummary } from "../utils/summary";
+import { toDateKey, parseDateKey } from "../utils/recurrence";
+
+/**
+ * PeriodSummary Component
+ *
+ * Totals for several budget periods at once, shown by OverviewSection in
+ * place of the single-period cards. Features include:
+ * - One row per period with its income, expenses and balance
+ * - Per-category totals across all the periods shown
+ * - To-date income, expenses and savings rate (share of income not spent)
+ *
+ * Periods follow the billing cycle in settings: a year view lists every
+ * period starting in the viewed period's year (12 months, 52 weeks, ...),
+ * an N-period view the viewed period and the N - 1 before it.
+ * Roll-over pairs are left out (see utils/summary buildMultiPeriodSummary).
+ *
+ * @component
+ * @param {Object} props
+ * @param {"year"|"periods"} props.view - Which periods to list
+ * @param {number} props.periodCount - Number of periods in the "periods" view
+ *
+ * @returns {JSX.Element} Summary tables
+ */
+const PeriodSummary = ({ view, periodCount }) => {
+  const {
+    transactions,
+    currentPeriod,
+    cycleType,
+    getYearPeriods,
+    getRecentPeriods,
+    formatMoney,
+  } = useTransactions();
+
+  // ==================== Compute Derived Data ====================
+  const periods =
+    view === "year"
+      ? getYearPeriods(parseDateKey(currentPeriod.startKey).getFullYear())
+      : getRecentPeriods(periodCount);
+  const { rows, categories, totals, toDate } = buildMultiPeriodSummary(
+    transactions,
+    periods,
+    toDateKey(new Date())
+  );
+
+  // Categories with any income or spending, biggest spending first
+  const categoryRows = Object.entries(categories)
+    .filter(([, c]) => c.income !== 0 || c.expense !== 0)
+    .sort(([, a], [, b]) => b.expense - a.expense || b.income - a.income);
+
+  /**
+   * Row label for a period
+   * - Calendar: "Jan 2025"
+   * - Other cycles: "Mar 25 - Apr 24"
+   */
+  const formatPeriodLabel = ({ start, end }) => {
+    if (cycleType === "calendar") {
+      return parseDateKey(start).toLocaleDateString("default", {
+        month: "short",
+        year: "numeric",
+      });
+    }
+    const options = { month: "short", day: "numeric" };
+    return `${parseDateKey(start).toLocaleDateString("default", options)} - ${parseDateKey(end).toLocaleDateString("default", options)}`;
+  };
+
+  const savingsRateText =
+    toDate.savingsRate === null
+      ? "—"
+      : `${Math.round(toDate.savingsRate * 100)}%`;
+
+  // ==================== Component Render ====================
+  return (
+    <div>
+      {/* ============ To-Date Cards ============ */}
+      {/* Only transactions dated up to today, so the savings rate of the
+          current year isn't diluted by periods that haven't happened yet */}
+      <div className="flex gap-x-3 text-center overflow-x-auto">
+        <div className="bg-green-50 p-4 rounded-lg shadow">
+          <p className="text-sm text-green-700 font-medium">Income to Date</p>
+          <p className="text-xl font-bold text-green-600">
+            {formatMoney(toDate.income)}
+          </p>
+        </div>
+        <div className="bg-red-50 p-4 rounded-lg shadow">
+          <p className="text-sm text-red-700 font-medium">Expenses to Date</p>
+          <p className="text-xl font-bold text-red-600">
+            {formatMoney(toDate.expenses)}
+          </p>
+        </div>
+        <div className="bg-blue-50 p-4 rounded-lg shadow">
+          <p className="text-sm text-blue-700 font-medium">Savings Rate</p>
+          <p
+            className={`text-xl font-bold ${toDate.balance >= 0 ? "text-blue-600" : "text-red-600"}`}
+          >
+            {savingsRateText}
+          </p>
+        </div>
+      </div>
+
+      {/* ============ Totals per Period ============ */}
+      <div className="mt-4 p-3 bg-gray-50 rounded-lg shadow overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-700">
+              <th className="text-left font-medium pb-2">Period</th>
+              <th className="text-right font-medium pb-2">Income</th>
+              <th className="text-right font-medium pb-2">Expenses</th>
+              <th className="text-right font-medium pb-2">Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.period.start}>
+                <td className="text-gray-600 py-0.5">
+                  {formatPeriodLabel(row.period)}
+                </td>
+                <td className="text-right text-green-600">
+                  {formatMoney(row.income)}
+                </td>
+                <td className="text-right text-red-600">
+                  {formatMoney(row.expenses)}
+                </td>
+                <td
+                  className={`text-right ${row.balance < 0 ? "text-red-600" : "text-gray-800"}`}
+                >
+                  {formatMoney(row.balance)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t border-gray-200 font-semibold">
+              <td className="text-gray-700 pt-2">Total</td>
+              <td className="text-right text-green-600 pt-2">
+                {formatMoney(totals.income)}
+              </td>
+              <td className="text-right text-red-600 pt-2">
+                {formatMoney(totals.expenses)}
+              </td>
+              <td
+                className={`text-right pt-2 ${totals.balance < 0 ? "text-red-600" : "text-gray-800"}`}
+              >
+                {formatMoney(totals.balance)}
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {/* ============ Totals per Category ============ */}
+      <div className="mt-4 p-3 bg-gray-50 rounded-lg shadow">
+        <p className="text-sm text-gray-700 font-medium mb-2">
+          By Category ({view === "year" ? "year" : `${rows.length} periods`})
+        </p>
+        {categoryRows.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-2">
+            No income or expenses in these periods.
+          </p>
+        ) : (
+          <ul className="space-y-1 text-sm">
+            {categoryRows.map(([name, c]) => (
+              <li key={name} className="flex justify-between gap-2">
+                <span className="text-gray-600">{name}</span>
+                <span className="text-right">
+                  {c.income !== 0 && (
+                    <span className="text-green-600">
+                      +{formatMoney(c.income)}
+                    </span>
+                  )}
+                  {c.income !== 0 && c.expense !== 0 && " / "}
+                  {c.expense !== 0 && (
+                    <span className="text-red-600">
+                      -{formatMoney(c.expense)}
+                    </span>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        <p className="mt-2 text-xs text-gray-500">
+          Roll-overs between periods and transfers are not counted.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default PeriodSummary;
@@ -0,0 +1,660 @@
+import React, { useState, useEffect } from "react";
+import { Pause, Play, Pencil, Trash2 } from "lucide-react";
+import { useTransactions } from "../components/TransactionContext";
+import {
+  toDateKey,
+  parseDateKey,
+  getUpcomingOccurrences,
+  describeSchedule,
+} from "../utils/recurrence";
+import { DEFAULT_ACCOUNT_ID, getAccountId } from "../utils/accounts";
+import { parseMoney, toInputValue } from "../utils/money";
+
+/**
+ * RecurringManager Component
+ *
+ * A modal for managing recurring transactions (rent, utilities, salary...).
+ * Features include:
+ * - List of recurring templates with their schedule and next occurrences
+ * - Add / edit a template (frequency, interval, day of month, end date or count)
+ * - Pause / resume a template
+ * - Skip (or un-skip) a single upcoming occurrence
+ * - Delete a template (transactions it already posted are kept)
+ *
+ * Due occurrences are posted by TransactionContext, not by this component;
+ * it only edits the templates stored in Firestore.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Controls modal visibility
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Function} props.showMessage - Display toast notification (message, isError)
+ * @param {Function} props.showConfirm - Display confirmation dialog (message, callback, options)
+ *
+ * @returns {JSX.Element|null} Modal component or null if not open
+ */
+const RecurringManager = ({ isOpen, onClose, showMessage, showConfirm }) => {
+  const {
+    userCategories,
+    recurringTemplates,
+    accounts,
+    baseCurrency,
+    currencyStep,
+    formatMoney,
+    addRecurring,
+    updateRecurring,
+    setRecurringPaused,
+    setOccurrenceSkipped,
+    deleteRecurring,
+  } = useTransactions();
+
+  // ==================== Form State ====================
+  // Template being added or edited (null = list view)
+  // { id: string | null, type, amount, category, accountId, description, frequency,
+  //   interval, startDate, dayOfMonth, endMode: "never" | "date" | "count",
+  //   endDate, count } — numeric fields kept as strings while editing
+  const [form, setForm] = useState(null);
+
+  // Return to the list view whenever the modal is reopened
+  useEffect(() => {
+    if (isOpen) setForm(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  /**
+   * Format a "YYYY-MM-DD" occurrence key for display, e.g. "Mar 31, 2025"
+   */
+  const formatDateKey = (dateKey) =>
+    parseDateKey(dateKey).toLocaleDateString("default", {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    });
+
+  /**
+   * Open the form for a new template, starting today
+   */
+  const startAdd = () => {
+    setForm({
+      id: null,
+      type: "expense",
+      amount: "",
+      category: "",
+      accountId: DEFAULT_ACCOUNT_ID,
+      description: "",
+      frequency: "monthly",
+      interval: "1",
+      startDate: toDateKey(new Date()),
+      dayOfMonth: "",
+      endMode: "never",
+      endDate: "",
+      count: "",
+    });
+  };
+
+  /**
+   * Open the form pre-filled from an existing template
+   *
+   * @param {Object} template - Template from recurringTemplates
+   */
+  const startEdit = (template) => {
+    setForm({
+      id: template.id,
+      type: template.type,
+      amount: toInputValue(template.amount, baseCurrency),
+      category: getCategoryName(template),
+      accountId: getAccountId(template),
+      description: template.description || "",
+      frequency: template.frequency,
+      interval: String(template.interval || 1),
+      startDate: template.startDate,
+      dayOfMonth: template.dayOfMonth ? String(template.dayOfMonth) : "",
+      endMode: template.endDate ? "date" : template.count ? "count" : "never",
+      endDate: template.endDate || "",
+      count: template.count ? String(template.count) : "",
+    });
+  };
+
+  const updateForm = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  /**
+   * Current name of a template's category (follows renames via categoryId)
+   */
+  const getCategoryName = (template) =>
+    userCategories.find((cat) => cat.id === template.categoryId)?.name ||
+    template.category;
+
+  /**
+   * Form submission handler (add or edit)
+   *
+   * Validates:
+   * - Amount is positive and a category is chosen
+   * - Interval is a whole number >= 1, day of month 1-31 (if given)
+   * - End date is not before the start date / count is >= 1
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const amount = parseMoney(form.amount, baseCurrency);
+    const interval = parseInt(form.interval, 10);
+    const dayOfMonth = form.dayOfMonth ? parseInt(form.dayOfMonth, 10) : null;
+    const count = form.endMode === "count" ? parseInt(form.count, 10) : null;
+    const endDate = form.endMode === "date" ? form.endDate : null;
+
+    if (!form.category || !(amount > 0) || !form.startDate) {
+      showMessage("Please fill all fields with valid values.", true);
+      return;
+    }
+    if (isNaN(interval) || interval < 1) {
+      showMessage("Repeat interval must be at least 1.", true);
+      return;
+    }
+    if (dayOfMonth !== null && (dayOfMonth < 1 || dayOfMonth > 31)) {
+      showMessage("Day of month must be between 1 and 31.", true);
+      return;
+    }
+    if (form.endMode === "date" && (!endDate || endDate < form.startDate)) {
+      showMessage("End date must be on or after the start date.", true);
+      return;
+    }
+    if (form.endMode === "count" && (isNaN(count) || count < 1)) {
+      showMessage("Number of occurrences must be at least 1.", true);
+      return;
+    }
+
+    const usesDayOfMonth =
+      form.frequency === "monthly" || form.frequency === "yearly";
+    const template = {
+      type: form.type,
+      amount,
+      category: form.category,
+      accountId: form.accountId,
+      description: form.description.trim(),
+      frequency: form.frequency,
+      interval,
+      startDate: form.startDate,
+      dayOfMonth: usesDayOfMonth ? dayOfMonth : null,
+      endDate,
+      count,
+    };
+
+    const success = form.id
+      ? await updateRecurring(form.id, template)
+      : await addRecurring(template);
+
+    if (success) {
+      showMessage(
+        form.id
+          ? "Recurring transaction updated."
+          : "Recurring transaction added. Any occurrences due up to today will be posted now."
+      );
+      setForm(null);
+    } else {
+      showMessage("Error saving recurring transaction.", true);
+    }
+  };
+
+  /**
+   * Handler for pausing or resuming a template
+   */
+  const handleTogglePaused = async (template) => {
+    const success = await setRecurringPaused(template.id, !template.paused);
+    if (!success) {
+      showMessage("Error updating recurring transaction.", true);
+    }
+  };
+
+  /**
+   * Handler for skipping / un-skipping one upcoming occurrence
+   */
+  const handleToggleSkipped = async (template, occurrence) => {
+    const success = await setOccurrenceSkipped(
+      template.id,
+      occurrence.dateKey,
+      !occurrence.skipped
+    );
+    if (!success) {
+      showMessage("Error updating occurrence.", true);
+    }
+  };
+
+  /**
+   * Handler for deleting a template with user confirmation
+   */
+  const handleDelete = (template) => {
+    const name = template.description || getCategoryName(template);
+    showConfirm(
+      `Stop the recurring '${name}'? Transactions already posted are kept.`,
+      async () => {
+        const success = await deleteRecurring(template.id);
+        if (success) {
+          showMessage(`Recurring '${name}' deleted.`);
+        } else {
+          showMessage(`Error deleting recurring '${name}'.`, true);
+        }
+      }
+    );
+  };
+
+  // ==================== Compute Derived Data ====================
+  // Categories offered in the form: all active ones, plus the archived
+  // category of the template being edited so it stays selectable
+  const formCategories = form
+    ? userCategories.filter(
+        (cat) => !cat.archived || cat.name === form.category
+      )
+    : [];
+
+  // Accounts offered in the form: active ones plus the template's own account
+  const formAccounts = form
+    ? accounts.filter((a) => !a.archived || a.id === form.accountId)
+    : [];
+
+  // Templates with their next occurrences, soonest first; ended ones last
+  const templates = recurringTemplates
+    .map((template) => ({
+      template,
+      upcoming: getUpcomingOccurrences(template, 3),
+    }))
+    .sort((a, b) => {
+      const aNext = a.upcoming[0]?.dateKey || "9999-12-31";
+      const bNext = b.upcoming[0]?.dateKey || "9999-12-31";
+      return aNext.localeCompare(bNext);
+    });
+
+  const inputClass =
+    "w-full p-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-1";
+
+  // ==================== Component Render ====================
+  return (
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-40 p-4">
+      <div className="bg-white p-6 rounded-lg shadow-xl w-full max-w-md max-h-full overflow-y-auto flex-shrink-0">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-gray-800">
+            {form
+              ? form.id
+                ? "Edit Recurring Transaction"
+                : "Add Recurring Transaction"
+              : "Recurring Transactions"}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              fill="none"
+              viewBox="0 0 24 24"
+              strokeWidth="2"
+              stroke="currentColor"
+              className="w-6 h-6"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        {form ? (
+          // ==================== Add / Edit Form ====================
+          <form onSubmit={handleSubmit}>
+            {/* Type - income or expense */}
+            <div className="mb-4">
+              <label htmlFor="recurringType" className={labelClass}>
+                Type
+              </label>
+              <select
+                id="recurringType"
+                value={form.type}
+                onChange={(e) => updateForm({ type: e.target.value })}
+                className={inputClass}
+              >
+                <option value="income">Income</option>
+                <option value="expense">Expense</option>
+              </select>
+            </div>
+
+            {/* Amount - posted unchanged on every occurrence */}
+            <div className="mb-4">
+              <label htmlFor="recurringAmount" className={labelClass}>
+                Amount ({baseCurrency})
+              </label>
+              <input
+                type="number"
+                id="recurringAmount"
+                value={form.amount}
+                onChange={(e) => updateForm({ amount: e.target.value })}
+                step={currencyStep}
+                min={currencyStep}
+                required
+                className={inputClass}
+                placeholder="e.g., 3500.00"
+              />
+            </div>
+
+            {/* Category */}
+            <div className="mb-4">
+              <label htmlFor="recurringCategory" className={labelClass}>
+                Category
+              </label>
+              <select
+                id="recurringCategory"
+                value={form.category}
+                onChange={(e) => updateForm({ category: e.target.value })}
+                required
+                className={inputClass}
+              >
+                <option value="">Select a category</option>
+                {formCategories.map((cat) => (
+                  <option key={cat.id} value={cat.name}>
+                    {cat.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Account - where each occurrence is posted */}
+            <div className="mb-4">
+              <label htmlFor="recurringAccount" className={labelClass}>
+                Account
+              </label>
+              <select
+                id="recurringAccount"
+                value={form.accountId}
+                onChange={(e) => updateForm({ accountId: e.target.value })}
+                className={inputClass}
+              >
+                {formAccounts.map((account) => (
+                  <option key={account.id} value={account.id}>
+                    {account.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Description */}
+            <div className="mb-4">
+              <label htmlFor="recurringDescription" className={labelClass}>
+                Description (Optional)
+              </label>
+              <input
+                type="text"
+                id="recurringDescription"
+                value={form.description}
+                onChange={(e) => updateForm({ description: e.target.value })}
+                className={inputClass}
+                placeholder="e.g., Monthly rent, Salary"
+              />
+            </div>
+
+            {/* Schedule - frequency and "every N" interval */}
+            <div className="mb-4 grid grid-cols-2 gap-2">
+              <div>
+                <label htmlFor="recurringFrequency" className={labelClass}>
+                  Repeats
+                </label>
+                <select
+                  id="recurringFrequency"
+                  value={form.frequency}
+                  onChange={(e) => updateForm({ frequency: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                  <option value="yearly">Yearly</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="recurringInterval" className={labelClass}>
+                  Every
+                </label>
+                <input
+                  type="number"
+                  id="recurringInterval"
+                  value={form.interval}
+                  onChange={(e) => updateForm({ interval: e.target.value })}
+                  min="1"
+                  step="1"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {/* Start date and (monthly/yearly) day of month */}
+            <div className="mb-4 grid grid-cols-2 gap-2">
+              <div>
+                <label htmlFor="recurringStart" className={labelClass}>
+                  Starts
+                </label>
+                <input
+                  type="date"
+                  id="recurringStart"
+                  value={form.startDate}
+                  onChange={(e) => updateForm({ startDate: e.target.value })}
+                  required
+                  className={inputClass}
+                />
+              </div>
+              {(form.frequency === "monthly" ||
+                form.frequency === "yearly") && (
+                <div>
+                  <label htmlFor="recurringDay" className={labelClass}>
+                    Day of month
+                  </label>
+                  <input
+                    type="number"
+                    id="recurringDay"
+                    value={form.dayOfMonth}
+                    onChange={(e) => updateForm({ dayOfMonth: e.target.value })}
+                    min="1"
+                    max="31"
+                    step="1"
+                    className={inputClass}
+                    placeholder={String(parseDateKey(form.startDate).getDate())}
+                  />
+                </div>
+              )}
+            </div>
+            {Number(form.dayOfMonth) > 28 && (
+              <p className="-mt-2 mb-4 text-xs text-gray-500">
+                In shorter months this posts on the last day of the month.
+              </p>
+            )}
+
+            {/* End condition - never, on a date, or after N occurrences */}
+            <div className="mb-4">
+              <label htmlFor="recurringEndMode" className={labelClass}>
+                Ends
+              </label>
+              <select
+                id="recurringEndMode"
+                value={form.endMode}
+                onChange={(e) => updateForm({ endMode: e.target.value })}
+                className={inputClass}
+              >
+                <option value="never">Never</option>
+                <option value="date">On a date</option>
+                <option value="count">After a number of occurrences</option>
+              </select>
+              {form.endMode === "date" && (
+                <input
+                  type="date"
+                  value={form.endDate}
+                  onChange={(e) => updateForm({ endDate: e.target.value })}
+                  className={`${inputClass} mt-2`}
+                  aria-label="End date"
+                />
+              )}
+              {form.endMode === "count" && (
+                <input
+                  type="number"
+                  value={form.count}
+                  onChange={(e) => updateForm({ count: e.target.value })}
+                  min="1"
+                  step="1"
+                  className={`${inputClass} mt-2`}
+                  placeholder="e.g., 12"
+                  aria-label="Number of occurrences"
+                />
+              )}
+            </div>
+
+            {form.id && (
+              <p className="mb-4 text-xs text-gray-500">
+                Changes apply to occurrences posted from now on. Changing the
+                schedule restarts it after today.
+              </p>
+            )}
+
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-2 px-4 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="flex-1 bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition-colors"
+              >
+                {form.id ? "Save Changes" : "Add Recurring"}
+              </button>
+            </div>
+          </form>
+        ) : (
+          // ==================== Template List ====================
+          <div>
+            {templates.length === 0 ? (
+              <p className="text-gray-500 text-center py-4">
+                No recurring transactions yet.
+              </p>
+            ) : (
+              <ul className="space-y-3 mb-4">
+                {templates.map(({ template, upcoming }) => (
+                  <li
+                    key={template.id}
+                    className={`p-3 border rounded-lg shadow-sm ${
+                      template.paused
+                        ? "bg-gray-50 border-gray-200"
+                        : "bg-white border-gray-300"
+                    }`}
+                  >
+                    <div className="flex justify-between items-start">
+                      <div>
+                        <p className="font-medium text-gray-800">
+                          {template.description || getCategoryName(template)}
+                          {template.paused && (
+                            <span className="ml-2 text-xs text-gray-400">
+                              (Paused)
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {getCategoryName(template)} ·{" "}
+                          {describeSchedule(template)}
+                        </p>
+                      </div>
+                      <span
+                        className={`font-bold ${
+                          template.type === "income"
+                            ? "text-green-600"
+                            : "text-red-600"
+                        }`}
+                      >
+                        {template.type === "income" ? "+" : "-"}{" "}
+                        {formatMoney(template.amount)}
+                      </span>
+                    </div>
+
+                    {/* Next occurrences, each skippable */}
+                    {upcoming.length === 0 ? (
+                      <p className="mt-2 text-xs text-gray-400">
+                        Ended — no further occurrences.
+                      </p>
+                    ) : (
+                      <ul className="mt-2 space-y-1">
+                        {upcoming.map((occurrence) => (
+                          <li
+                            key={occurrence.dateKey}
+                            className="flex justify-between items-center text-xs"
+                          >
+                            <span
+                              className={
+                                occurrence.skipped
+                                  ? "text-gray-400 line-through"
+                                  : "text-gray-600"
+                              }
+                            >
+                              {formatDateKey(occurrence.dateKey)}
+                            </span>
+                            <button
+                              type="button"
+                              onClick={() =>
+                                handleToggleSkipped(template, occurrence)
+                              }
+                              className="text-blue-600 hover:text-blue-800 font-semibold"
+                            >
+                              {occurrence.skipped ? "Unskip" : "Skip"}
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <div className="mt-2 flex justify-end items-center space-x-1">
+                      <button
+                        type="button"
+                        onClick={() => handleTogglePaused(template)}
+                        className="text-gray-500 hover:text-gray-700 p-1 rounded-full"
+                        title={template.paused ? "Resume" : "Pause"}
+                      >
+                        {template.paused ? (
+                          <Play className="h-4 w-4" />
+                        ) : (
+                          <Pause className="h-4 w-4" />
+                        )}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => startEdit(template)}
+                        className="text-blue-500 hover:text-blue-700 p-1 rounded-full"
+                        title="Edit"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(template)}
+                        className="text-red-500 hover:text-red-700 p-1 rounded-full"
+                        title="Delete"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <button
+              type="button"
+              onClick={startAdd}
+              className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition-colors"
+            >
+              Add Recurring Transaction
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecurringManager;
@@ -0,0 +1,401 @@
+import React from "react";
+import { useTransactions } from "../components/TransactionContext";
+import {
+  buildCategorySummary,
+  buildMultiPeriodSummary,
+  buildDailySpend,
+} from "../utils/summary";
+import {
+  CHART_COLORS,
+  OTHER_COLOR,
+  topSegments,
+  niceMax,
+} from "../utils/charts";
+import { toDateKey, parseDateKey } from "../utils/recurrence";
+
+/**
+ * SpendingCharts Component
+ *
+ * SVG charts for the overview, drawn from the same category summaries as
+ * ExpenseList (see utils/summary). Features include:
+ * - Donut: the viewed period's spending by category
+ * - Stacked bars: income vs expenses (split by category) over the last 12 periods
+ * - Line: cumulative daily spending in the viewed period against its budget
+ *
+ * Roll-over pairs are left out of the amounts; they only move balances
+ * between periods. Hovering a bar, segment or point shows its exact amount.
+ *
+ * @component
+ * @returns {JSX.Element} The three charts
+ */
+const SpendingCharts = () => {
+  const {
+    transactions,
+    currentPeriod,
+    cycleType,
+    getRecentPeriods,
+    formatMoney,
+  } = useTransactions();
+
+  const spending = currentPeriod.transactions.filter((t) => !t.isRollOver);
+
+  return (
+    <div className="mt-4 grid gap-4 md:grid-cols-2">
+      <CategoryDonut
+        summary={buildCategorySummary(spending)}
+        formatMoney={formatMoney}
+      />
+      <DailySpendLine
+        days={buildDailySpend(currentPeriod.transactions, {
+          start: currentPeriod.startKey,
+          end: currentPeriod.endKey,
+        })}
+        budget={getPeriodBudget(currentPeriod.transactions)}
+        formatMoney={formatMoney}
+      />
+      <div className="md:col-span-2">
+        <IncomeExpenseBars
+          rows={
+            buildMultiPeriodSummary(
+              transactions,
+              getRecentPeriods(12),
+              toDateKey(new Date())
+            ).rows
+          }
+          cycleType={cycleType}
+          formatMoney={formatMoney}
+        />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Budget of a period: what ExpenseList's bars measure spending against,
+ * summed over categories (income + transfers in - transfers out, roll-ins
+ * included, never below zero per category)
+ */
+const getPeriodBudget = (periodTransactions) =>
+  Object.values(buildCategorySummary(periodTransactions)).reduce(
+    (sum, c) => sum + Math.max(c.income + c.transferIn - c.transferOut, 0),
+    0
+  );
+
+// Short date label: "Mar 25"
+const formatDay = (dateKey) =>
+  parseDateKey(dateKey).toLocaleDateString("default", {
+    month: "short",
+    day: "numeric",
+  });
+
+const chartCardClass = "p-3 bg-gray-50 rounded-lg shadow";
+
+/**
+ * Spending by category for the viewed period, biggest first, with the
+ * smallest categories grouped as "Other"
+ */
+const CategoryDonut = ({ summary, formatMoney }) => {
+  const segments = topSegments(
+    Object.fromEntries(
+      Object.entries(summary).map(([name, c]) => [name, c.expense])
+    )
+  );
+  const total = segments.reduce((sum, s) => sum + s.value, 0);
+
+  // Each segment is a stroked circle showing only its share of the
+  // circumference, rotated so the first one starts at 12 o'clock
+  const radius = 40;
+  const circumference = 2 * Math.PI * radius;
+  let offset = 0;
+
+  return (
+    <div className={chartCardClass}>
+      <p className="text-sm text-gray-700 font-medium mb-2">
+        Spending by Category
+      </p>
+      {total === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-8">
+          No spending in this period.
+        </p>
+      ) : (
+        <div className="flex items-center gap-4">
+          <svg
+            viewBox="0 0 100 100"
+            className="w-32 h-32 flex-shrink-0"
+            role="img"
+            aria-label="Spending by category"
+          >
+            <g transform="rotate(-90 50 50)">
+              {segments.map((segment) => {
+                const length = (segment.value / total) * circumference;
+                const circle = (
+                  <circle
+                    key={segment.label}
+                    cx="50"
+                    cy="50"
+                    r={radius}
+                    fill="none"
+                    stroke={segment.color}
+                    strokeWidth="16"
+                    strokeDasharray={`${length} ${circumference - length}`}
+                    strokeDashoffset={-offset}
+                  >
+                    <title>{`${segment.label}: ${formatMoney(segment.value)}`}</title>
+                  </circle>
+                );
+                offset += length;
+                return circle;
+              })}
+            </g>
+          </svg>
+          <ul className="text-xs space-y-1 min-w-0 flex-grow">
+            {segments.map((segment) => (
+              <li key={segment.label} className="flex items-center gap-2">
+                <span
+                  className="w-3 h-3 rounded-full flex-shrink-0"
+                  style={{ backgroundColor: segment.color }}
+                />
+                <span className="text-gray-600 truncate">{segment.label}</span>
+                <span className="ml-auto text-gray-800 whitespace-nowrap">
+                  {formatMoney(segment.value)} (
+                  {Math.round((segment.value / total) * 100)}%)
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Cumulative spending day by day, up to today for the current period, with
+ * the period's budget as a dashed line
+ */
+const DailySpendLine = ({ days, budget, formatMoney }) => {
+  const width = 300;
+  const height = 120;
+  const todayKey = toDateKey(new Date());
+  const shownDays = days.filter((d) => d.dateKey <= todayKey);
+  const spent = shownDays.length
+    ? shownDays[shownDays.length - 1].cumulative
+    : 0;
+  const max = niceMax(Math.max(spent, budget));
+
+  const x = (i) => (days.length > 1 ? (i / (days.length - 1)) * width : 0);
+  const y = (value) => height - (value / max) * height;
+  const points = shownDays
+    .map((d, i) => `${x(i).toFixed(1)},${y(d.cumulative).toFixed(1)}`)
+    .join(" ");
+  const overBudget = budget > 0 && spent > budget;
+
+  return (
+    <div className={chartCardClass}>
+      <div className="flex justify-between items-baseline mb-2">
+        <p className="text-sm text-gray-700 font-medium">Daily Spending</p>
+        <p
+          className={`text-xs ${overBudget ? "text-red-600" : "text-gray-500"}`}
+        >
+          {formatMoney(spent)} of {formatMoney(budget)}
+        </p>
+      </div>
+      {days.length === 0 ? null : (
+        <svg
+          viewBox={`0 -6 ${width} ${height + 20}`}
+          className="w-full h-36"
+          role="img"
+          aria-label="Cumulative daily spending against budget"
+        >
+          <line
+            x1="0"
+            y1={height}
+            x2={width}
+            y2={height}
+            stroke="#d1d5db"
+            strokeWidth="1"
+          />
+          {budget > 0 && (
+            <line
+              x1="0"
+              y1={y(budget)}
+              x2={width}
+              y2={y(budget)}
+              stroke="#10b981"
+              strokeWidth="1.5"
+              strokeDasharray="6 4"
+            >
+              <title>{`Budget: ${formatMoney(budget)}`}</title>
+            </line>
+          )}
+          {shownDays.length > 1 && (
+            <polyline
+              points={points}
+              fill="none"
+              stroke={overBudget ? "#ef4444" : "#3b82f6"}
+              strokeWidth="2"
+              strokeLinejoin="round"
+            />
+          )}
+          {shownDays.map((d, i) =>
+            d.spent > 0 ? (
+              <circle
+                key={d.dateKey}
+                cx={x(i)}
+                cy={y(d.cumulative)}
+                r="2.5"
+                fill={overBudget ? "#ef4444" : "#3b82f6"}
+              >
+                <title>{`${formatDay(d.dateKey)}: +${formatMoney(d.spent)} (${formatMoney(d.cumulative)} total)`}</title>
+              </circle>
+            ) : null
+          )}
+          <text x="0" y={height + 12} fontSize="9" fill="#6b7280">
+            {formatDay(days[0].dateKey)}
+          </text>
+          <text
+            x={width}
+            y={height + 12}
+            fontSize="9"
+            fill="#6b7280"
+            textAnchor="end"
+          >
+            {formatDay(days[days.length - 1].dateKey)}
+          </text>
+        </svg>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Income (green) next to expenses (stacked by category) for each of the
+ * last 12 periods, oldest on the left
+ */
+const IncomeExpenseBars = ({ rows, cycleType, formatMoney }) => {
+  const width = 300;
+  const height = 120;
+
+  // The categories with the most spending over all the periods get their
+  // own colour; the rest are stacked together as "Other"
+  const spendingByCategory = {};
+  rows.forEach((row) =>
+    Object.entries(row.categories).forEach(([name, c]) => {
+      spendingByCategory[name] = (spendingByCategory[name] || 0) + c.expense;
+    })
+  );
+  const named = topSegments(spendingByCategory, CHART_COLORS.length - 1).filter(
+    (s) => s.label !== "Other"
+  );
+
+  const max = niceMax(
+    Math.max(...rows.map((r) => Math.max(r.income, r.expenses)))
+  );
+  const slot = width / rows.length;
+  const barWidth = slot * 0.35;
+  const scale = (value) => (value / max) * height;
+
+  // Calendar months are labelled "Jan", other periods by their first day
+  const label = ({ start }) =>
+    cycleType === "calendar"
+      ? parseDateKey(start).toLocaleDateString("default", { month: "short" })
+      : formatDay(start);
+
+  return (
+    <div className={chartCardClass}>
+      <div className="flex justify-between items-baseline mb-2">
+        <p className="text-sm text-gray-700 font-medium">
+          Income vs Expenses (last {rows.length} periods)
+        </p>
+        <p className="text-xs text-gray-500">Scale: {formatMoney(max)}</p>
+      </div>
+      <svg
+        viewBox={`0 0 ${width} ${height + 14}`}
+        className="w-full h-40"
+        role="img"
+        aria-label="Income and expenses per period"
+      >
+        <line
+          x1="0"
+          y1={height}
+          x2={width}
+          y2={height}
+          stroke="#d1d5db"
+          strokeWidth="1"
+        />
+        {rows.map((row, i) => {
+          const left = i * slot + slot * 0.1;
+          const stack = named.map((s) => ({
+            label: s.label,
+            color: s.color,
+            value: row.categories[s.label]?.expense || 0,
+          }));
+          const namedTotal = stack.reduce((sum, s) => sum + s.value, 0);
+          stack.push({
+            label: "Other",
+            color: OTHER_COLOR,
+            value: row.expenses - namedTotal,
+          });
+
+          let top = height;
+          return (
+            <g key={row.period.start}>
+              <rect
+                x={left}
+                y={height - scale(row.income)}
+                width={barWidth}
+                height={scale(row.income)}
+                fill="#22c55e"
+              >
+                <title>{`${label(row.period)} income: ${formatMoney(row.income)}`}</title>
+              </rect>
+              {stack
+                .filter((s) => s.value > 0)
+                .map((s) => {
+                  top -= scale(s.value);
+                  return (
+                    <rect
+                      key={s.label}
+                      x={left + barWidth}
+                      y={top}
+                      width={barWidth}
+                      height={scale(s.value)}
+                      fill={s.color}
+                    >
+                      <title>{`${label(row.period)} ${s.label}: ${formatMoney(s.value)}`}</title>
+                    </rect>
+                  );
+                })}
+              <text
+                x={left + barWidth}
+                y={height + 11}
+                fontSize="8"
+                fill="#6b7280"
+                textAnchor="middle"
+              >
+                {label(row.period)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <ul className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs text-gray-600">
+        <li className="flex items-center gap-1">
+          <span className="w-3 h-3 rounded-sm bg-green-500" />
+          Income
+        </li>
+        {[...named, { label: "Other", color: OTHER_COLOR }].map((s) => (
+          <li key={s.label} className="flex items-center gap-1">
+            <span
+              className="w-3 h-3 rounded-sm"
+              style={{ backgroundColor: s.color }}
+            />
+            {s.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SpendingCharts;
@@ -1,18 +1,81 @@
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useMemo,
+  useRef,
+} from "react";
 import { db, appId } from "../firebase";
 import {
   collection,
   query,
   onSnapshot,
-  addDoc,
   deleteDoc,
   doc,
   Timestamp,
   where,
   getDocs,
   updateDoc,
+  runTransaction,
+  writeBatch,
+  increment,
+  addDoc,
+  arrayUnion,
+  arrayRemove,
+  setDoc,
+  deleteField,
 } from "firebase/firestore";
 import { useAuth } from "../hooks/useAuth";
+import useLocalStorage from "../hooks/localStorage";
+import {
+  sumCategoryDeltas,
+  computeCategoryTotals,
+  getCategoryKey,
+  getTransferTargetKey,
+  isSplit,
+} from "../utils/ledger";
+import {
+  writeCategoryDeltas,
+  commitNewTransaction,
+  commitTransactionUpdate,
+  commitTransactionDeletes,
+  commitForward,
+  commitUndoForward,
+} from "../utils/ledgerWrites";
+import {
+  toDateKey,
+  parseDateKey,
+  getDueOccurrences,
+  countOccurrencesThrough,
+} from "../utils/recurrence";
+import {
+  DEFAULT_ACCOUNT_ID,
+  getAccountId,
+  computeAccountBalances,
+} from "../utils/accounts";
+import {
+  CYCLE_TYPES,
+  DEFAULT_CUSTOM_CYCLE,
+  normalizeCustomCycle,
+  normalizeWeekStartDay,
+  customCycleFromRange,
+  getPeriodContaining,
+  getPeriodAfter,
+  getPeriodBefore,
+  getSamePeriodLastYear,
+  getPeriodsEnding,
+  getPeriodsInYear,
+  describeCustomCycle,
+} from "../utils/cycles";
+import {
+  ROLLOVER_POLICIES,
+  getRolloverPolicy,
+  getRolloverAmount,
+} from "../utils/rollover";
+import { buildCategorySummary, buildPeriodComparison } from "../utils/summary";
+import { DEFAULT_CURRENCY, getCurrencyStep } from "../utils/currency";
+import { formatMoney as formatInCurrency, toMinor } from "../utils/money";
 
 /**
  * TransactionContext & useTransactions Hook
@@ -33,10 +96,19 @@ import { useAuth } from "../hooks/useAuth";
  *
  * Global State Managed:
  * - transactions: Array of all user transactions with Firestore Timestamps
+ *   (each references its category by categoryId; `category` holds the current name)
  * - userCategories: Array of expense/income categories with budgets
+ * - recurringTemplates: Recurring transaction templates; due occurrences are
+ *   posted automatically (see utils/recurrence)
+ * - accounts: Cash wallets, bank and credit card accounts; every transaction
+ *   belongs to one (see utils/accounts for balance rules)
  * - currentMonth/currentYear/currentDay: Current view date for calendar filtering
- * - cycleType: "calendar" (standard month) or "custom" (user-defined date range)
- * - customDateRange: Start and end dates for custom billing cycles
+ * - cycleType: "calendar" (standard month), "weekly", "biweekly" or "custom"
+ *   (anchored cycle)
+ * - weekStartDay: First day of week for weekly and bi-weekly cycles
+ * - customCycle: Custom cycle definition, e.g. "starts on day 25 each month"
+ *   or "every other Friday" (see utils/cycles)
+ * - periodRange: Start and end dates of the viewed period
  * - loading: Async operation status indicator
  *
  * Data Flow:
@@ -52,6 +124,8 @@ import { useAuth } from "../hooks/useAuth";
  * - Transactions sorted by date (newest first) for efficient rendering
  * - Cleanup function unsubscribes from listeners when component unmounts
  * - Loading state prevents race conditions during async operations
+ * - Ledger writes (transaction docs + category counters) commit atomically via
+ *   runTransaction/writeBatch with increment(), so concurrent tabs can't lose updates
  *
  * Usage Example:
  * ```jsx
@@ -61,7 +135,7 @@ import { useAuth } from "../hooks/useAuth";
  *   const handleAdd = async () => {
  *     const success = await addTransaction({
  *       type: 'expense',
- *       amount: 50,
+ *       amount: 50000, // QAR 50.00 in minor units (utils/money)
  *       category: 'Food',
  *       description: 'Lunch',
  *       date: new Date().toISOString()
@@ -114,19 +188,249 @@ export function useTransactions() {
   return context;
 }
 
+/**
+ * Firestore Timestamp for a transaction date: a "YYYY-MM-DD" key (what the
+ * form sends) is that day's local midnight, like recurring postings; an ISO
+ * string or Date is taken as the moment it names.
+ */
+const toTransactionTimestamp = (date) =>
+  Timestamp.fromDate(
+    typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)
+      ? parseDateKey(date)
+      : new Date(date)
+  );
+
+// ==================== Minor Units Migration ====================
+// Settings flag recording that a user's amounts are stored as integer minor
+// units (see utils/money). Users without it still have whole-unit amounts.
+const MONEY_UNITS_MINOR = "minor";
+
+// Per collection: the money fields of a stored document, converted from whole
+// units to minor units
+const minorUnitConversions = {
+  transactions: (data) => ({
+    amount: toMinor(data.amount),
+    ...(typeof data.originalAmount === "number" && {
+      originalAmount: toMinor(data.originalAmount),
+    }),
+    ...(Array.isArray(data.splits) && {
+      splits: data.splits.map((line) => ({
+        ...line,
+        amount: toMinor(line.amount),
+        ...(typeof line.originalAmount === "number" && {
+          originalAmount: toMinor(line.originalAmount),
+        }),
+      })),
+    }),
+  }),
+  categories: (data) => ({
+    budgetAmount: toMinor(data.budgetAmount),
+    spentAmount: toMinor(data.spentAmount),
+  }),
+  recurring: (data) => ({ amount: toMinor(data.amount) }),
+  accounts: (data) => ({
+    openingBalance: toMinor(data.openingBalance),
+    ...(data.lastReconciliation && {
+      lastReconciliation: {
+        ...data.lastReconciliation,
+        statementBalance: toMinor(data.lastReconciliation.statementBalance),
+        computedBalance: toMinor(data.lastReconciliation.computedBalance),
+        difference: toMinor(data.lastReconciliation.difference),
+      },
+    }),
+  }),
+};
+
+/**
+ * migrateMoneyToMinorUnits(basePath)
+ *
+ * Purpose:
+ * Convert every stored amount of one user from whole units to integer minor
+ * units, then set the settings flag so it never runs again.
+ *
+ * Idempotency:
+ * Each converted document is stamped `minorUnits: true` in the same
+ * runTransaction that converts it, and stamped documents are skipped, so two
+ * tabs migrating at once (or a run interrupted halfway) never convert an
+ * amount twice.
+ *
+ * Parameters:
+ * basePath: "artifacts/{appId}/users/{userId}"
+ */
+async function migrateMoneyToMinorUnits(basePath) {
+  for (const [name, convert] of Object.entries(minorUnitConversions)) {
+    const snapshot = await getDocs(collection(db, `${basePath}/${name}`));
+    const refs = snapshot.docs
+      .filter((d) => !d.data().minorUnits)
+      .map((d) => d.ref);
+
+    // Stay well under Firestore's 500 writes per transaction
+    for (let i = 0; i < refs.length; i += 400) {
+      await runTransaction(db, async (firestoreTx) => {
+        const snapshots = await Promise.all(
+          refs.slice(i, i + 400).map((ref) => firestoreTx.get(ref))
+        );
+        snapshots.forEach((docSnapshot) => {
+          if (!docSnapshot.exists() || docSnapshot.data().minorUnits) return;
+          firestoreTx.update(docSnapshot.ref, {
+            ...convert(docSnapshot.data()),
+            minorUnits: true,
+          });
+        });
+      });
+    }
+  }
+
+  await setDoc(
+    doc(db, `${basePath}/settings`, "preferences"),
+    { moneyUnits: MONEY_UNITS_MINOR },
+    { merge: true }
+  );
+}
+
+/**
+ * buildRollOverPair(options)
+ *
+ * Purpose:
+ * The two transactions that carry one category's balance from a completed
+ * period into the next: a roll-out dated at the end of the completed period
+ * that brings its balance to zero, and a roll-over dated in the next period
+ * that adds the same amount there. A surplus leaves as an expense and
+ * arrives as income; a deficit (negative amount) leaves as income and
+ * arrives as an expense, lowering the next period's balance.
+ *
+ * Both halves are flagged isRollOver (accounts ignore them: no money moves),
+ * carry rollOverKind ("surplus" | "deficit"; pairs written before deficits
+ * could be forwarded have none and are surpluses) and share a rollOverPairId,
+ * so deleting one half can find the other.
+ *
+ * Used by forwardSurplus (manual) and the automatic rollover effect.
+ *
+ * Parameters:
+ * options: {
+ *   categoryName: string, categoryId: string | null,
+ *   amount: number (minor units; positive = surplus, negative = deficit),
+ *   sourceDate: Date (end of the completed period),
+ *   targetDate: Date (in the next period),
+ *   userId: string,
+ *   extra?: Object (fields added to both halves)
+ * }
+ *
+ * Returns: [rollOut, rollOver] transaction data
+ */
+function buildRollOverPair({
+  categoryName,
+  categoryId,
+  amount,
+  sourceDate,
+  targetDate,
+  userId,
+  extra = {},
+}) {
+  // Shared ID linking both halves so deleting one can find the other
+  const rollOverPairId = crypto.randomUUID();
+  const isDeficit = amount < 0;
+  const label = isDeficit ? "Deficit" : "Surplus";
+  const common = {
+    amount: Math.abs(amount),
+    category: categoryName,
+    categoryId,
+    userId,
+    createdAt: Timestamp.now(),
+    isRollOver: true, // Flag: This is a rollover transaction
+    rollOverPairId,
+    rollOverKind: isDeficit ? "deficit" : "surplus",
+    ...extra,
+  };
+
+  return [
+    // Rollout transaction
+    // Records the balance being moved out of the completed period
+    {
+      ...common,
+      type: isDeficit ? "income" : "expense",
+      description: `${label} roll-out to next period`,
+      date: Timestamp.fromDate(sourceDate),
+    },
+    // Rollin transaction
+    // Records the balance being moved into the next period
+    {
+      ...common,
+      type: isDeficit ? "expense" : "income",
+      description: `${label} roll-over from previous period`,
+      date: Timestamp.fromDate(targetDate),
+    },
+  ];
+}
+
 export function TransactionProvider({ children }) {
   // ==================== State Variables ====================
 
   // Core Transaction & Category State
-  const [transactions, setTransactions] = useState([]);
-  // All user transactions: [{ id, type, amount, category, date, ... }, ...]
+  const [storedTransactions, setStoredTransactions] = useState([]);
+  // All user transactions exactly as stored: [{ id, type, amount, categoryId, category, date, ... }, ...]
   // Updated in real-time from Firestore onSnapshot listener
   // Sorted newest-first by transaction date
+  // Consumers use `transactions` (below), which resolves category names from categoryId
+
+  const [transactionsSynced, setTransactionsSynced] = useState(false);
+  // true once a transactions snapshot has come from the server (not the local cache)
+  // Guards the automatic rollover from computing balances on a ledger that
+  // hasn't loaded yet (an empty list would carry over 0 and still advance
+  // rolledOverThrough, losing those periods' balances for good)
 
   const [userCategories, setUserCategories] = useState([]);
-  // All user categories: [{ id, name, budgetAmount, spentAmount, type, ... }, ...]
-  // Includes both expense and income categories
+  // All user categories: [{ id, name, budgetAmount, spentAmount, type, archived, ... }, ...]
+  // Includes both expense and income categories, and archived ones
+  // Updated in real-time from Firestore onSnapshot listener
+
+  const [categoriesSynced, setCategoriesSynced] = useState(false);
+  // true once a categories snapshot has come from the server (not the local cache)
+  // Guards the categoryId migration from treating a partial cache as the full list
+
+  const categoryMigrationRunning = useRef(false);
+  // Prevents overlapping migration runs while its batch writes are in flight
+
+  const [recurringTemplates, setRecurringTemplates] = useState([]);
+  // Recurring transaction templates: [{ id, type, amount, categoryId, category,
+  //   description, frequency, interval, startDate, dayOfMonth, endDate, count,
+  //   paused, nextIndex, skippedDates, ... }, ...] (see utils/recurrence)
+  // Updated in real-time from Firestore onSnapshot listener
+
+  const recurringPostingRunning = useRef(false);
+  // Prevents overlapping runs of the due-occurrence posting effect
+
+  const [accounts, setAccounts] = useState([]);
+  // All user accounts: [{ id, name, kind, openingBalance, archived,
+  //   lastReconciliation, ... }, ...]
   // Updated in real-time from Firestore onSnapshot listener
+  // Transactions without accountId belong to DEFAULT_ACCOUNT_ID
+
+  const [baseCurrency, setBaseCurrency] = useState(DEFAULT_CURRENCY);
+  // ISO 4217 code every amount is recorded and displayed in (e.g., "QAR", "KWD")
+  // Read from the user's settings document; see updateBaseCurrency
+
+  const [moneyUnits, setMoneyUnits] = useState(null);
+  // How this user's amounts are stored: null (settings not read yet) |
+  // "whole" (pre-migration) | MONEY_UNITS_MINOR (integer minor units)
+  // Everything stays behind the loading state until it is MONEY_UNITS_MINOR
+
+  const moneyMigrationRunning = useRef(false);
+  // Prevents a second migration run while the first is in flight
+
+  const [rateTable, setRateTable] = useLocalStorage("exchangeRates", {});
+  // Exchange rates kept in this browser: { [baseCurrency]: { [currency]: rate } }
+  // rate = base units per 1 foreign unit (e.g., { QAR: { USD: 3.64 } })
+  // Keyed by base so switching the base currency never applies stale rates
+
+  const [recurringPostingPass, setRecurringPostingPass] = useState(0);
+  // Bumped after a posting run that wrote something, so template snapshots
+  // that arrived while the run was in flight get re-evaluated
+
+  const rolloverRunning = useRef(false);
+  const [rolloverPass, setRolloverPass] = useState(0);
+  // Same pair for the automatic rollover effect: no overlapping runs, and a
+  // re-run after a run that wrote something
 
   // Calendar Navigation State
   const [currentMonth, setCurrentMonth] = useState(new Date().getMonth());
@@ -146,6 +450,11 @@ export function TransactionProvider({ children }) {
   // false when: Operations complete or error occurs
   // Used to show loading spinners and prevent duplicate clicks
 
+  const [lastForwardId, setLastForwardId] = useState(null);
+  // ID of the last forward made this session, offered for undo (null = none)
+  // Kept here rather than in ExpenseList: the loading screen shown during
+  // forwardSurplus unmounts the list, which would lose it
+
   // ==================== Billing Cycle Configuration ====================
 
   const { currentUser } = useAuth();
@@ -155,31 +464,68 @@ export function TransactionProvider({ children }) {
   const [cycleType, setCycleType] = useState(() => {
     // Initialize from localStorage or default to "calendar"
     const saved = localStorage.getItem("userInfo_billingCycle_type");
-    return saved || "calendar";
+    return CYCLE_TYPES[saved] ? saved : "calendar";
   });
-  // Values: "calendar" | "custom"
+  // Values: "calendar" | "weekly" | "biweekly" | "custom"
   // "calendar": Standard month (1st - last day)
-  // "custom": User-defined date range (e.g., 15th to 14th next month)
+  // "weekly" / "biweekly": One or two weeks starting on weekStartDay
+  // "custom": Anchored cycle (e.g., 25th to 24th next month, every other Friday)
   // Used by ExpenseList and forwardSurplus logic
 
-  const [customDateRange, setCustomDateRange] = useState(() => {
-    // Initialize from localStorage with fallback to current calendar month
+  const [weekStartDay, setWeekStartDayState] = useState(() =>
+    normalizeWeekStartDay(localStorage.getItem("userInfo_weekStartDay"))
+  );
+  // 0-6 (0 = Sunday, 1 = Monday, the default)
+  // Only used when cycleType is "weekly" or "biweekly"
+
+  const setWeekStartDay = (day) =>
+    setWeekStartDayState(normalizeWeekStartDay(day));
+
+  const [customCycle, setCustomCycleState] = useState(() => {
+    // Initialize from localStorage; a fixed start/end range saved by older
+    // versions becomes the matching anchored definition
+    try {
+      const saved = localStorage.getItem("userInfo_customCycle");
+      if (saved) return normalizeCustomCycle(JSON.parse(saved));
+    } catch (error) {
+      console.warn("Ignoring invalid saved billing cycle:", error);
+    }
     const savedStart = localStorage.getItem("userInfo_customStartDate");
     const savedEnd = localStorage.getItem("userInfo_customEndDate");
+    if (savedStart && savedEnd && savedStart <= savedEnd) {
+      return customCycleFromRange({ start: savedStart, end: savedEnd });
+    }
+    return DEFAULT_CUSTOM_CYCLE;
+  });
+  // { kind: "monthly", day } | { kind: "weekly", start: "YYYY-MM-DD", weeks }
+  // Only used when cycleType === "custom"
 
-    const today = new Date();
-    const defaultStart = new Date(today.getFullYear(), today.getMonth(), 1);
-    const defaultEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+  const setCustomCycle = (cycle) =>
+    setCustomCycleState(normalizeCustomCycle(cycle));
 
-    return {
-      start: savedStart || defaultStart.toISOString().split("T")[0],
-      // Format: "YYYY-MM-DD" (ISO string without time)
-      // Start date of custom billing cycle
-      end: savedEnd || defaultEnd.toISOString().split("T")[0],
-      // Format: "YYYY-MM-DD"
-      // End date of custom billing cycle
-    };
-  });
+  const cycleSettings = useMemo(
+    () => ({ customCycle, weekStartDay }),
+    [customCycle, weekStartDay]
+  );
+  // Everything utils/cycles needs besides cycleType
+
+  const [periodDate, setPeriodDate] = useState(() => toDateKey(new Date()));
+  // "YYYY-MM-DD": Any day of the viewed period (today at startup)
+  // Moved by changeMonth; the period itself is always computed from the cycle
+
+  const periodRange = useMemo(
+    () =>
+      cycleType === "calendar"
+        ? getPeriodContaining(new Date(currentYear, currentMonth, 1), cycleType)
+        : getPeriodContaining(
+            parseDateKey(periodDate),
+            cycleType,
+            cycleSettings
+          ),
+    [cycleType, currentYear, currentMonth, periodDate, cycleSettings]
+  );
+  // { start: "YYYY-MM-DD", end: "YYYY-MM-DD" }: the viewed period
+  // (calendar months follow currentMonth/currentYear)
 
   // ==================== Persist Settings to localStorage ====================
 
@@ -189,12 +535,18 @@ export function TransactionProvider({ children }) {
     localStorage.setItem("userInfo_billingCycle_type", cycleType);
   }, [cycleType]);
 
-  // Auto-save custom date range when user modifies it
-  // Ensures custom billing cycle dates persist across sessions
+  // Auto-save the custom cycle definition when user modifies it
+  // The fixed start/end keys it replaced are dropped once it is saved
+  useEffect(() => {
+    localStorage.setItem("userInfo_customCycle", JSON.stringify(customCycle));
+    localStorage.removeItem("userInfo_customStartDate");
+    localStorage.removeItem("userInfo_customEndDate");
+  }, [customCycle]);
+
+  // Auto-save the first day of week for weekly and bi-weekly cycles
   useEffect(() => {
-    localStorage.setItem("userInfo_customStartDate", customDateRange.start);
-    localStorage.setItem("userInfo_customEndDate", customDateRange.end);
-  }, [customDateRange]);
+    localStorage.setItem("userInfo_weekStartDay", String(weekStartDay));
+  }, [weekStartDay]);
 
   // ==================== Default Categories ====================
   // Pre-defined expense and income categories for new users
@@ -232,16 +584,28 @@ export function TransactionProvider({ children }) {
     // Storage for unsubscribe functions (cleanup)
     let unsubscribeTransactions = () => {};
     let unsubscribeCategories = () => {};
+    let unsubscribeRecurring = () => {};
+    let unsubscribeAccounts = () => {};
+    let unsubscribeSettings = () => {};
 
     // Guard: If no user logged in, clear data and return
     if (!currentUser) {
-      setTransactions([]);
+      setStoredTransactions([]);
       setUserCategories([]);
+      setRecurringTemplates([]);
+      setAccounts([]);
+      setBaseCurrency(DEFAULT_CURRENCY);
+      setMoneyUnits(null);
+      setCategoriesSynced(false);
+      setTransactionsSynced(false);
       setLoading(false);
       return;
     }
 
     setLoading(true);
+    // Data still held is the previous user's until this user's snapshots arrive
+    setCategoriesSynced(false);
+    setTransactionsSynced(false);
 
     // ========== CATEGORIES LISTENER & INITIALIZATION ==========
     // Path: artifacts/{appId}/users/{userId}/categories
@@ -255,18 +619,20 @@ export function TransactionProvider({ children }) {
       try {
         const categoriesSnapshot = await getDocs(categoriesCol);
 
-        // If no categories exist, add all default categories
+        // If no categories exist, add all default categories in one batch
         if (categoriesSnapshot.empty) {
           console.log(
             "No categories found for user. Populating with defaults..."
           );
+          const batch = writeBatch(db);
           for (const category of defaultCategories) {
-            await addDoc(categoriesCol, {
+            batch.set(doc(categoriesCol), {
               ...category,
               userId: currentUser.uid,
               createdAt: Timestamp.now(),
             });
           }
+          await batch.commit();
         }
       } catch (error) {
         console.error(
@@ -289,6 +655,7 @@ export function TransactionProvider({ children }) {
         });
 
         setUserCategories(fetchedCategories);
+        setCategoriesSynced(!querySnapshot.metadata.fromCache);
         setLoading(false);
       },
       (error) => {
@@ -320,7 +687,8 @@ export function TransactionProvider({ children }) {
           transactionsData.sort(
             (a, b) => b.date.toDate().getTime() - a.date.toDate().getTime()
           );
-          setTransactions(transactionsData);
+          setStoredTransactions(transactionsData);
+          setTransactionsSynced(!querySnapshot.metadata.fromCache);
         },
         (error) => {
           console.error("Error loading transactions:", error);
@@ -332,6 +700,85 @@ export function TransactionProvider({ children }) {
       setLoading(false);
     }
 
+    // ========== RECURRING TEMPLATES LISTENER ==========
+    // Path: artifacts/{appId}/users/{userId}/recurring
+    // Due occurrences are posted by the effect further down whenever this changes
+    unsubscribeRecurring = onSnapshot(
+      collection(db, `artifacts/${appId}/users/${currentUser.uid}/recurring`),
+      (querySnapshot) => {
+        const templates = [];
+        querySnapshot.forEach((doc) => {
+          templates.push({ id: doc.id, ...doc.data() });
+        });
+        setRecurringTemplates(templates);
+      },
+      (error) => {
+        console.error("Error loading recurring transactions:", error);
+      }
+    );
+
+    // ========== ACCOUNTS LISTENER & INITIALIZATION ==========
+    // Path: artifacts/{appId}/users/{userId}/accounts
+    // A user with no accounts gets the default account, which also holds every
+    // transaction written before accounts existed. Its fixed document ID makes
+    // the creation idempotent across tabs.
+    const accountsCol = collection(
+      db,
+      `artifacts/${appId}/users/${currentUser.uid}/accounts`
+    );
+    unsubscribeAccounts = onSnapshot(
+      accountsCol,
+      (querySnapshot) => {
+        if (querySnapshot.empty && !querySnapshot.metadata.fromCache) {
+          setDoc(doc(accountsCol, DEFAULT_ACCOUNT_ID), {
+            name: "Main Account",
+            kind: "bank",
+            openingBalance: 0,
+            archived: false,
+            userId: currentUser.uid,
+            createdAt: Timestamp.now(),
+          }).catch((error) =>
+            console.error("Error creating default account:", error)
+          );
+          return;
+        }
+
+        const fetchedAccounts = [];
+        querySnapshot.forEach((doc) => {
+          fetchedAccounts.push({ id: doc.id, ...doc.data() });
+        });
+        setAccounts(fetchedAccounts);
+      },
+      (error) => {
+        console.error("Error loading accounts:", error);
+      }
+    );
+
+    // ========== SETTINGS LISTENER ==========
+    // Path: artifacts/{appId}/users/{userId}/settings/preferences
+    // Per-user preferences that follow the user across devices. A missing
+    // document simply means the defaults (base currency QAR). Only the server
+    // can tell that the minor units flag is really missing.
+    unsubscribeSettings = onSnapshot(
+      doc(
+        db,
+        `artifacts/${appId}/users/${currentUser.uid}/settings`,
+        "preferences"
+      ),
+      (docSnapshot) => {
+        const settings = docSnapshot.data();
+        setBaseCurrency(settings?.baseCurrency || DEFAULT_CURRENCY);
+        if (settings?.moneyUnits === MONEY_UNITS_MINOR) {
+          setMoneyUnits(MONEY_UNITS_MINOR);
+        } else if (!docSnapshot.metadata.fromCache) {
+          setMoneyUnits("whole");
+        }
+      },
+      (error) => {
+        console.error("Error loading settings:", error);
+      }
+    );
+
     // ========== CLEANUP FUNCTION ==========
     // Called when:
     // 1. Component unmounts
@@ -340,9 +787,496 @@ export function TransactionProvider({ children }) {
     return () => {
       unsubscribeTransactions();
       unsubscribeCategories();
+      unsubscribeRecurring();
+      unsubscribeAccounts();
+      unsubscribeSettings();
     };
   }, [currentUser, appId]);
 
+  // ==================== Category References ====================
+
+  /**
+   * transactions (derived)
+   *
+   * Stored transactions with `category` resolved to the current name of the
+   * category they reference by categoryId. Renaming a category therefore
+   * relabels its whole history, while the stored `category` field keeps the
+   * name at the time of writing (used for orphans and pre-migration documents).
+   * A transfer's destination (`toCategoryId` → `toCategory`) and the lines
+   * of a split transaction are resolved the same way.
+   */
+  const transactions = useMemo(() => {
+    const namesById = {};
+    userCategories.forEach((cat) => {
+      namesById[cat.id] = cat.name;
+    });
+
+    const nameFor = (categoryId, storedName) =>
+      (categoryId && namesById[categoryId]) || storedName;
+
+    return storedTransactions.map((t) => {
+      const resolved = { ...t, category: nameFor(t.categoryId, t.category) };
+      if (t.toCategoryId) {
+        resolved.toCategory = nameFor(t.toCategoryId, t.toCategory);
+      }
+      if (isSplit(t)) {
+        resolved.splits = t.splits.map((line) => ({
+          ...line,
+          category: nameFor(line.categoryId, line.category),
+        }));
+      }
+      return resolved;
+    });
+  }, [storedTransactions, userCategories]);
+
+  /**
+   * currentPeriod
+   *
+   * The viewed budget period, shared by every component that shows totals
+   * for "this period" (ExpenseList, OverviewSection, AppContainer), so they
+   * always agree whatever the billing cycle.
+   *
+   * Shape:
+   * {
+   *   startKey, endKey: "YYYY-MM-DD" (periodRange, both days inclusive),
+   *   start: Date, first moment of the period (00:00:00),
+   *   end: Date, last moment of the period (23:59:59.999),
+   *   transactions: the transactions dated inside it (by local day)
+   * }
+   *
+   * The header text for it is formatCycleHeader(currentMonth, currentYear).
+   */
+  const currentPeriod = useMemo(() => {
+    const start = parseDateKey(periodRange.start);
+    const end = parseDateKey(periodRange.end);
+    end.setHours(23, 59, 59, 999);
+
+    return {
+      startKey: periodRange.start,
+      endKey: periodRange.end,
+      start,
+      end,
+      transactions: transactions.filter((t) => {
+        const dateKey = toDateKey(t.date.toDate());
+        return dateKey >= periodRange.start && dateKey <= periodRange.end;
+      }),
+    };
+  }, [periodRange, transactions]);
+
+  /**
+   * periodComparison
+   *
+   * Totals of the viewed period, the period before it and the same period
+   * last year (see utils/summary buildPeriodComparison), for the trend deltas
+   * of OverviewSection and ExpenseList.
+   *
+   * Shape: { current, previous, lastYear }, each
+   *        { period, income, expenses, balance, categories }
+   */
+  const periodComparison = useMemo(
+    () =>
+      buildPeriodComparison(transactions, {
+        current: periodRange,
+        previous: getPeriodBefore(periodRange, cycleType, cycleSettings),
+        lastYear: getSamePeriodLastYear(periodRange, cycleType, cycleSettings),
+      }),
+    [transactions, periodRange, cycleType, cycleSettings]
+  );
+
+  /**
+   * resolveCategory(categoryKey)
+   *
+   * Finds a category document from a ledger key (see utils/ledger):
+   * a categoryId, or a category name for pre-migration transactions.
+   *
+   * Returns: Category object | undefined
+   */
+  const resolveCategory = (categoryKey) =>
+    userCategories.find((cat) => cat.id === categoryKey) ||
+    userCategories.find((cat) => cat.name === categoryKey);
+
+  /**
+   * withCategoryId(fields)
+   *
+   * Fills in categoryId when a write names its category only by `category`
+   * (how AddTransactionModal and ExpenseList pass it), toCategoryId for a
+   * transfer's `toCategory`, and categoryId on each line of `splits`.
+   * Unknown names get null so they can never attach to a later category of
+   * that name.
+   *
+   * Returns: New fields object (input is not mutated)
+   */
+  const withCategoryId = (fields) => {
+    const idFor = (name) =>
+      userCategories.find((cat) => cat.name === name)?.id ?? null;
+
+    const result = { ...fields };
+    if (fields.category !== undefined && fields.categoryId === undefined) {
+      result.categoryId = idFor(fields.category);
+    }
+    if (fields.toCategory !== undefined && fields.toCategoryId === undefined) {
+      result.toCategoryId = idFor(fields.toCategory);
+    }
+    if (isSplit(fields)) {
+      result.splits = fields.splits.map((line) =>
+        line.categoryId === undefined
+          ? { ...line, categoryId: idFor(line.category) }
+          : line
+      );
+    }
+    return result;
+  };
+
+  // ==================== One-Time Minor Units Migration ====================
+  // Amounts used to be stored as floats in whole units. Users whose settings
+  // lack the minor units flag get all their documents converted once (see
+  // migrateMoneyToMinorUnits); the settings listener then flips moneyUnits
+  // and the app becomes usable.
+  useEffect(() => {
+    if (
+      !currentUser ||
+      moneyUnits !== "whole" ||
+      moneyMigrationRunning.current
+    ) {
+      return;
+    }
+
+    moneyMigrationRunning.current = true;
+    console.log("Migrating amounts to minor units...");
+    migrateMoneyToMinorUnits(`artifacts/${appId}/users/${currentUser.uid}`)
+      .catch((error) =>
+        console.error("Error migrating amounts to minor units:", error)
+      )
+      .finally(() => {
+        moneyMigrationRunning.current = false;
+      });
+  }, [currentUser, moneyUnits]);
+
+  // ==================== One-Time categoryId Migration ====================
+  // Transactions written before categoryId existed only carry a category name.
+  // Once the full category list has synced from the server, stamp each such
+  // document with the ID of the category carrying that name (or null when no
+  // such category exists). Documents that already have the field are never
+  // touched again, so this converges to a no-op after the first run.
+  useEffect(() => {
+    if (!currentUser || !categoriesSynced || categoryMigrationRunning.current) {
+      return;
+    }
+
+    const pending = storedTransactions.filter((t) => !("categoryId" in t));
+    if (pending.length === 0) return;
+
+    const migrateCategoryIds = async () => {
+      categoryMigrationRunning.current = true;
+      console.log(
+        `Migrating ${pending.length} transactions to category IDs...`
+      );
+      try {
+        // Firestore batches are limited to 500 writes
+        for (let i = 0; i < pending.length; i += 500) {
+          const batch = writeBatch(db);
+          pending.slice(i, i + 500).forEach((t) => {
+            const category = userCategories.find(
+              (cat) => cat.name === t.category
+            );
+            batch.update(
+              doc(
+                db,
+                `artifacts/${appId}/users/${currentUser.uid}/transactions`,
+                t.id
+              ),
+              { categoryId: category ? category.id : null }
+            );
+          });
+          await batch.commit();
+        }
+      } catch (error) {
+        console.error("Error migrating transactions to category IDs:", error);
+      } finally {
+        categoryMigrationRunning.current = false;
+      }
+    };
+
+    migrateCategoryIds();
+  }, [currentUser, categoriesSynced, storedTransactions, userCategories]);
+
+  // ==================== Recurring Transaction Posting ====================
+  // Materialises every occurrence of a recurring template that is due (dated
+  // today or earlier) but not yet posted, e.g. the rent for each month the
+  // app wasn't opened.
+  //
+  // Idempotency:
+  // - template.nextIndex counts occurrences already posted or skipped; each
+  //   template's batch of due occurrences is posted in one runTransaction that
+  //   re-reads the template and does nothing if nextIndex moved meanwhile
+  //   (another tab or device posted them first)
+  // - posted documents get a deterministic ID `${templateId}_${YYYY-MM-DD}`,
+  //   so even a replayed write lands on the same document
+  //
+  // A run posts at most 366 occurrences per template; a run that wrote
+  // anything bumps recurringPostingPass so the effect re-runs for the rest.
+  useEffect(() => {
+    if (
+      !currentUser ||
+      !categoriesSynced ||
+      moneyUnits !== MONEY_UNITS_MINOR ||
+      recurringPostingRunning.current
+    ) {
+      return;
+    }
+
+    const todayKey = toDateKey(new Date());
+    const work = recurringTemplates
+      .filter((template) => !template.paused)
+      .map((template) => ({
+        template,
+        due: getDueOccurrences(template, todayKey),
+      }))
+      .filter(({ due }) => due.length > 0);
+    if (work.length === 0) return;
+
+    const basePath = `artifacts/${appId}/users/${currentUser.uid}`;
+
+    const postDueOccurrences = async () => {
+      recurringPostingRunning.current = true;
+      let wroteAny = false;
+      try {
+        for (const { template, due } of work) {
+          const templateRef = doc(db, `${basePath}/recurring`, template.id);
+
+          const wrote = await runTransaction(db, async (firestoreTx) => {
+            // ========== READ PHASE ==========
+            const templateSnapshot = await firestoreTx.get(templateRef);
+            if (!templateSnapshot.exists()) return false;
+            const stored = templateSnapshot.data();
+            if (
+              stored.paused ||
+              (stored.nextIndex || 0) !== (template.nextIndex || 0)
+            ) {
+              return false; // Already handled elsewhere; the next snapshot re-evaluates
+            }
+
+            const skippedDates = stored.skippedDates || [];
+            const postings = due
+              .filter(({ dateKey }) => !skippedDates.includes(dateKey))
+              .map(({ dateKey }) => ({
+                ref: doc(
+                  db,
+                  `${basePath}/transactions`,
+                  `${template.id}_${dateKey}`
+                ),
+                data: {
+                  type: stored.type,
+                  amount: stored.amount,
+                  category: stored.category,
+                  categoryId: stored.categoryId ?? null,
+                  description: stored.description || "",
+                  date: Timestamp.fromDate(parseDateKey(dateKey)),
+                  userId: currentUser.uid,
+                  createdAt: Timestamp.now(),
+                  accountId: stored.accountId || DEFAULT_ACCOUNT_ID,
+                  recurringId: template.id,
+                  occurrenceDate: dateKey,
+                },
+              }));
+
+            const deltas = sumCategoryDeltas(
+              [],
+              postings.map((p) => p.data)
+            );
+            const targets = [];
+            for (const [categoryKey, fields] of Object.entries(deltas)) {
+              const category =
+                userCategories.find((cat) => cat.id === categoryKey) ||
+                userCategories.find((cat) => cat.name === categoryKey);
+              if (!category) continue;
+              const ref = doc(db, `${basePath}/categories`, category.id);
+              const snapshot = await firestoreTx.get(ref);
+              if (snapshot.exists()) targets.push({ ref, fields });
+            }
+
+            // ========== WRITE PHASE ==========
+            const lastDateKey = due[due.length - 1].dateKey;
+            postings.forEach(({ ref, data }) => firestoreTx.set(ref, data));
+            writeCategoryDeltas(firestoreTx, targets);
+            firestoreTx.update(templateRef, {
+              nextIndex: due[due.length - 1].index + 1,
+              // Skips at or before the last handled date are used up
+              skippedDates: skippedDates.filter((d) => d > lastDateKey),
+            });
+            return true;
+          });
+          wroteAny = wroteAny || wrote;
+        }
+      } catch (error) {
+        console.error("Error posting recurring transactions:", error);
+      } finally {
+        recurringPostingRunning.current = false;
+        if (wroteAny) setRecurringPostingPass((pass) => pass + 1);
+      }
+    };
+
+    postDueOccurrences();
+  }, [
+    currentUser,
+    categoriesSynced,
+    moneyUnits,
+    recurringTemplates,
+    userCategories,
+    recurringPostingPass,
+  ]);
+
+  // ==================== Automatic Rollover ====================
+  // Carries each category's balance into the next billing period according to
+  // its rollover policy (see utils/rollover), the first time the app sees the
+  // period completed (today is past its last day).
+  //
+  // Idempotency:
+  // - category.rolledOverThrough is the end of the last period carried over;
+  //   each category's catch-up is written in one runTransaction that re-reads
+  //   the category and does nothing if the marker moved meanwhile (another tab
+  //   or device carried it over first), and advances the marker otherwise
+  // - posted documents get deterministic IDs
+  //   `rollover_${categoryId}_${periodEnd}_out` / `_in`
+  //
+  // Missed periods (the app wasn't opened for a while) are carried over oldest
+  // first, each period's balance including what the previous one carried in;
+  // a run handles at most 24 periods per category.
+  //
+  // Balances come from the transactions list, so nothing runs until both the
+  // categories and the transactions have been served by the server: the marker
+  // only ever advances past periods whose full ledger was seen.
+  useEffect(() => {
+    if (
+      !currentUser ||
+      !categoriesSynced ||
+      !transactionsSynced ||
+      moneyUnits !== MONEY_UNITS_MINOR ||
+      rolloverRunning.current
+    ) {
+      return;
+    }
+
+    const todayKey = toDateKey(new Date());
+    const work = [];
+    userCategories.forEach((category) => {
+      if (getRolloverPolicy(category) === "none" || !category.rolloverFrom) {
+        return;
+      }
+
+      // First period not carried over yet
+      let fromDate = parseDateKey(category.rolloverFrom);
+      if (category.rolledOverThrough) {
+        fromDate = parseDateKey(category.rolledOverThrough);
+        fromDate.setDate(fromDate.getDate() + 1);
+      }
+      let period = getPeriodContaining(fromDate, cycleType, cycleSettings);
+
+      const steps = [];
+      let carriedIn = 0;
+      while (period.end < todayKey && steps.length < 24) {
+        const next = getPeriodAfter(period, cycleType, cycleSettings);
+        const periodTransactions = transactions.filter((t) => {
+          const dateKey = toDateKey(t.date.toDate());
+          return dateKey >= period.start && dateKey <= period.end;
+        });
+        const balance =
+          (buildCategorySummary(periodTransactions)[category.name]?.balance ||
+            0) + carriedIn;
+        const amount = getRolloverAmount(category, balance);
+        steps.push({ period, next, amount });
+        carriedIn = amount;
+        period = next;
+      }
+      if (steps.length > 0) work.push({ category, steps });
+    });
+    if (work.length === 0) return;
+
+    const basePath = `artifacts/${appId}/users/${currentUser.uid}`;
+
+    const applyRollovers = async () => {
+      rolloverRunning.current = true;
+      let wroteAny = false;
+      try {
+        for (const { category, steps } of work) {
+          const categoryRef = doc(db, `${basePath}/categories`, category.id);
+
+          const wrote = await runTransaction(db, async (firestoreTx) => {
+            // ========== READ PHASE ==========
+            const snapshot = await firestoreTx.get(categoryRef);
+            if (!snapshot.exists()) return false;
+            const stored = snapshot.data();
+            if (
+              getRolloverPolicy(stored) === "none" ||
+              (stored.rolledOverThrough || null) !==
+                (category.rolledOverThrough || null)
+            ) {
+              return false; // Already handled elsewhere; the next snapshot re-evaluates
+            }
+
+            // ========== WRITE PHASE ==========
+            const postings = [];
+            steps.forEach(({ period, next, amount }) => {
+              if (amount === 0) return;
+              const sourceDate = parseDateKey(period.end);
+              sourceDate.setHours(23, 59, 59, 999);
+              const [rollOut, rollOver] = buildRollOverPair({
+                categoryName: category.name,
+                categoryId: category.id,
+                amount,
+                sourceDate,
+                targetDate: parseDateKey(next.start),
+                userId: currentUser.uid,
+                extra: { rolloverPeriodEnd: period.end },
+              });
+              const idPrefix = `rollover_${category.id}_${period.end}`;
+              postings.push(
+                { id: `${idPrefix}_out`, data: rollOut },
+                { id: `${idPrefix}_in`, data: rollOver }
+              );
+            });
+            postings.forEach(({ id, data }) =>
+              firestoreTx.set(doc(db, `${basePath}/transactions`, id), data)
+            );
+
+            const update = {
+              rolledOverThrough: steps[steps.length - 1].period.end,
+            };
+            const deltas = sumCategoryDeltas(
+              [],
+              postings.map((p) => p.data)
+            );
+            Object.entries(deltas[category.id] || {}).forEach(
+              ([field, delta]) => {
+                update[field] = increment(delta);
+              }
+            );
+            firestoreTx.update(categoryRef, update);
+            return true;
+          });
+          wroteAny = wroteAny || wrote;
+        }
+      } catch (error) {
+        console.error("Error applying category rollovers:", error);
+      } finally {
+        rolloverRunning.current = false;
+        if (wroteAny) setRolloverPass((pass) => pass + 1);
+      }
+    };
+
+    applyRollovers();
+  }, [
+    currentUser,
+    categoriesSynced,
+    transactionsSynced,
+    moneyUnits,
+    userCategories,
+    transactions,
+    cycleType,
+    cycleSettings,
+    rolloverPass,
+  ]);
+
   // ==================== Billing Cycle Boundary Calculations ====================
 
   /**
@@ -352,7 +1286,8 @@ export function TransactionProvider({ children }) {
    *
    * Behavior:
    * - cycleType === "calendar": Returns standard calendar month (1st - last day)
-   * - cycleType === "custom": Returns user-defined date range from localStorage
+   * - Other cycle types: Returns the viewed week, two weeks or anchored
+   *   period (periodRange), computed from the cycle so it never drifts
    *
    * Returns: { start: Date, end: Date }
    * - start: First moment of the period (00:00:00)
@@ -362,8 +1297,8 @@ export function TransactionProvider({ children }) {
    * Calendar mode, March 2024:
    *   Returns: { start: Mar 1 00:00:00, end: Mar 31 23:59:59.999 }
    *
-   * Custom mode, 15th to 14th:
-   *   Returns: { start: 2024-03-15, end: 2024-04-14 }
+   * Custom mode, starts on day 15 each month:
+   *   Returns: { start: Mar 15 00:00:00, end: Apr 14 23:59:59.999 }
    */
   const getCycleBoundaries = (month, year) => {
     if (cycleType === "calendar") {
@@ -372,14 +1307,36 @@ export function TransactionProvider({ children }) {
       const end = new Date(year, month + 1, 0, 23, 59, 59, 999);
       return { start, end };
     } else {
-      // Custom cycle: use stored start/end dates
-      return {
-        start: new Date(customDateRange.start),
-        end: new Date(customDateRange.end),
-      };
+      // Weekly, bi-weekly and custom cycles: the viewed period, as local days
+      const start = parseDateKey(periodRange.start);
+      const end = parseDateKey(periodRange.end);
+      end.setHours(23, 59, 59, 999);
+      return { start, end };
     }
   };
 
+  /**
+   * getYearPeriods(year)
+   *
+   * Returns: Array of { start, end } date keys for every period of the
+   * current billing cycle starting in `year` (see utils/cycles getPeriodsInYear)
+   *
+   * Example (calendar): getYearPeriods(2025) → Jan 2025 ... Dec 2025
+   */
+  const getYearPeriods = (year) =>
+    getPeriodsInYear(year, cycleType, cycleSettings);
+
+  /**
+   * getRecentPeriods(count)
+   *
+   * Returns: Array of the `count` periods ending with the viewed one, oldest
+   * first (see utils/cycles getPeriodsEnding)
+   *
+   * Example (weekly): getRecentPeriods(4) → the viewed week and the 3 before it
+   */
+  const getRecentPeriods = (count) =>
+    getPeriodsEnding(periodRange, count, cycleType, cycleSettings);
+
   /**
    * formatCycleHeader(month, year)
    *
@@ -387,7 +1344,7 @@ export function TransactionProvider({ children }) {
    *
    * Examples:
    * - Calendar mode: "March 2024"
-   * - Custom mode: "Mar 15, 2024 - Apr 14, 2024"
+   * - Weekly, bi-weekly and custom modes: "Mar 15, 2024 - Apr 14, 2024"
    */
   const formatCycleHeader = (month, year) => {
     if (cycleType === "calendar") {
@@ -398,8 +1355,8 @@ export function TransactionProvider({ children }) {
       });
     } else {
       // "Mar 15, 2024 - Apr 14, 2024" format
-      const start = new Date(customDateRange.start);
-      const end = new Date(customDateRange.end);
+      const start = parseDateKey(periodRange.start);
+      const end = parseDateKey(periodRange.end);
 
       const startStr = start.toLocaleDateString("default", {
         month: "short",
@@ -424,15 +1381,21 @@ export function TransactionProvider({ children }) {
    *
    * Examples:
    * - Calendar mode: "Calendar Month (1st - EOM)"
-   * - Custom mode: "3/15/2024 to 4/14/2024"
+   * - Weekly mode: "Weekly (starts Monday)"
+   * - Custom mode: "Starts on day 25 each month" (see describeCustomCycle)
    */
   const formatCycleSettingInfo = () => {
     if (cycleType === "calendar") {
       return "Calendar Month (1st - EOM)";
+    } else if (cycleType === "custom") {
+      return describeCustomCycle(customCycle);
     } else {
-      const start = new Date(customDateRange.start);
-      const end = new Date(customDateRange.end);
-      return `${start.toLocaleDateString()} to ${end.toLocaleDateString()}`;
+      // Any date with the right weekday: Jan 7, 2024 was a Sunday
+      const weekday = new Date(2024, 0, 7 + weekStartDay).toLocaleDateString(
+        "default",
+        { weekday: "long" }
+      );
+      return `${CYCLE_TYPES[cycleType]} (starts ${weekday})`;
     }
   };
 
@@ -445,6 +1408,9 @@ export function TransactionProvider({ children }) {
    * Transfers budget surplus (remaining balance) from current period to next period.
    * Creates two transactions: one expense (rollout) and one income (rollin).
    * Updates category spentAmount to reflect the forwarded surplus.
+   * A deficit (negative balance) is forwarded the other way round: an income
+   * clears it in the current period and an expense debits the next one, so
+   * overspending reduces the next period's budget (see buildRollOverPair).
    *
    * When to use:
    * - User finishes a budget period with leftover money
@@ -453,21 +1419,32 @@ export function TransactionProvider({ children }) {
    *
    * Parameters:
    * surplusData: Array of { categoryName: string, balance: number }
+   *              (minor units; negative for a deficit)
    *
    * Guard Checks:
    * 1. currentUser exists (user must be logged in)
    * 2. Viewed period is complete (today > cycleEnd)
-   * 3. Balance > 0 (only forward positive balances)
+   * 3. Balance !== 0 (nothing to forward otherwise)
    * 4. Target date calculation handles edge cases (e.g., Feb 31 → Feb 28)
    *
+   * Billing cycles:
+   * - Calendar: the viewed month ends on its last day; the roll-over lands on
+   *   today's day of month in the following month
+   * - Weekly, bi-weekly and custom: the viewed range ends at the close of
+   *   periodRange.end; the next cycle starts the day after and the roll-over lands on that first
+   *   day (see utils/cycles getPeriodAfter)
+   *
    * Process Flow:
    * 1. Verify viewed period is complete (prevent early forwarding)
-   * 2. Calculate target date in next period (same day, or last day if invalid)
-   * 3. Create two transactions per category:
+   * 2. Calculate target date in next period
+   * 3. Build two transactions per category, linked by a shared rollOverPairId:
    *    - Expense on cycle end date (rolls out the surplus)
    *    - Income on next period date (rolls in the surplus)
-   * 4. Update category spentAmount to track forward movement
-   * 5. Return true on success, false on failure
+   * 4. Write all pairs plus category counter increments in one Firestore transaction
+   *    (roll-out → spentAmount, roll-in → budgetAmount, same as any transaction)
+   * 5. In the same transaction, record the forward as one operation in the
+   *    `forwards` collection; every pair carries its forwardId (see undoForward)
+   * 6. Return the forwardId on success, false on failure (nothing is written on failure)
    *
    * Example:
    * Forward $200 from Food budget:
@@ -475,28 +1452,28 @@ export function TransactionProvider({ children }) {
    * - Date: Apr 15 (next period date) - adds $200 income to Food
    * Result: Food balance carries over to next period
    *
-   * Returns: true (success) | false (failure/guard check failed)
+   * The new forward's ID is also kept as `lastForwardId` for an undo button.
+   *
+   * Returns: forwardId string (success) | false (failure/guard check failed)
    */
   const forwardSurplus = async (surplusData) => {
     if (!currentUser) return false;
 
-    const { end: viewedCycleEnd } = getCycleBoundaries(
-      currentMonth,
-      currentYear
-    );
     const today = new Date();
+    let viewedCycleEnd;
+    let nextPeriod = null;
+    if (cycleType !== "calendar") {
+      // Last moment of the range's end day, in local time
+      viewedCycleEnd = parseDateKey(periodRange.end);
+      viewedCycleEnd.setHours(23, 59, 59, 999);
+      nextPeriod = getPeriodAfter(periodRange, cycleType, cycleSettings);
+    } else {
+      viewedCycleEnd = getCycleBoundaries(currentMonth, currentYear).end;
+    }
 
     // Guard: Only allow forwarding from completed periods
     const isViewedPeriodComplete = today > viewedCycleEnd;
 
-    // ✅ NEW: Restrict to calendar mode only
-    if (cycleType !== "calendar") {
-      alert(
-        "Surplus forwarding is only available in Calendar Month mode. Please switch your billing cycle in settings."
-      );
-      return false;
-    }
-
     if (!isViewedPeriodComplete) {
       alert(
         "Forwarding failed: Funds can only be forwarded from a completed budget period."
@@ -505,15 +1482,18 @@ export function TransactionProvider({ children }) {
     }
 
     // ========== TARGET DATE CALCULATION ==========
-    // Attempt to create date with same day of month in next period
-    let targetDate = new Date(
-      viewedCycleEnd.getFullYear(),
-      viewedCycleEnd.getMonth() + 1,
-      today.getDate()
-    );
+    // Weekly, bi-weekly and custom cycles: the first day of the next cycle
+    // Calendar: same day of month as today in the next month
+    let targetDate = nextPeriod
+      ? parseDateKey(nextPeriod.start)
+      : new Date(
+          viewedCycleEnd.getFullYear(),
+          viewedCycleEnd.getMonth() + 1,
+          today.getDate()
+        );
 
     // Edge case: If month doesn't have that day (e.g., Feb 31), use last day of month
-    if (targetDate.getDate() !== today.getDate()) {
+    if (!nextPeriod && targetDate.getDate() !== today.getDate()) {
       targetDate = new Date(
         targetDate.getFullYear(),
         targetDate.getMonth() + 1,
@@ -521,72 +1501,100 @@ export function TransactionProvider({ children }) {
       );
     }
 
-    const targetTimestamp = Timestamp.fromDate(targetDate);
-    const sourceTimestamp = Timestamp.fromDate(viewedCycleEnd);
+    // ========== BUILD EACH CATEGORY'S ROLL-OUT/ROLL-OVER PAIR ==========
+    // Every pair of this forward carries its ID so it can be undone as a whole
+    const forwardId = crypto.randomUUID();
+    const rollOverTransactions = [];
+    const forwardedCategories = [];
+    surplusData.forEach(({ categoryName, balance }) => {
+      // Skip categories with nothing to carry (balance === 0)
+      if (balance === 0) return;
+
+      const categoryId =
+        userCategories.find((cat) => cat.name === categoryName)?.id ?? null;
+      forwardedCategories.push({ categoryId, categoryName, amount: balance });
+      rollOverTransactions.push(
+        ...buildRollOverPair({
+          categoryName,
+          categoryId,
+          amount: balance,
+          sourceDate: viewedCycleEnd,
+          targetDate,
+          userId: currentUser.uid,
+          extra: { forwardId },
+        })
+      );
+    });
+    if (rollOverTransactions.length === 0) return false;
 
     setLoading(true);
-
-    const transactionsRef = collection(
-      db,
-      `artifacts/${appId}/users/${currentUser.uid}/transactions`
-    );
-    const categoriesRef = collection(
-      db,
-      `artifacts/${appId}/users/${currentUser.uid}/categories`
-    );
-
     try {
-      // ========== PROCESS EACH CATEGORY'S SURPLUS ==========
-      const promises = surplusData.map(async ({ categoryName, balance }) => {
-        // Skip categories with no surplus (balance <= 0)
-        if (balance <= 0) return;
-
-        // Create rollout expense transaction
-        // Records surplus being moved out of current period
-        await addDoc(transactionsRef, {
-          type: "expense",
-          amount: balance,
-          category: categoryName,
-          description: `Surplus roll-out to next period`,
-          date: sourceTimestamp,
+      // ========== WRITE ALL PAIRS AND COUNTERS ATOMICALLY ==========
+      // Either every roll-out, roll-over and counter update lands, or none do
+      await commitForward(
+        db,
+        ledgerPath(),
+        forwardId,
+        rollOverTransactions,
+        {
+          periodEnd: toDateKey(viewedCycleEnd),
+          targetDate: toDateKey(targetDate),
+          categories: forwardedCategories,
           userId: currentUser.uid,
           createdAt: Timestamp.now(),
-          isRollOver: true, // Flag: This is a rollover transaction
-        });
-
-        // Create rollin income transaction
-        // Records surplus being moved into next period
-        await addDoc(transactionsRef, {
-          type: "income",
-          amount: balance,
-          category: categoryName,
-          description: `Surplus roll-over from previous period`,
-          date: targetTimestamp,
-          userId: currentUser.uid,
-          createdAt: Timestamp.now(),
-          isRollOver: true, // Flag: This is a rollover transaction
-        });
-
-        // Update category spentAmount to reflect forwarded balance
-        const q = query(categoriesRef, where("name", "==", categoryName));
-        const categorySnapshot = await getDocs(q);
-
-        if (!categorySnapshot.empty) {
-          const categoryDoc = categorySnapshot.docs[0];
-          const categoryId = categoryDoc.id;
-          const currentData = categoryDoc.data();
-          const newSpentAmount = (currentData.spentAmount || 0) + balance;
+        },
+        resolveCategoryId
+      );
+      setLastForwardId(forwardId);
+      return forwardId;
+    } catch (error) {
+      console.error("Error during surplus forwarding:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
 
-          await updateDoc(doc(categoriesRef, categoryId), {
-            spentAmount: newSpentAmount,
-          });
-        }
-      });
+  /**
+   * undoForward(forwardId)
+   *
+   * Purpose:
+   * Reverse one forwardSurplus call as a whole: every roll-out/roll-over
+   * transaction it wrote is deleted and the category counters are restored,
+   * in one Firestore transaction together with removing the forward record.
+   *
+   * Parameters:
+   * forwardId: ID returned by forwardSurplus (also stored on each of its
+   *            transactions as `forwardId`)
+   *
+   * Notes:
+   * - Transactions already deleted on their own are skipped
+   * - Forwards made before forwards were recorded have no record; their
+   *   pairs can still be deleted one by one from the transaction list
+   *
+   * Clears `lastForwardId` when it names this forward and the forward is gone
+   * (undone now or before).
+   *
+   * Returns: true (success) | false (failure or nothing to undo)
+   */
+  const undoForward = async (forwardId) => {
+    if (!currentUser || !forwardId) {
+      console.warn("Cannot undo forward: Missing user or forward ID.");
+      return false;
+    }
 
-      await Promise.all(promises);
-      return true;
+    setLoading(true);
+    try {
+      const undone = await commitUndoForward(
+        db,
+        ledgerPath(),
+        forwardId,
+        resolveCategoryId
+      );
+      setLastForwardId((id) => (id === forwardId ? null : id));
+      return undone;
     } catch (error) {
-      console.error("Error during surplus forwarding:", error);
+      console.error("Error undoing forward:", error);
       return false;
     } finally {
       setLoading(false);
@@ -599,65 +1607,100 @@ export function TransactionProvider({ children }) {
    * changeMonth(delta)
    *
    * Purpose:
-   * Navigates to a different month for viewing/filtering data.
-   * Updates both calendar month state AND custom cycle dates (if in custom mode).
+   * Navigates to a different period (month, week, two weeks or custom cycle)
+   * for viewing/filtering data.
    *
    * Parameters:
-   * delta: -1 (previous month) | +1 (next month)
+   * delta: -1 (previous period) | +1 (next period) | any number of periods
    *
    * Behavior:
-   * 1. Update currentMonth/currentYear (handles year wraparound)
-   * 2. Reset currentDay to 1 (avoid invalid dates like Feb 31)
-   * 3. If cycleType === "custom": Calculate new custom date range
-   *    - Get range duration (e.g., 30 days)
-   *    - Add that duration to both start and end dates
-   *    - Result: Custom cycle "slides" forward by same duration
+   * - Calendar:
+   *   1. Update currentMonth/currentYear (handles year wraparound)
+   *   2. Reset currentDay to 1 (avoid invalid dates like Feb 31)
+   * - Weekly, bi-weekly and custom:
+   *   1. Move to the next/previous period, computed from the cycle (see
+   *      utils/cycles getPeriodAfter/Before); months of different lengths
+   *      never shift the pay day
+   *   2. Move currentMonth/currentYear/currentDay to the period's first day
    *
    * Example:
    * Current: March 1-31 in calendar mode
    * changeMonth(1) → April 1-30
    *
-   * Current: Mar 15 - Apr 14 in custom mode
-   * changeMonth(1) → Apr 15 - May 14 (maintains ~30-day cycle)
+   * Current: Jan 31 - Feb 27 in custom mode (starts on day 31 each month)
+   * changeMonth(1) → Feb 28 - Mar 30, changeMonth(1) → Mar 31 - Apr 29
+   *
+   * Current: Mon Mar 3 - Sun Mar 9 in weekly mode
+   * changeMonth(1) → Mar 10 - Mar 16
    *
    * Used by: OverviewSection and ExpenseList navigation buttons
    */
   const changeMonth = (delta) => {
-    // Always update calendar month state (required for OverviewSection)
-    setCurrentMonth((prev) => {
-      let newMonth = prev + delta;
-      let newYear = currentYear;
-
-      // Handle month wraparound
-      if (newMonth < 0) {
-        newMonth = 11; // December
-        newYear--;
-      } else if (newMonth > 11) {
-        newMonth = 0; // January
-        newYear++;
+    // Other cycles move period by period (for ExpenseList); each step is
+    // computed from the cycle definition, so it never drifts
+    if (cycleType !== "calendar") {
+      let period = periodRange;
+      for (let i = 0; i < Math.abs(delta); i++) {
+        period =
+          delta > 0
+            ? getPeriodAfter(period, cycleType, cycleSettings)
+            : getPeriodBefore(period, cycleType, cycleSettings);
       }
+      showPeriod(period);
+      return;
+    }
 
-      setCurrentYear(newYear);
-      setCurrentDay(1);
-      return newMonth;
-    });
+    // Calendar month navigation
+    // Date handles the year wraparound for any delta (e.g., -1 from January)
+    const target = new Date(currentYear, currentMonth + delta, 1);
+    setCurrentYear(target.getFullYear());
+    setCurrentMonth(target.getMonth());
+    setCurrentDay(1);
+  };
 
-    // Also update custom date range if in custom mode (for ExpenseList)
-    // This ensures custom cycle dates shift forward/back with month navigation
-    if (cycleType === "custom") {
-      const currentStart = new Date(customDateRange.start);
-      const currentEnd = new Date(customDateRange.end);
-      const rangeInMs = currentEnd - currentStart;
+  /**
+   * changeYear(delta)
+   *
+   * Purpose:
+   * Navigates a whole year back or forward (year view in OverviewSection).
+   *
+   * Behavior:
+   * - Calendar: same month, previous/next year
+   * - Weekly, bi-weekly and custom: the period containing the same date in
+   *   the previous/next year (e.g., Mar 25 - Apr 24, 2025 → Mar 25 - Apr 24, 2024)
+   *
+   * Parameters:
+   * delta: -1 (previous year) | +1 (next year)
+   */
+  const changeYear = (delta) => {
+    if (cycleType !== "calendar") {
+      const start = parseDateKey(periodRange.start);
+      showPeriod(
+        getPeriodContaining(
+          new Date(
+            start.getFullYear() + delta,
+            start.getMonth(),
+            start.getDate()
+          ),
+          cycleType,
+          cycleSettings
+        )
+      );
+      return;
+    }
 
-      // Calculate new dates by adding/subtracting the cycle duration
-      const newStart = new Date(currentStart.getTime() + delta * rangeInMs);
-      const newEnd = new Date(currentEnd.getTime() + delta * rangeInMs);
+    setCurrentYear(currentYear + delta);
+    setCurrentDay(1);
+  };
 
-      setCustomDateRange({
-        start: newStart.toISOString().split("T")[0],
-        end: newEnd.toISOString().split("T")[0],
-      });
-    }
+  // Views a weekly, bi-weekly or custom period, keeping the calendar view on
+  // its first day (for OverviewSection and TransactionsSection)
+  const showPeriod = (period) => {
+    const start = parseDateKey(period.start);
+    setPeriodDate(period.start);
+    setCurrentYear(start.getFullYear());
+    setCurrentMonth(start.getMonth());
+    setCurrentDay(start.getDate());
   };
 
   /**
@@ -697,36 +1740,62 @@ export function TransactionProvider({ children }) {
 
   // ==================== Transaction CRUD Operations ====================
 
+  // ==================== Ledger Write Helpers ====================
+  // Every write that touches category counters runs inside runTransaction:
+  // the transaction document(s) and the counter increments commit together
+  // or not at all, so a failure or a second tab can't leave half-written state.
+  // The Firestore transactions live in utils/ledgerWrites, where the emulator
+  // tests exercise them; these two supply the current user's part.
+
+  // Base path of the signed-in user's ledger collections
+  const ledgerPath = () => `artifacts/${appId}/users/${currentUser.uid}`;
+
+  // Category document ID for a ledger key (ID or pre-migration name)
+  const resolveCategoryId = (categoryKey) => resolveCategory(categoryKey)?.id;
+
   /**
    * addTransaction(transaction)
    *
    * Purpose:
-   * Add a new income or expense transaction to Firestore.
-   * Also updates the associated category's budgetAmount (income) or spentAmount (expense).
+   * Add a new income, expense or transfer transaction to Firestore.
+   * Also updates the associated category's budgetAmount (income) or spentAmount (expense);
+   * a transfer moves the amount from one category's budget to another's.
    *
    * Parameters:
    * transaction: {
-   *   type: 'income' | 'expense',
-   *   amount: number (QAR),
-   *   category: string (category name),
+   *   type: 'income' | 'expense' | 'transfer',
+   *   amount: number (integer minor units of the base currency, see
+   *           utils/money; the converted value for foreign currency),
+   *   originalAmount?: number (minor units), originalCurrency?: string,
+   *   exchangeRate?: number
+   *            (foreign currency only: amount as paid and base units per 1 unit,
+   *            see utils/exchange),
+   *   category: string (category name; the source category of a transfer;
+   *             null for a split),
+   *   categoryId?: string (resolved from the name when omitted),
+   *   toCategory?: string (transfer only: destination category name),
+   *   splits?: [{ category: string, amount: number }] (income/expense only:
+   *            line items summing to amount, each counted against its category),
+   *   accountId?: string (account the money moves in; default account when omitted),
    *   description: string (user note),
-   *   date: ISO string or Date object
+   *   date: "YYYY-MM-DD" (local day), ISO string or Date object
    * }
    *
-   * Process:
+   * Process (single Firestore transaction):
    * 1. Verify user is authenticated
-   * 2. Add transaction document to Firestore with Timestamp
-   * 3. Find associated category by name
-   * 4. Update category amounts:
+   * 2. Read the associated category document (by categoryId)
+   * 3. Create the transaction document with Timestamp
+   * 4. Increment category amounts:
    *    - Income type: Add amount to budgetAmount
    *    - Expense type: Add amount to spentAmount
-   * 5. Return true on success, false on failure
+   *    - Transfer type: Add amount to source spentAmount and destination budgetAmount
+   * 5. Return true on success, false on failure (nothing is written on failure)
    *
    * Example:
    * ```javascript
    * const success = await addTransaction({
    *   type: 'expense',
-   *   amount: 50.00,
+   *   amount: 50000, // QAR 50.00 in minor units (utils/money)
    *   category: 'Food',
    *   description: 'Grocery shopping',
    *   date: '2024-03-15'
@@ -741,70 +1810,100 @@ export function TransactionProvider({ children }) {
       return false;
     }
 
+    const newTransaction = withCategoryId({
+      ...transaction,
+      accountId: transaction.accountId || DEFAULT_ACCOUNT_ID,
+      userId: currentUser.uid,
+      date: toTransactionTimestamp(transaction.date),
+      createdAt: Timestamp.now(),
+    });
+
     setLoading(true);
     try {
-      // Add transaction to Firestore
-      await addDoc(
-        collection(
-          db,
-          `artifacts/${appId}/users/${currentUser.uid}/transactions`
-        ),
-        {
-          ...transaction,
-          userId: currentUser.uid,
-          date: Timestamp.fromDate(new Date(transaction.date)),
-          createdAt: Timestamp.now(),
-        }
+      await commitNewTransaction(
+        db,
+        ledgerPath(),
+        newTransaction,
+        resolveCategoryId
       );
+      return true;
+    } catch (error) {
+      console.error("Error adding transaction:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      // Find the category associated with this transaction
-      const categoryToUpdateQuery = query(
-        collection(
-          db,
-          `artifacts/${appId}/users/${currentUser.uid}/categories`
-        ),
-        where("name", "==", transaction.category)
+  /**
+   * updateTransaction(transactionId, changes)
+   *
+   * Purpose:
+   * Edit an existing transaction in place, keeping its document ID and createdAt.
+   * Rebalances category counters: the old amount is moved out of the old
+   * category's spentAmount/budgetAmount and the new amount into the new one.
+   *
+   * The stored document is re-read inside the Firestore transaction, so the
+   * "old" side reflects the latest saved version even if another tab edited it.
+   *
+   * Parameters:
+   * transactionId: Firestore document ID of the transaction to edit
+   * changes: Partial transaction {
+   *   type?: 'income' | 'expense' | 'transfer',
+   *   amount?: number (minor units of the base currency),
+   *   originalAmount?, originalCurrency?, exchangeRate?: foreign currency details
+   *            (null to clear them),
+   *   category?: string (category name),
+   *   toCategory?: string (transfer destination name),
+   *   description?: string,
+   *   date?: "YYYY-MM-DD" (local day), ISO string or Date object
+   * }
+   *
+   * Example:
+   * ```javascript
+   * // Move a 50 QAR Food expense to Shopping and correct it to 45 QAR
+   * await updateTransaction(id, { category: 'Shopping', amount: 45000 });
+   * // Food.spentAmount -= 50000, Shopping.spentAmount += 45000
+   * ```
+   *
+   * Roll-over halves (isRollOver, or written by a forward) can't be edited:
+   * one half changed on its own no longer matches its partner or the
+   * forward record undoForward reverses. Delete the pair instead.
+   *
+   * Returns: true (success) | false (failure, roll-over half or transaction
+   *          no longer exists)
+   */
+  const updateTransaction = async (transactionId, changes) => {
+    if (!currentUser) {
+      console.warn("Cannot update transaction: No user authenticated.");
+      return false;
+    }
+
+    const existing = transactions.find((t) => t.id === transactionId);
+    if (existing?.isRollOver || existing?.forwardId) {
+      console.warn(
+        "Cannot update transaction: Roll-over halves are read-only."
       );
+      return false;
+    }
 
-      const categorySnapshot = await getDocs(categoryToUpdateQuery);
-      if (!categorySnapshot.empty) {
-        const categoryDoc = categorySnapshot.docs[0];
-        const categoryId = categoryDoc.id;
-        const currentData = categoryDoc.data();
-
-        // Update category amounts based on transaction type
-        if (transaction.type === "income") {
-          // Income adds to budget available
-          const newBudget =
-            (currentData.budgetAmount || 0) + transaction.amount;
-          await updateDoc(
-            doc(
-              db,
-              `artifacts/${appId}/users/${currentUser.uid}/categories`,
-              categoryId
-            ),
-            {
-              budgetAmount: newBudget,
-            }
-          );
-        } else if (transaction.type === "expense") {
-          // Expense adds to amount spent
-          const newSpent = (currentData.spentAmount || 0) + transaction.amount;
-          await updateDoc(
-            doc(
-              db,
-              `artifacts/${appId}/users/${currentUser.uid}/categories`,
-              categoryId
-            ),
-            {
-              spentAmount: newSpent,
-            }
-          );
-        }
-      }
+    const payload = withCategoryId({ ...changes, updatedAt: Timestamp.now() });
+    if (changes.date !== undefined) {
+      payload.date = toTransactionTimestamp(changes.date);
+    }
+
+    setLoading(true);
+    try {
+      await commitTransactionUpdate(
+        db,
+        ledgerPath(),
+        transactionId,
+        payload,
+        resolveCategoryId
+      );
       return true;
     } catch (error) {
-      console.error("Error adding transaction:", error);
+      console.error("Error updating transaction:", error);
       return false;
     } finally {
       setLoading(false);
@@ -812,31 +1911,96 @@ export function TransactionProvider({ children }) {
   };
 
   /**
-   * deleteTransaction(transactionId)
+   * findRollOverPartner(transaction)
+   *
+   * Purpose:
+   * Locate the other half of a surplus roll-out/roll-over pair written by
+   * forwardSurplus, so both halves can be deleted together.
+   *
+   * Matching:
+   * 1. Pairs written with a rollOverPairId match on that ID
+   * 2. Older pairs (no ID) fall back to: same category, same amount,
+   *    opposite type, closest date in the right direction
+   *    (roll-out → later roll-in, roll-in → earlier roll-out)
+   *
+   * Parameters:
+   * transaction: Transaction object from the transactions array
+   *
+   * Returns: Partner transaction object | null (not a rollover or no match)
+   */
+  const findRollOverPartner = (transaction) => {
+    if (!transaction?.isRollOver) return null;
+
+    if (transaction.rollOverPairId) {
+      return (
+        transactions.find(
+          (t) =>
+            t.id !== transaction.id &&
+            t.rollOverPairId === transaction.rollOverPairId
+        ) || null
+      );
+    }
+
+    const isRollOut = transaction.type === "expense";
+    const ownTime = transaction.date.toDate().getTime();
+
+    const candidates = transactions.filter((t) => {
+      if (t.id === transaction.id || !t.isRollOver || t.rollOverPairId) {
+        return false;
+      }
+      if (getCategoryKey(t) !== getCategoryKey(transaction)) return false;
+      if (t.amount !== transaction.amount || t.type === transaction.type) {
+        return false;
+      }
+      const time = t.date.toDate().getTime();
+      return isRollOut ? time >= ownTime : time <= ownTime;
+    });
+
+    // Closest in time wins
+    candidates.sort(
+      (a, b) =>
+        Math.abs(a.date.toDate().getTime() - ownTime) -
+        Math.abs(b.date.toDate().getTime() - ownTime)
+    );
+    return candidates[0] || null;
+  };
+
+  /**
+   * deleteTransaction(transactionId, options)
    *
    * Purpose:
-   * Remove a transaction from Firestore by ID.
-   * Note: Does NOT update category amounts (consider for future enhancement)
+   * Remove a transaction from Firestore by ID and reverse its effect on the
+   * category counters (income → budgetAmount, expense → spentAmount).
+   * The delete(s) and counter reversal commit in one Firestore transaction;
+   * documents already removed elsewhere are skipped so nothing is reversed twice.
    *
    * Parameters:
    * transactionId: Firestore document ID of transaction to delete
+   * options: {
+   *   includePartner?: boolean - Also delete the other half of a
+   *                              surplus roll-over pair (see findRollOverPartner)
+   * }
    *
    * Returns: true (success) | false (failure)
    */
-  const deleteTransaction = async (transactionId) => {
+  const deleteTransaction = async (
+    transactionId,
+    { includePartner = false } = {}
+  ) => {
     if (!currentUser) {
       console.warn("Cannot delete transaction: No user authenticated.");
       return false;
     }
 
+    const existing = transactions.find((t) => t.id === transactionId);
+    const partner = includePartner ? findRollOverPartner(existing) : null;
     setLoading(true);
     try {
-      await deleteDoc(
-        doc(
-          db,
-          `artifacts/${appId}/users/${currentUser.uid}/transactions`,
-          transactionId
-        )
+      await commitTransactionDeletes(
+        db,
+        ledgerPath(),
+        [transactionId, partner?.id].filter(Boolean),
+        resolveCategoryId
       );
       return true;
     } catch (error) {
@@ -859,25 +2023,28 @@ export function TransactionProvider({ children }) {
    *
    * Parameters:
    * name: string (category name, e.g., "Food", "Transport")
-   * budgetAmount: number (optional, initial budget in QAR)
+   * budgetAmount: number (optional, initial budget in minor units)
    *
    * Process:
    * 1. Verify user is authenticated and name is not empty
    * 2. Query existing categories to prevent duplicates
    * 3. Return false if category with same name exists
-   * 4. Create new category document in Firestore
-   * 5. If budgetAmount > 0:
-   *    - Create income transaction for that amount (today's date)
-   *    - This represents initial budget allocation
-   * 6. Return true on success, false on failure
+   * 4. In one write batch:
+   *    - Create new category document in Firestore, its budgetAmount
+   *      already counting the initial budget
+   *    - If budgetAmount > 0, create income transaction for that amount (today's date)
+   *      This represents initial budget allocation
+   * 5. Return true on success, false on failure (nothing is written on failure)
    *
    * Example:
    * ```javascript
-   * // Create category with 500 QAR initial budget
-   * const success = await addCategory('Entertainment', 500);
+   * // Create category with 500 QAR initial budget (minor units, utils/money)
+   * const success = await addCategory('Entertainment', 500000);
    * // This creates:
-   * // 1. Category document: { name: 'Entertainment', budgetAmount: 0, ... }
-   * // 2. Income transaction: 500 QAR for Entertainment category today
+   * // 1. Category document: { name: 'Entertainment', budgetAmount: 500000,
+   * //    spentAmount: 0, userId, createdAt }
+   * // 2. Income transaction: { type: 'income', amount: 500000,
+   * //    category: 'Entertainment', categoryId, ... } dated today
    * ```
    *
    * Returns: true (success) | false (failure or duplicate)
@@ -903,8 +2070,11 @@ export function TransactionProvider({ children }) {
 
     setLoading(true);
     try {
+      const batch = writeBatch(db);
+      const categoryRef = doc(categoriesRef);
+
       // Create category document
-      await addDoc(categoriesRef, {
+      batch.set(categoryRef, {
         name: name.trim(),
         budgetAmount: budgetAmount || 0,
         spentAmount: 0,
@@ -913,15 +2083,17 @@ export function TransactionProvider({ children }) {
       });
 
       // If budget amount provided, create income transaction for it
+      // (its amount is already counted in the category's starting budgetAmount)
       if (budgetAmount > 0) {
         const transactionsRef = collection(
           db,
           `artifacts/${appId}/users/${currentUser.uid}/transactions`
         );
-        await addDoc(transactionsRef, {
+        batch.set(doc(transactionsRef), {
           type: "income",
           amount: budgetAmount,
           category: name.trim(),
+          categoryId: categoryRef.id,
           description: `Initial budget for ${name.trim()}`,
           date: Timestamp.now(),
           userId: currentUser.uid,
@@ -929,6 +2101,7 @@ export function TransactionProvider({ children }) {
         });
       }
 
+      await batch.commit();
       return true;
     } catch (error) {
       console.error("Error adding category:", error);
@@ -939,42 +2112,1073 @@ export function TransactionProvider({ children }) {
   };
 
   /**
-   * deleteCategory(categoryId)
+   * renameCategory(categoryId, newName)
    *
    * Purpose:
-   * Remove a category from Firestore by ID.
-   * Note: Associated transactions are NOT deleted (orphaned references)
-   * Consider adding cascade delete in future enhancement
+   * Rename a category without touching its transactions. Transactions point at
+   * the category by categoryId, so their history follows the new name
+   * automatically (see the derived `transactions` array).
    *
    * Parameters:
-   * categoryId: Firestore document ID of category to delete
+   * categoryId: Firestore document ID of the category
+   * newName: string (new display name, trimmed)
+   *
+   * Guard Checks:
+   * 1. User authenticated and name not empty
+   * 2. No other category already uses the name
+   *
+   * Returns: true (success) | false (failure or duplicate name)
+   */
+  const renameCategory = async (categoryId, newName) => {
+    const trimmed = (newName || "").trim();
+    if (!currentUser || !categoryId || !trimmed) {
+      console.warn("Cannot rename category: Missing user, ID or name.");
+      return false;
+    }
+
+    const categoriesRef = collection(
+      db,
+      `artifacts/${appId}/users/${currentUser.uid}/categories`
+    );
+    const duplicateSnapshot = await getDocs(
+      query(categoriesRef, where("name", "==", trimmed))
+    );
+    if (duplicateSnapshot.docs.some((d) => d.id !== categoryId)) {
+      console.warn(`Category '${trimmed}' already exists.`);
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await updateDoc(doc(categoriesRef, categoryId), { name: trimmed });
+      return true;
+    } catch (error) {
+      console.error("Error renaming category:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * getCategoryTransactions(categoryId)
+   *
+   * Purpose:
+   * All stored transactions that belong to a category, matched by categoryId
+   * (or by name for documents the categoryId migration hasn't reached yet).
+   * Transfers count for both their source and their destination category,
+   * split transactions for every category one of their lines uses.
+   * Used to show how many transactions a category deletion affects.
+   *
+   * Returns: Array of stored transaction objects
+   */
+  const getCategoryTransactions = (categoryId) => {
+    const isInCategory = (categoryKey) =>
+      resolveCategory(categoryKey)?.id === categoryId;
+    return storedTransactions.filter((t) =>
+      isSplit(t)
+        ? t.splits.some((line) => isInCategory(getCategoryKey(line)))
+        : isInCategory(getCategoryKey(t)) ||
+          (t.type === "transfer" && isInCategory(getTransferTargetKey(t)))
+    );
+  };
+
+  /**
+   * setCategoryArchived(categoryId, archived)
+   *
+   * Purpose:
+   * Archive or restore a category. Archived categories are hidden from the
+   * AddTransactionModal dropdown for new entries but keep their transactions,
+   * so reports (ExpenseList, OverviewSection) still include them.
    *
    * Returns: true (success) | false (failure)
    */
-  const deleteCategory = async (categoryId) => {
+  const setCategoryArchived = async (categoryId, archived) => {
     if (!currentUser || !categoryId) {
-      console.warn("Cannot delete category: Missing user or ID.");
+      console.warn("Cannot archive category: Missing user or ID.");
       return false;
     }
 
     setLoading(true);
     try {
-      await deleteDoc(
+      await updateDoc(
         doc(
           db,
           `artifacts/${appId}/users/${currentUser.uid}/categories`,
           categoryId
-        )
+        ),
+        { archived, archivedAt: archived ? Timestamp.now() : null }
       );
       return true;
     } catch (error) {
-      console.error("Error deleting category:", error);
+      console.error("Error archiving category:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * setCategoryRollover(categoryId, policy, cap)
+   *
+   * Purpose:
+   * Choose how a category's balance carries into the next billing period
+   * (see utils/rollover). The automatic rollover effect applies the policy
+   * to every period that completes from now on; switching a policy on starts
+   * with the period in progress, so earlier periods are never carried over
+   * retroactively.
+   *
+   * Parameters:
+   * categoryId: Firestore document ID of the category
+   * policy: "none" | "surplus" | "all" | "cap"
+   * cap: number (minor units; "cap" only) - Most surplus carried per period
+   *
+   * Returns: true (success) | false (failure)
+   */
+  const setCategoryRollover = async (categoryId, policy, cap = 0) => {
+    const category = userCategories.find((cat) => cat.id === categoryId);
+    if (!currentUser || !category || !ROLLOVER_POLICIES[policy]) {
+      console.warn("Cannot set rollover: Missing user, category or policy.");
+      return false;
+    }
+
+    const changes = {
+      rolloverPolicy: policy,
+      rolloverCap: policy === "cap" ? cap : null,
+    };
+    if (policy === "none") {
+      changes.rolloverFrom = null;
+      changes.rolledOverThrough = null;
+    } else if (getRolloverPolicy(category) === "none") {
+      changes.rolloverFrom = toDateKey(new Date());
+      changes.rolledOverThrough = null;
+    }
+
+    setLoading(true);
+    try {
+      await updateDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/categories`,
+          categoryId
+        ),
+        changes
+      );
+      return true;
+    } catch (error) {
+      console.error("Error setting category rollover:", error);
       return false;
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * setPlannedBudget(categoryId, amount, periodStart)
+   *
+   * Purpose:
+   * Set how much the user plans to spend in a category (see utils/budget),
+   * either for every period or for one period only.
+   *
+   * Parameters:
+   * categoryId: Firestore document ID of the category
+   * amount: number (minor units) | null to remove the plan
+   * periodStart: "YYYY-MM-DD" first day of one period, or null (default) for
+   *              every period. Removing a one-period amount falls back to the
+   *              every-period amount.
+   *
+   * A single-field write: leaves `loading` alone so the screen it is edited
+   * from (OverviewSection's Budget view) stays mounted with its view state.
+   *
+   * Returns: true (success) | false (failure)
+   */
+  const setPlannedBudget = async (categoryId, amount, periodStart = null) => {
+    const category = userCategories.find((cat) => cat.id === categoryId);
+    const validAmount =
+      amount === null || (Number.isInteger(amount) && amount >= 0);
+    if (!currentUser || !category || !validAmount) {
+      console.warn(
+        "Cannot set planned budget: Missing user, category or amount."
+      );
+      return false;
+    }
+
+    const value = amount === null ? deleteField() : amount;
+    const changes = periodStart
+      ? { [`plannedOverrides.${periodStart}`]: value }
+      : { plannedAmount: amount };
+
+    try {
+      await updateDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/categories`,
+          categoryId
+        ),
+        changes
+      );
+      return true;
+    } catch (error) {
+      console.error("Error setting planned budget:", error);
+      return false;
+    }
+  };
+
+  /**
+   * deleteCategory(categoryId, options)
+   *
+   * Purpose:
+   * Remove a category without leaving orphaned transactions behind.
+   * The caller chooses what happens to the category's transactions:
+   *
+   * Modes:
+   * - "reassign": Move every transaction to targetCategoryId (counters move
+   *               with them), then delete the category
+   * - "archive":  Keep the category and its transactions, hide it from new
+   *               entries (same as setCategoryArchived(id, true))
+   * - "delete":   Delete the category together with all of its transactions
+   *               (split transactions only lose their lines in this category)
+   *
+   * Parameters:
+   * categoryId: Firestore document ID of category to delete
+   * options: {
+   *   mode: "reassign" | "archive" | "delete" (default "delete"),
+   *   targetCategoryId?: string (required for "reassign")
+   * }
+   *
+   * Batching:
+   * Transactions are processed in write batches of up to 450 documents. Each
+   * batch moves (or deletes) its transactions together with the matching
+   * counter increments, so a failure part-way leaves every batch either fully
+   * applied or not at all. The category document is removed last, only after
+   * all of its transactions are gone.
+   *
+   * Returns: true (success) | false (failure or invalid options)
+   */
+  const deleteCategory = async (
+    categoryId,
+    { mode = "delete", targetCategoryId } = {}
+  ) => {
+    if (!currentUser || !categoryId) {
+      console.warn("Cannot delete category: Missing user or ID.");
+      return false;
+    }
+
+    if (mode === "archive") {
+      return setCategoryArchived(categoryId, true);
+    }
+
+    const target =
+      mode === "reassign"
+        ? userCategories.find((cat) => cat.id === targetCategoryId)
+        : null;
+    if (mode === "reassign" && (!target || target.id === categoryId)) {
+      console.warn("Cannot reassign category: Invalid target category.");
+      return false;
+    }
+
+    const isInCategory = (categoryKey) =>
+      resolveCategory(categoryKey)?.id === categoryId;
+    const affected = getCategoryTransactions(categoryId);
+    const transactionsPath = `artifacts/${appId}/users/${currentUser.uid}/transactions`;
+    const categoriesPath = `artifacts/${appId}/users/${currentUser.uid}/categories`;
+
+    setLoading(true);
+    try {
+      for (let i = 0; i < affected.length; i += 450) {
+        const chunk = affected.slice(i, i + 450);
+        const batch = writeBatch(db);
+
+        const remaining = [];
+        chunk.forEach((t) => {
+          const ref = doc(db, transactionsPath, t.id);
+
+          if (isSplit(t)) {
+            // Only the lines in this category move (reassign) or go (delete);
+            // the rest of the split stays as it was
+            const lines =
+              mode === "reassign"
+                ? t.splits.map((line) =>
+                    isInCategory(getCategoryKey(line))
+                      ? {
+                          ...line,
+                          categoryId: target.id,
+                          category: target.name,
+                        }
+                      : line
+                  )
+                : t.splits.filter(
+                    (line) => !isInCategory(getCategoryKey(line))
+                  );
+            if (lines.length === 0) {
+              batch.delete(ref);
+              return;
+            }
+            const changes = {
+              splits: lines,
+              amount: lines.reduce((sum, l) => sum + l.amount, 0),
+            };
+            batch.update(ref, changes);
+            remaining.push({ ...t, ...changes });
+          } else if (mode === "reassign") {
+            // Move whichever side references the category (a transfer can
+            // reference it as its source, its destination, or both)
+            const changes = {};
+            if (isInCategory(getCategoryKey(t))) {
+              changes.categoryId = target.id;
+              changes.category = target.name;
+            }
+            if (
+              t.type === "transfer" &&
+              isInCategory(getTransferTargetKey(t))
+            ) {
+              changes.toCategoryId = target.id;
+              changes.toCategory = target.name;
+            }
+            batch.update(ref, changes);
+            remaining.push({ ...t, ...changes });
+          } else {
+            batch.delete(ref);
+          }
+        });
+
+        // Counters of every other category the chunk touches: the reassign
+        // target, the other side of transfers and the other lines of splits.
+        // The deleted category's own counters go away with its document.
+        const targets = Object.entries(sumCategoryDeltas(chunk, remaining))
+          .map(([categoryKey, fields]) => ({
+            category: resolveCategory(categoryKey),
+            fields,
+          }))
+          .filter(({ category }) => category && category.id !== categoryId)
+          .map(({ category, fields }) => ({
+            ref: doc(db, categoriesPath, category.id),
+            fields,
+          }));
+        writeCategoryDeltas(batch, targets);
+
+        await batch.commit();
+      }
+
+      await deleteDoc(doc(db, categoriesPath, categoryId));
+      return true;
+    } catch (error) {
+      console.error("Error deleting category:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ==================== Category Counter Reconciliation ====================
+
+  /**
+   * recalculateCategoryTotals()
+   *
+   * Purpose:
+   * Dry run of the counter repair. Recomputes every category's budgetAmount
+   * and spentAmount from the transactions collection and reports where the
+   * stored counters have drifted. Nothing is written.
+   *
+   * Process:
+   * 1. Fetch all transactions fresh from Firestore (not the local listener copy)
+   * 2. Rebuild totals with computeCategoryTotals (same rules as the write paths)
+   * 3. Compare with each category document's stored counters
+   * 4. Return only the categories that differ (amounts are integer minor
+   *    units, so they are compared exactly)
+   *
+   * Returns: Array of {
+   *   categoryId: string,
+   *   name: string,
+   *   stored: { budgetAmount, spentAmount },
+   *   computed: { budgetAmount, spentAmount }
+   * } | null on failure
+   *
+   * Usage: Show the diff to the user, then pass it to applyCategoryTotals()
+   *
+   * Leaves `loading` alone (like applyCategoryTotals): the app shows its
+   * loading screen while it is set, which would unmount the modal waiting
+   * for the diff. The caller tracks its own busy state.
+   */
+  const recalculateCategoryTotals = async () => {
+    if (!currentUser) {
+      console.warn("Cannot recalculate totals: No user authenticated.");
+      return null;
+    }
+
+    try {
+      const [transactionsSnapshot, categoriesSnapshot] = await Promise.all([
+        getDocs(
+          collection(
+            db,
+            `artifacts/${appId}/users/${currentUser.uid}/transactions`
+          )
+        ),
+        getDocs(
+          collection(
+            db,
+            `artifacts/${appId}/users/${currentUser.uid}/categories`
+          )
+        ),
+      ]);
+
+      const computedTotals = computeCategoryTotals(
+        transactionsSnapshot.docs.map((d) => d.data())
+      );
+
+      const diff = [];
+      categoriesSnapshot.forEach((categoryDoc) => {
+        const data = categoryDoc.data();
+        const stored = {
+          budgetAmount: data.budgetAmount || 0,
+          spentAmount: data.spentAmount || 0,
+        };
+        // By ID, plus any pre-migration transactions still keyed by name
+        const byId = computedTotals[categoryDoc.id];
+        const byName = computedTotals[data.name];
+        const computed = {
+          budgetAmount: (byId?.budgetAmount || 0) + (byName?.budgetAmount || 0),
+          spentAmount: (byId?.spentAmount || 0) + (byName?.spentAmount || 0),
+        };
+
+        if (
+          stored.budgetAmount !== computed.budgetAmount ||
+          stored.spentAmount !== computed.spentAmount
+        ) {
+          diff.push({
+            categoryId: categoryDoc.id,
+            name: data.name,
+            stored,
+            computed,
+          });
+        }
+      });
+
+      return diff;
+    } catch (error) {
+      console.error("Error recalculating category totals:", error);
+      return null;
+    }
+  };
+
+  /**
+   * applyCategoryTotals(diff)
+   *
+   * Purpose:
+   * Writes the corrections found by recalculateCategoryTotals() in one batch.
+   *
+   * Each counter is moved by (computed - stored) with increment() rather than
+   * overwritten, so a transaction added in another tab between the dry run
+   * and this write keeps its contribution.
+   *
+   * Parameters:
+   * diff: Array returned by recalculateCategoryTotals()
+   *
+   * Returns: true (success) | false (failure)
+   */
+  const applyCategoryTotals = async (diff) => {
+    if (!currentUser || !Array.isArray(diff)) {
+      console.warn("Cannot apply totals: Missing user or diff.");
+      return false;
+    }
+    if (diff.length === 0) return true;
+
+    try {
+      const batch = writeBatch(db);
+      diff.forEach(({ categoryId, stored, computed }) => {
+        batch.update(
+          doc(
+            db,
+            `artifacts/${appId}/users/${currentUser.uid}/categories`,
+            categoryId
+          ),
+          {
+            budgetAmount: increment(
+              computed.budgetAmount - stored.budgetAmount
+            ),
+            spentAmount: increment(computed.spentAmount - stored.spentAmount),
+          }
+        );
+      });
+      await batch.commit();
+      return true;
+    } catch (error) {
+      console.error("Error applying category totals:", error);
+      return false;
+    }
+  };
+
+  // ==================== Recurring Transaction Templates ====================
+  // Templates live in artifacts/{appId}/users/{userId}/recurring (fields are
+  // described in utils/recurrence). These functions only manage the schedule;
+  // the posting effect above writes the actual transactions as they fall due.
+
+  /**
+   * addRecurring(template)
+   *
+   * Purpose:
+   * Save a new recurring template. Occurrences from startDate up to today are
+   * posted right away by the posting effect; later ones as their dates arrive.
+   *
+   * Parameters:
+   * template: {
+   *   type: 'income' | 'expense',
+   *   amount: number (minor units),
+   *   category: string (category name, resolved to categoryId),
+   *   description: string,
+   *   frequency: 'daily' | 'weekly' | 'monthly' | 'yearly',
+   *   interval: number (every N periods),
+   *   startDate: "YYYY-MM-DD",
+   *   dayOfMonth: number | null (monthly/yearly),
+   *   endDate: "YYYY-MM-DD" | null,
+   *   count: number | null
+   * }
+   *
+   * Returns: true (success) | false (failure)
+   */
+  const addRecurring = async (template) => {
+    if (!currentUser) {
+      console.warn("Cannot add recurring transaction: No user authenticated.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await addDoc(
+        collection(db, `artifacts/${appId}/users/${currentUser.uid}/recurring`),
+        withCategoryId({
+          ...template,
+          paused: false,
+          nextIndex: 0,
+          skippedDates: [],
+          userId: currentUser.uid,
+          createdAt: Timestamp.now(),
+        })
+      );
+      return true;
+    } catch (error) {
+      console.error("Error adding recurring transaction:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * updateRecurring(templateId, changes)
+   *
+   * Purpose:
+   * Edit a template. Amount/category/description changes apply to occurrences
+   * posted from now on; transactions already posted are left as they are.
+   *
+   * When the schedule itself changes (frequency, interval, dates, count), the
+   * new schedule resumes after today: occurrences dated today or earlier count
+   * as covered by the old schedule, so nothing is posted twice.
+   *
+   * Returns: true (success) | false (failure or template not found)
+   */
+  const updateRecurring = async (templateId, changes) => {
+    const existing = recurringTemplates.find((t) => t.id === templateId);
+    if (!currentUser || !existing) {
+      console.warn(
+        "Cannot update recurring transaction: Missing user or template."
+      );
+      return false;
+    }
+
+    const payload = withCategoryId({ ...changes, updatedAt: Timestamp.now() });
+    const scheduleFields = [
+      "frequency",
+      "interval",
+      "startDate",
+      "dayOfMonth",
+      "endDate",
+      "count",
+    ];
+    const scheduleChanged = scheduleFields.some(
+      (field) => field in changes && changes[field] !== existing[field]
+    );
+    if (scheduleChanged) {
+      const todayKey = toDateKey(new Date());
+      payload.nextIndex = countOccurrencesThrough(
+        { ...existing, ...changes },
+        todayKey
+      );
+      payload.skippedDates = (existing.skippedDates || []).filter(
+        (d) => d > todayKey
+      );
+    }
+
+    setLoading(true);
+    try {
+      await updateDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/recurring`,
+          templateId
+        ),
+        payload
+      );
+      return true;
+    } catch (error) {
+      console.error("Error updating recurring transaction:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * setRecurringPaused(templateId, paused)
+   *
+   * Purpose:
+   * Pause or resume a template. Occurrences that fell due while paused are
+   * not back-posted on resume; posting continues with the next one after today.
+   *
+   * Returns: true (success) | false (failure or template not found)
+   */
+  const setRecurringPaused = async (templateId, paused) => {
+    const existing = recurringTemplates.find((t) => t.id === templateId);
+    if (!currentUser || !existing) {
+      console.warn(
+        "Cannot pause recurring transaction: Missing user or template."
+      );
+      return false;
+    }
+
+    const changes = { paused, updatedAt: Timestamp.now() };
+    if (!paused) {
+      changes.nextIndex = Math.max(
+        existing.nextIndex || 0,
+        countOccurrencesThrough(existing, toDateKey(new Date()))
+      );
+    }
+
+    setLoading(true);
+    try {
+      await updateDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/recurring`,
+          templateId
+        ),
+        changes
+      );
+      return true;
+    } catch (error) {
+      console.error("Error pausing/resuming recurring transaction:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * setOccurrenceSkipped(templateId, dateKey, skipped)
+   *
+   * Purpose:
+   * Skip (or un-skip) a single upcoming occurrence, e.g. a month with no
+   * rent. A skipped occurrence is passed over without posting a transaction.
+   *
+   * Parameters:
+   * templateId: Firestore document ID of the template
+   * dateKey: Occurrence date "YYYY-MM-DD" (from getUpcomingOccurrences)
+   * skipped: true to skip, false to post it after all
+   *
+   * Returns: true (success) | false (failure)
+   */
+  const setOccurrenceSkipped = async (templateId, dateKey, skipped) => {
+    if (!currentUser || !templateId) {
+      console.warn("Cannot skip occurrence: Missing user or template.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await updateDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/recurring`,
+          templateId
+        ),
+        {
+          skippedDates: skipped ? arrayUnion(dateKey) : arrayRemove(dateKey),
+          updatedAt: Timestamp.now(),
+        }
+      );
+      return true;
+    } catch (error) {
+      console.error("Error skipping recurring occurrence:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * deleteRecurring(templateId)
+   *
+   * Purpose:
+   * Stop a recurring transaction for good. Transactions it already posted
+   * stay in the ledger (they are ordinary transactions with a recurringId).
+   *
+   * Returns: true (success) | false (failure)
+   */
+  const deleteRecurring = async (templateId) => {
+    if (!currentUser || !templateId) {
+      console.warn("Cannot delete recurring transaction: Missing user or ID.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await deleteDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/recurring`,
+          templateId
+        )
+      );
+      return true;
+    } catch (error) {
+      console.error("Error deleting recurring transaction:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ==================== Accounts ====================
+  // Accounts live in artifacts/{appId}/users/{userId}/accounts. Balances are
+  // not stored: they are derived from the opening balance and the account's
+  // transactions (see utils/accounts), so they can never drift.
+
+  /**
+   * getAccountBalances(asOf)
+   *
+   * Purpose:
+   * Running balance of every account, optionally as of a moment in time
+   * (e.g., the end of the month shown in OverviewSection).
+   *
+   * Returns: { [accountId]: number }
+   */
+  const getAccountBalances = (asOf) =>
+    computeAccountBalances(accounts, transactions, asOf);
+
+  /**
+   * getAccountTransactions(accountId)
+   *
+   * Returns: Transactions posted to the account (default account includes
+   * transactions without accountId)
+   */
+  const getAccountTransactions = (accountId) =>
+    transactions.filter((t) => getAccountId(t) === accountId);
+
+  /**
+   * addAccount(account)
+   *
+   * Purpose:
+   * Create a new account (e.g., "Cash Wallet", "Visa Card").
+   *
+   * Parameters:
+   * account: {
+   *   name: string (unique per user),
+   *   kind: 'cash' | 'bank' | 'credit',
+   *   openingBalance: number (minor units; negative for an amount owed on a
+   *                   credit card)
+   * }
+   *
+   * Returns: true (success) | false (failure or duplicate name)
+   */
+  const addAccount = async ({ name, kind, openingBalance }) => {
+    const trimmed = name?.trim();
+    if (!currentUser || !trimmed) {
+      console.warn("Cannot add account: Missing user or name.");
+      return false;
+    }
+    if (accounts.some((account) => account.name === trimmed)) {
+      console.warn(`Account '${trimmed}' already exists.`);
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await addDoc(
+        collection(db, `artifacts/${appId}/users/${currentUser.uid}/accounts`),
+        {
+          name: trimmed,
+          kind,
+          openingBalance: Number(openingBalance) || 0,
+          archived: false,
+          userId: currentUser.uid,
+          createdAt: Timestamp.now(),
+        }
+      );
+      return true;
+    } catch (error) {
+      console.error("Error adding account:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * updateAccount(accountId, changes)
+   *
+   * Purpose:
+   * Rename an account, change its kind or opening balance, or archive it
+   * (archived accounts are hidden from new entries but keep their history).
+   *
+   * Returns: true (success) | false (failure or duplicate name)
+   */
+  const updateAccount = async (accountId, changes) => {
+    if (!currentUser || !accountId) {
+      console.warn("Cannot update account: Missing user or ID.");
+      return false;
+    }
+
+    const payload = { ...changes, updatedAt: Timestamp.now() };
+    if (changes.name !== undefined) {
+      payload.name = changes.name.trim();
+      if (
+        !payload.name ||
+        accounts.some((a) => a.id !== accountId && a.name === payload.name)
+      ) {
+        console.warn(`Account name '${payload.name}' is empty or in use.`);
+        return false;
+      }
+    }
+    if (changes.openingBalance !== undefined) {
+      payload.openingBalance = Number(changes.openingBalance) || 0;
+    }
+
+    setLoading(true);
+    try {
+      await updateDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/accounts`,
+          accountId
+        ),
+        payload
+      );
+      return true;
+    } catch (error) {
+      console.error("Error updating account:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * deleteAccount(accountId)
+   *
+   * Purpose:
+   * Delete an account that was never used. Accounts with transactions or
+   * recurring templates can only be archived, so no transaction is ever left
+   * pointing at a missing account.
+   *
+   * Returns: true (success) | false (failure or account still in use)
+   */
+  const deleteAccount = async (accountId) => {
+    if (!currentUser || !accountId) {
+      console.warn("Cannot delete account: Missing user or ID.");
+      return false;
+    }
+    const inUse =
+      getAccountTransactions(accountId).length > 0 ||
+      recurringTemplates.some(
+        (t) => (t.accountId || DEFAULT_ACCOUNT_ID) === accountId
+      );
+    if (inUse) {
+      console.warn("Cannot delete account: It still has transactions.");
+      return false;
+    }
+
+    setLoading(true);
+    try {
+      await deleteDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/accounts`,
+          accountId
+        )
+      );
+      return true;
+    } catch (error) {
+      console.error("Error deleting account:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * reconcileAccount(accountId, statementDate, statementBalance, options)
+   *
+   * Purpose:
+   * Record a check of the account against a bank/card statement. The app's
+   * balance at the end of statementDate is compared with the statement and
+   * the result is saved as the account's lastReconciliation.
+   *
+   * Parameters:
+   * accountId: Firestore document ID of the account
+   * statementDate: "YYYY-MM-DD" closing date of the statement
+   * statementBalance: number (minor units) closing balance on the statement
+   * options: {
+   *   adjustOpeningBalance?: boolean - Absorb a difference into the opening
+   *                                    balance so the balances match from now on
+   * }
+   *
+   * Returns: true (success) | false (failure)
+   */
+  const reconcileAccount = async (
+    accountId,
+    statementDate,
+    statementBalance,
+    { adjustOpeningBalance = false } = {}
+  ) => {
+    const account = accounts.find((a) => a.id === accountId);
+    if (!currentUser || !account || !statementDate) {
+      console.warn("Cannot reconcile account: Missing user, account or date.");
+      return false;
+    }
+
+    const asOf = parseDateKey(statementDate);
+    asOf.setHours(23, 59, 59, 999);
+    const computedBalance = getAccountBalances(asOf)[accountId];
+    const difference = statementBalance - computedBalance;
+
+    const changes = {
+      lastReconciliation: {
+        date: statementDate,
+        statementBalance,
+        computedBalance,
+        difference,
+        adjusted: adjustOpeningBalance && difference !== 0,
+        reconciledAt: Timestamp.now(),
+      },
+    };
+    if (adjustOpeningBalance && difference !== 0) {
+      changes.openingBalance = increment(difference);
+    }
+
+    setLoading(true);
+    try {
+      await updateDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/accounts`,
+          accountId
+        ),
+        changes
+      );
+      return true;
+    } catch (error) {
+      console.error("Error reconciling account:", error);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // ==================== Currency ====================
+
+  /**
+   * updateBaseCurrency(currency)
+   *
+   * Purpose:
+   * Change the currency amounts are shown in. Stored amounts are not
+   * converted: this is the currency the user records their budget in.
+   *
+   * Parameters:
+   * currency: ISO 4217 code (e.g., "QAR", "KWD", "USD")
+   *
+   * Returns: true (success) | false (failure)
+   */
+  const updateBaseCurrency = async (currency) => {
+    if (!currentUser || !currency) {
+      console.warn("Cannot update currency: Missing user or currency.");
+      return false;
+    }
+
+    try {
+      await setDoc(
+        doc(
+          db,
+          `artifacts/${appId}/users/${currentUser.uid}/settings`,
+          "preferences"
+        ),
+        { baseCurrency: currency, updatedAt: Timestamp.now() },
+        { merge: true }
+      );
+      return true;
+    } catch (error) {
+      console.error("Error updating currency:", error);
+      return false;
+    }
+  };
+
+  /**
+   * formatMoney(amount, options)
+   *
+   * Purpose:
+   * The one formatter components use to display money, bound to the user's
+   * base currency (symbol placement and decimals come from Intl.NumberFormat).
+   *
+   * Parameters:
+   * amount: number (integer minor units)
+   * options: { signDisplay?: "auto" | "always" | "never" | "exceptZero" }
+   *
+   * Returns: string (e.g., "QAR 1,234.50", "KWD 1.500")
+   */
+  const formatMoney = (amount, options) =>
+    formatInCurrency(amount, baseCurrency, options);
+
+  // Smallest amount in the base currency, for number inputs' `step`
+  const currencyStep = getCurrencyStep(baseCurrency);
+
+  // ==================== Exchange Rates ====================
+  // Rates for transactions entered in a foreign currency (see utils/exchange).
+  // The table lives in localStorage, so it is per browser; each transaction
+  // stores the rate it was converted with, so history never depends on it.
+
+  // Rate table for the current base currency: { [currency]: rate }
+  const exchangeRates = rateTable[baseCurrency] || {};
+
+  /**
+   * setExchangeRates(rates)
+   *
+   * Purpose:
+   * Add or update rates in the table for the current base currency
+   * (manual edits and file imports both go through here).
+   *
+   * Parameters:
+   * rates: { [currency]: number } - base units per 1 foreign unit
+   */
+  const setExchangeRates = (rates) => {
+    setRateTable((prev) => ({
+      ...prev,
+      [baseCurrency]: { ...(prev[baseCurrency] || {}), ...rates },
+    }));
+  };
+
+  /**
+   * removeExchangeRate(currency)
+   *
+   * Purpose:
+   * Drop a currency from the current base currency's rate table.
+   */
+  const removeExchangeRate = (currency) => {
+    setRateTable((prev) => {
+      const rates = { ...(prev[baseCurrency] || {}) };
+      delete rates[currency];
+      return { ...prev, [baseCurrency]: rates };
+    });
+  };
+
   // ==================== Context Value & Provider ====================
 
   /**
@@ -989,21 +3193,62 @@ export function TransactionProvider({ children }) {
    * - currentYear: Full year number
    * - currentDay: Day of month (1-31)
    * - userCategories: Array of all user's categories
-   * - loading: boolean, true during async operations
-   * - cycleType: "calendar" or "custom"
-   * - customDateRange: { start: "YYYY-MM-DD", end: "YYYY-MM-DD" }
+   * - recurringTemplates: Array of recurring transaction templates
+   * - accounts: Array of accounts/wallets
+   * - loading: boolean, true during async operations and until amounts are
+   *   known to be stored in minor units (see migrateMoneyToMinorUnits)
+   * - lastForwardId: ID of the last forward made this session (undo), or null
+   * - cycleType: "calendar", "weekly", "biweekly" or "custom"
+   * - weekStartDay: 0-6 (Sunday first), weekly and bi-weekly cycles
+   * - customCycle: { kind: "monthly", day } | { kind: "weekly", start, weeks }
+   * - periodRange: { start: "YYYY-MM-DD", end: "YYYY-MM-DD" } (viewed period)
+   * - currentPeriod: Viewed period's boundaries and transactions (see above)
+   * - periodComparison: Viewed period's totals next to the previous period's
+   *   and last year's (see above)
+   * - baseCurrency: ISO 4217 code amounts are displayed in
+   * - currencyStep: Smallest amount in that currency (input `step`)
+   * - exchangeRates: { [currency]: rate } for the base currency (this browser)
    *
    * Functions (Mutation):
    * - addTransaction(transaction): Create new transaction
-   * - deleteTransaction(id): Remove transaction
+   * - updateTransaction(id, changes): Edit transaction and rebalance categories
+   * - deleteTransaction(id, options): Remove transaction and reverse category totals
+   * - findRollOverPartner(transaction): Other half of a surplus roll-over pair
    * - addCategory(name, amount): Create new category
-   * - deleteCategory(id): Remove category
+   * - renameCategory(id, name): Rename category, history follows via categoryId
+   * - deleteCategory(id, options): Remove category, reassigning/archiving/deleting its transactions
+   * - setCategoryArchived(id, archived): Hide/restore category for new entries
+   * - setCategoryRollover(id, policy, cap): Automatic carry-over into the next period
+   * - setPlannedBudget(id, amount, periodStart): Planned spending, every or one period
+   * - getCategoryTransactions(id): Transactions a category deletion would affect
+   * - recalculateCategoryTotals(): Dry-run diff of category counters vs transactions
+   * - applyCategoryTotals(diff): Write the counter corrections from that diff
+   * - addRecurring(template): Create a recurring transaction template
+   * - updateRecurring(id, changes): Edit a template (schedule edits resume after today)
+   * - setRecurringPaused(id, paused): Pause/resume posting of a template
+   * - setOccurrenceSkipped(id, dateKey, skipped): Skip/un-skip one occurrence
+   * - deleteRecurring(id): Remove a template (posted transactions are kept)
+   * - addAccount(account): Create an account with an opening balance
+   * - updateAccount(id, changes): Rename/archive an account or change its opening balance
+   * - deleteAccount(id): Remove an unused account
+   * - reconcileAccount(id, date, balance, options): Compare with a statement balance
+   * - getAccountBalances(asOf): Running balance per account
+   * - getAccountTransactions(id): Transactions posted to an account
+   * - updateBaseCurrency(currency): Change the user's base currency
+   * - formatMoney(amount, options): Format an amount in the base currency
+   * - setExchangeRates(rates): Add/update rates in the local rate table
+   * - removeExchangeRate(currency): Remove a rate from the local rate table
    * - changeMonth(delta): Navigate between months
+   * - changeYear(delta): Navigate a whole year (same period, other year)
    * - changeDay(delta): Navigate between days
    * - forwardSurplus(data): Transfer surplus to next period
+   * - undoForward(forwardId): Remove a forward's transactions and restore counters
    * - setCycleType(mode): Update billing cycle mode
-   * - setCustomDateRange(range): Update custom cycle dates
+   * - setWeekStartDay(day): Update the first day of week
+   * - setCustomCycle(cycle): Update the custom cycle definition
    * - getCycleBoundaries(month, year): Get date boundaries
+   * - getYearPeriods(year): Periods of the billing cycle starting in a year
+   * - getRecentPeriods(count): The viewed period and the ones before it
    * - formatCycleHeader(month, year): Format cycle name for display
    * - formatCycleSettingInfo(): Get current cycle info text
    */
@@ -1014,31 +3259,77 @@ export function TransactionProvider({ children }) {
     currentYear,
     currentDay,
     userCategories,
-    loading,
+    recurringTemplates,
+    accounts,
+    // Also true until the user's amounts are known to be in minor units
+    loading: loading || (!!currentUser && moneyUnits !== MONEY_UNITS_MINOR),
     cycleType,
-    customDateRange,
+    weekStartDay,
+    customCycle,
+    periodRange,
+    currentPeriod,
+    periodComparison,
+    baseCurrency,
+    currencyStep,
+    exchangeRates,
 
     // ===== Transaction Mutations =====
     addTransaction,
+    updateTransaction,
     deleteTransaction,
+    findRollOverPartner,
 
     // ===== Category Mutations =====
     addCategory,
+    renameCategory,
     deleteCategory,
+    setCategoryArchived,
+    setCategoryRollover,
+    setPlannedBudget,
+    getCategoryTransactions,
+    recalculateCategoryTotals,
+    applyCategoryTotals,
+
+    // ===== Recurring Transactions =====
+    addRecurring,
+    updateRecurring,
+    setRecurringPaused,
+    setOccurrenceSkipped,
+    deleteRecurring,
+
+    // ===== Accounts =====
+    addAccount,
+    updateAccount,
+    deleteAccount,
+    reconcileAccount,
+    getAccountBalances,
+    getAccountTransactions,
+
+    // ===== Currency =====
+    updateBaseCurrency,
+    formatMoney,
+    setExchangeRates,
+    removeExchangeRate,
 
     // ===== Navigation =====
     changeMonth,
+    changeYear,
     changeDay,
 
     // ===== Budget Operations =====
     forwardSurplus,
+    undoForward,
+    lastForwardId,
 
     // ===== Settings =====
     setCycleType,
-    setCustomDateRange,
+    setWeekStartDay,
+    setCustomCycle,
 
     // ===== Utilities =====
     getCycleBoundaries,
+    getYearPeriods,
+    getRecentPeriods,
     formatCycleHeader,
     formatCycleSettingInfo,
   };
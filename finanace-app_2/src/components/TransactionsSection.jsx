@@ -1,5 +1,7 @@
-import React from "react";
+import React, { useState } from "react";
 import { useTransactions } from "../components/TransactionContext"; // Custom hook to access transaction-related state and functions
+import { getAccountId } from "../utils/accounts";
+import { formatMoney as formatInCurrency } from "../utils/money";
 
 /**
  * TransactionsSection Component
@@ -10,13 +12,17 @@ import { useTransactions } from "../components/TransactionContext"; // Custom ho
  * - View daily transactions with category, date, and amount
  * - Navigate between days using previous/next buttons or date picker
  * - Filter transactions by specific day within the current month
+ * - Edit individual transactions (opens AddTransactionModal in edit mode)
  * - Delete individual transactions with confirmation
  * - See descriptions (notes) for each transaction if available
+ * - Split transactions appear once, with their category lines listed below
+ * - Filter the day's transactions by account (shown when there are several accounts)
+ * - Foreign currency transactions show the amount as paid next to the converted one
  *
  * Key Features:
  * - Day-by-day transaction filtering (not cumulative by month)
  * - Date picker restricted to current month boundaries
- * - Color-coded by transaction type (green=income, red=expense)
+ * - Color-coded by transaction type (green=income, red=expense, indigo=transfer)
  * - Scrollable list for many daily transactions
  * - Confirmation modal before deletion
  * - Responsive design (mobile-friendly date input width)
@@ -34,6 +40,8 @@ import { useTransactions } from "../components/TransactionContext"; // Custom ho
  *                                       Displays confirmation dialog before deletion
  * @param {function} props.showMessage - Modal function: showMessage(message, isError?)
  *                                       Displays success/error messages
+ * @param {function} props.onEdit - Callback: onEdit(transaction)
+ *                                  Opens the transaction in AddTransactionModal for editing
  *
  * Dependencies:
  * - useTransactions: Provides transactions, date state, deleteTransaction, changeDay
@@ -54,7 +62,7 @@ import { useTransactions } from "../components/TransactionContext"; // Custom ho
  * // [Expense: Gas - 30 QAR]
  * ```
  */
-const TransactionsSection = ({ showConfirm, showMessage }) => {
+const TransactionsSection = ({ showConfirm, showMessage, onEdit }) => {
   // ==================== Context Data ====================
   // Destructure necessary state and functions from the useTransactions hook.
   // These provide access to all transaction data and navigation functions.
@@ -68,6 +76,7 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
   // Functions Retrieved:
   // - deleteTransaction(id): Async function to remove transaction from Firestore
   // - changeDay(delta): Update day state (delta = -1 or +1 or any number)
+  // - formatMoney(amount): Format an amount in the user's base currency
   //
   // Used together to: Filter transactions by selected day and enable deletion
   const {
@@ -76,9 +85,24 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
     currentYear,
     currentDay,
     deleteTransaction,
+    findRollOverPartner,
+    undoForward,
     changeDay,
+    accounts,
+    formatMoney,
   } = useTransactions();
 
+  // ==================== Account Filter ====================
+  // "all" or the ID of the account whose transactions are shown.
+  // Falls back to "all" if the selected account is deleted.
+  const [accountFilter, setAccountFilter] = useState("all");
+  const activeAccountFilter = accounts.some((a) => a.id === accountFilter)
+    ? accountFilter
+    : "all";
+  // Account names are only worth showing once there is more than one account
+  const showAccounts = accounts.length > 1;
+  const accountNames = Object.fromEntries(accounts.map((a) => [a.id, a.name]));
+
   // ==================== Date Calculation & Formatting ====================
   // Create a Date object representing the currently selected day
   // Used for: date picker value, day filtering, min/max constraints
@@ -157,10 +181,15 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
   // Transaction 2: 2024-03-15 14:45:30 → INCLUDED
   // Transaction 3: 2024-03-14 23:50:00 → EXCLUDED (previous day)
   // Transaction 4: 2024-03-16 01:00:00 → EXCLUDED (next day)
+  //
+  // With an account selected, only that account's income/expenses remain;
+  // transfers are hidden since they don't move money in or out of an account.
   const filteredTransactions = transactions.filter((t) => {
     const transactionDate = t.date.toDate(); // Convert Firestore Timestamp to JavaScript Date
     // Check if transaction falls within the current day's 24-hour window
-    return transactionDate >= dayStart && transactionDate <= dayEnd;
+    if (transactionDate < dayStart || transactionDate > dayEnd) return false;
+    if (activeAccountFilter === "all") return true;
+    return t.type !== "transfer" && getAccountId(t) === activeAccountFilter;
   });
 
   // ==================== Event Handlers ====================
@@ -213,7 +242,7 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
   };
 
   /**
-   * handleDelete(id)
+   * handleDelete(transaction)
    * 
    * Purpose:
    * Handles transaction deletion with user confirmation and feedback.
@@ -222,8 +251,10 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
    * Process:
    * 1. User clicks delete button for a transaction
    * 2. Display confirmation modal (prevents accidental deletion)
+   *    - Surplus roll-over halves with a matching partner get a three-way
+   *      dialog: "Delete Both" (primary), "This Only" (secondary), "No"
    * 3. If user confirms:
-   *    a. Call deleteTransaction(id) from context
+   *    a. Call deleteTransaction(id, { includePartner }) from context
    *    b. Show success message if successful
    *    c. Show error message if failed
    * 4. If user cancels: do nothing
@@ -233,29 +264,120 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
    * - Success: "Transaction deleted successfully." message
    * - Failure: "Failed to delete transaction." error message (red)
    * 
-   * @param {string} id - Firestore document ID of transaction to delete
+   * @param {object} transaction - Transaction row to delete
    */
-  const handleDelete = (id) => {
+  const handleDelete = (transaction) => {
+    // Runs the deletion and reports the outcome
+    const performDelete = async (includePartner) => {
+      // User confirmed deletion - attempt to delete from Firestore
+      const success = await deleteTransaction(transaction.id, {
+        includePartner,
+      });
+
+      // Show appropriate feedback message
+      if (success) {
+        // Success message (green by default)
+        showMessage(
+          includePartner
+            ? "Both roll-over transactions deleted successfully."
+            : "Transaction deleted successfully."
+        );
+      } else {
+        // Error message (red - second parameter true indicates error)
+        showMessage("Failed to delete transaction.", true);
+      }
+    };
+
+    const partner = findRollOverPartner(transaction);
+    if (partner) {
+      // Offer to remove the other half of the roll-over pair as well
+      // (the roll-out is always the earlier half)
+      const partnerLabel =
+        partner.date.toDate() > transaction.date.toDate() ? "roll-over" : "roll-out";
+      const partnerDate = partner.date.toDate().toLocaleDateString();
+      const kind = transaction.rollOverKind === "deficit" ? "deficit" : "surplus";
+      showConfirm(
+        `This is one half of a ${kind} roll-over. Also delete its partner (${partnerLabel} on ${partnerDate})?`,
+        () => performDelete(true),
+        {
+          confirmLabel: "Delete Both",
+          secondaryLabel: "This Only",
+          secondaryAction: () => performDelete(false),
+        }
+      );
+      return;
+    }
+
     // Display confirmation modal to prevent accidental deletion
     // Callback function runs only if user confirms
+    showConfirm("Are you sure you want to delete this transaction?", () =>
+      performDelete(false)
+    );
+  };
+
+  /**
+   * handleUndoForward(transaction)
+   *
+   * Reverses the whole "Forward Surplus" operation the row belongs to:
+   * every roll-out/roll-over pair it posted, across all categories.
+   *
+   * @param {object} transaction - Row carrying a forwardId
+   */
+  const handleUndoForward = (transaction) => {
     showConfirm(
-      "Are you sure you want to delete this transaction?",
+      "Undo this forward? All roll-out and roll-over transactions it created will be removed.",
       async () => {
-        // User confirmed deletion - attempt to delete from Firestore
-        const success = await deleteTransaction(id);
-        
-        // Show appropriate feedback message
+        const success = await undoForward(transaction.forwardId);
         if (success) {
-          // Success message (green by default)
-          showMessage("Transaction deleted successfully.");
+          showMessage("Forward undone.");
         } else {
-          // Error message (red - second parameter true indicates error)
-          showMessage("Failed to delete transaction.", true);
+          showMessage("Failed to undo forward.", true);
         }
       }
     );
   };
 
+  /**
+   * Row title for a transaction
+   * - Transfer: "From → To"
+   * - Split: "Split: Food, Shopping, Health"
+   * - Otherwise: the category name
+   *
+   * @param {object} t - Transaction to label
+   * @returns {string}
+   */
+  const getTitle = (t) => {
+    if (t.type === "transfer") return `${t.category} → ${t.toCategory}`;
+    if (t.splits?.length > 0) {
+      return `Split: ${t.splits.map((line) => line.category).join(", ")}`;
+    }
+    return t.category;
+  };
+
+  /**
+   * Badge for one half of a roll-over pair (null for other transactions)
+   * - Surplus: "Surplus carried out" / "Surplus carried in"
+   * - Deficit: "Deficit carried out" / "Deficit carried in" (the half that
+   *   lowers the next period's budget)
+   * Pairs written before deficits could be forwarded have no rollOverKind
+   * and are surpluses.
+   *
+   * @param {object} t - Transaction to label
+   * @returns {{ text: string, className: string }|null}
+   */
+  const getRollOverBadge = (t) => {
+    if (!t.isRollOver) return null;
+    const isDeficit = t.rollOverKind === "deficit";
+    // A surplus leaves as an expense; a deficit leaves as income
+    const isRollOut = t.type === (isDeficit ? "income" : "expense");
+    return {
+      text: `${isDeficit ? "Deficit" : "Surplus"} carried ${isRollOut ? "out" : "in"}`,
+      className: isDeficit
+        ? "bg-amber-200 text-amber-800"
+        : "bg-blue-200 text-blue-800",
+    };
+  };
+
   // ==================== Component Render ====================
   return (
     <section>
@@ -344,9 +466,27 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
 
       {/* ============ Section Heading ============ */}
       {/* Visual label for the transactions list below */}
-      <h3 className="text-lg font-semibold text-gray-700 mb-3">
-        Daily Transactions
-      </h3>
+      {/* Account filter sits beside the heading when there are several accounts */}
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-lg font-semibold text-gray-700">
+          Daily Transactions
+        </h3>
+        {showAccounts && (
+          <select
+            value={activeAccountFilter}
+            onChange={(e) => setAccountFilter(e.target.value)}
+            className="p-1 border border-gray-300 rounded-lg text-sm text-gray-700 focus:ring-blue-500 focus:border-blue-500"
+            aria-label="Filter by account"
+          >
+            <option value="all">All accounts</option>
+            {accounts.map((account) => (
+              <option key={account.id} value={account.id}>
+                {account.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
 
       {/* ============ Transactions List ============ */}
       {/* Scrollable container for individual transaction items
@@ -379,13 +519,19 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
               // - border-l-4 border-green-500: Green left border accent
               // - Color conveys: positive financial activity
               //
-              // Expense (type !== 'income'):
+              // Expense (type === 'expense'):
               // - bg-red-100: Light red background
               // - border-l-4 border-red-500: Red left border accent
               // - Color conveys: money going out
+              //
+              // Transfer (type === 'transfer'):
+              // - bg-indigo-100 / border-indigo-500: neutral, money only
+              //   moves between categories
               className={`p-3 mb-2 rounded-lg shadow flex justify-between items-center ${
                 t.type === "income"
                   ? "bg-green-100 border-l-4 border-green-500"
+                  : t.type === "transfer"
+                  ? "bg-indigo-100 border-l-4 border-indigo-500"
                   : "bg-red-100 border-l-4 border-red-500"
               }`}
             >
@@ -394,16 +540,52 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
               <div>
                 {/* Category Name */}
                 {/* Bold, large text for primary identifier
-                    Example: "Food", "Transport", "Salary" */}
-                <p className="font-semibold text-lg">{t.category}</p>
+                    Example: "Food", "Transport", "Salary"
+                    Transfers show both sides: "Savings → Food"
+                    Splits list their categories: "Split: Food, Health" */}
+                <p className="font-semibold text-lg">
+                  {getTitle(t)}
+                  {/* Roll-over badge: "Surplus carried in", "Deficit carried out", ... */}
+                  {getRollOverBadge(t) && (
+                    <span
+                      className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium align-middle ${getRollOverBadge(t).className}`}
+                    >
+                      {getRollOverBadge(t).text}
+                    </span>
+                  )}
+                  {/* Manual forwards can be undone as a whole */}
+                  {t.forwardId && (
+                    <button
+                      onClick={() => handleUndoForward(t)}
+                      className="ml-2 text-xs font-semibold text-blue-600 hover:text-blue-800 align-middle"
+                    >
+                      Undo forward
+                    </button>
+                  )}
+                </p>
                 
                 {/* Date and Amount */}
                 {/* Secondary information: when and how much
-                    Format: "MM/DD/YYYY - QAR ###.##"
+                    Format: "MM/DD/YYYY - " + amount in the base currency
                     Example: "03/15/2024 - QAR 50.00" */}
+                {/* Followed by the account name when there are several accounts */}
                 <p className="text-sm text-gray-600">
-                  {t.date.toDate().toLocaleDateString()} - QAR{" "}
-                  {t.amount.toFixed(2)}
+                  {t.date.toDate().toLocaleDateString()} -{" "}
+                  {formatMoney(t.amount)}
+                  {/* Foreign currency: "(USD 20.00 @ 3.64)" */}
+                  {t.originalCurrency && (
+                    <span className="text-gray-500">
+                      {" "}
+                      ({formatInCurrency(t.originalAmount, t.originalCurrency)} @{" "}
+                      {t.exchangeRate})
+                    </span>
+                  )}
+                  {showAccounts && t.type !== "transfer" && (
+                    <span className="text-gray-500">
+                      {" "}
+                      · {accountNames[getAccountId(t)] || "Unknown account"}
+                    </span>
+                  )}
                 </p>
                 
                 {/* Transaction Description */}
@@ -417,35 +599,82 @@ const TransactionsSection = ({ showConfirm, showMessage }) => {
                 {t.description && t.description.trim() !== "" && (
                   <p className="text-xs text-gray-500 mt-1">{t.description}</p>
                 )}
+
+                {/* Split Lines */}
+                {/* One line per category portion of a split transaction
+                    Example: "Food QAR 30.00 · Health QAR 20.00" */}
+                {t.splits?.length > 0 && (
+                  <p className="text-xs text-gray-600 mt-1">
+                    {t.splits
+                      .map(
+                        (line) =>
+                          `${line.category} ${formatMoney(line.amount)}`
+                      )
+                      .join(" · ")}
+                  </p>
+                )}
               </div>
 
-              {/* Delete Button (Right Side) */}
-              {/* Triggers transaction deletion with confirmation
-                  - Positioned right for easy thumb access on mobile
-                  - Red color indicates destructive action
-                  - X icon universally understood as delete/close
-                  - Calls handleDelete(t.id) which shows confirmation modal */}
-              <button
-                onClick={() => handleDelete(t.id)}
-                className="delete-btn text-red-500 hover:text-red-700 font-semibold p-1 rounded-full"
-                aria-label={`Delete ${t.category} transaction`}
-              >
-                {/* SVG X Icon (Close/Delete) */}
-                <svg
-                  xmlns="http://www.w3.org/2000/svg"
-                  className="h-6 w-6"
-                  fill="none"
-                  viewBox="0 0 24 24"
-                  stroke="currentColor"
+              {/* Row Actions (Right Side) */}
+              <div className="flex items-center space-x-1">
+                {/* Edit Button */}
+                {/* Opens AddTransactionModal pre-filled with this transaction
+                    - Blue color indicates non-destructive action
+                    - Pencil icon for edit
+                    - Hidden for roll-over halves: editing one half would
+                      leave it out of step with its partner and its forward
+                      record (delete the pair and forward again instead) */}
+                {!t.isRollOver && !t.forwardId && (
+                  <button
+                    onClick={() => onEdit(t)}
+                    className="edit-btn text-blue-500 hover:text-blue-700 font-semibold p-1 rounded-full"
+                    aria-label={`Edit ${getTitle(t)} transaction`}
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      className="h-5 w-5"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      stroke="currentColor"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth="2"
+                        d="M16.862 4.487l1.687-1.688a1.875 1.875 0 112.652 2.652L6.832 19.82a4.5 4.5 0 01-1.897 1.13l-2.685.8.8-2.685a4.5 4.5 0 011.13-1.897L16.863 4.487z"
+                      />
+                    </svg>
+                  </button>
+                )}
+
+                {/* Delete Button */}
+                {/* Triggers transaction deletion with confirmation
+                    - Positioned right for easy thumb access on mobile
+                    - Red color indicates destructive action
+                    - X icon universally understood as delete/close
+                    - Calls handleDelete(t) which shows confirmation modal */}
+                <button
+                  onClick={() => handleDelete(t)}
+                  className="delete-btn text-red-500 hover:text-red-700 font-semibold p-1 rounded-full"
+                  aria-label={`Delete ${getTitle(t)} transaction`}
                 >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth="2"
-                    d="M6 18L18 6M6 6l12 12"
-                  />
-                </svg>
-              </button>
+                  {/* SVG X Icon (Close/Delete) */}
+                  <svg
+                    xmlns="http://www.w3.org/2000/svg"
+                    className="h-6 w-6"
+                    fill="none"
+                    viewBox="0 0 24 24"
+                    stroke="currentColor"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth="2"
+                      d="M6 18L18 6M6 6l12 12"
+                    />
+                  </svg>
+                </button>
+              </div>
             </div>
           ))
         )}
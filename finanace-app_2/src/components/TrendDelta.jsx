@@ -0,0 +1,54 @@
+import React from "react";
+import { ArrowDownRight, ArrowRight, ArrowUpRight } from "lucide-react";
+import { useTransactions } from "./TransactionContext";
+import { getChange } from "../utils/summary";
+
+/**
+ * TrendDelta Component
+ *
+ * Change of an amount against an earlier period, as a trend arrow and a
+ * percentage (e.g. "↗ 12% vs prev."). Hovering shows the earlier amount.
+ *
+ * Colour says whether the change is good news: with `higherIsBetter` (income,
+ * balance) a rise is green, without it (spending) a rise is red. With nothing
+ * to compare against (earlier amount 0) it shows "new" instead of a percentage.
+ *
+ * @component
+ * @param {Object} props
+ * @param {number} props.current - Amount in the viewed period (minor units)
+ * @param {number} props.previous - Amount in the earlier period (minor units)
+ * @param {string} props.label - Short name of the earlier period ("prev.", "last yr")
+ * @param {boolean} [props.higherIsBetter=true] - Whether a rise is good news
+ *
+ * @returns {JSX.Element} Inline trend badge
+ */
+const TrendDelta = ({ current, previous, label, higherIsBetter = true }) => {
+  const { formatMoney } = useTransactions();
+  const { change, ratio } = getChange(current, previous);
+
+  let Icon = ArrowRight;
+  let color = "text-gray-400";
+  if (change !== 0) {
+    Icon = change > 0 ? ArrowUpRight : ArrowDownRight;
+    color = change > 0 === higherIsBetter ? "text-green-600" : "text-red-500";
+  }
+
+  let text = "0%";
+  if (ratio !== null) {
+    text = `${Math.round(Math.abs(ratio) * 100)}%`;
+  } else if (change !== 0) {
+    text = "new";
+  }
+
+  return (
+    <span
+      className={`inline-flex items-center text-xs ${color}`}
+      title={`${label}: ${formatMoney(previous)} (${formatMoney(change, { signDisplay: "exceptZero" })})`}
+    >
+      <Icon className="w-3 h-3" aria-hidden="true" />
+      {text} vs {label}
+    </span>
+  );
+};
+
+export default TrendDelta;
@@ -1,6 +1,9 @@
 import React, { useRef, useEffect } from "react";
 import { MoreVertical } from "lucide-react";
 import { useTransactions } from '../components/TransactionContext';
+import { SUPPORTED_CURRENCIES } from '../utils/currency';
+import { CYCLE_TYPES, CUSTOM_CYCLE_KINDS } from '../utils/cycles';
+import { parseDateKey } from '../utils/recurrence';
 
 /**
  * UserInfo Component
@@ -13,21 +16,24 @@ import { useTransactions } from '../components/TransactionContext';
  * - Sign in prompt (if anonymous user)
  * - Dropdown menu for:
  *   • Sign out button (authenticated users only)
- *   • Billing cycle mode selector (calendar vs custom)
- *   • Custom date range picker (if custom mode selected)
+ *   • Billing cycle mode selector (calendar, weekly, bi-weekly or custom)
+ *   • First day of week (if weekly or bi-weekly selected)
+ *   • Custom cycle anchor: a day of the month or every N weeks (if custom mode selected)
+ *   • Base currency selector (saved to the user's settings in Firestore)
  * 
  * Key Features:
  * - Click-outside detection to close dropdown menu
  * - Avatar image error handling with fallback
  * - Radio button selection for billing cycle mode
- * - Conditional rendering of custom date range inputs
+ * - Conditional rendering of custom cycle inputs
  * - Real-time sync with TransactionContext for settings
  * - Responsive design with scrollable menu on small screens
  * - Accessibility labels for screen readers
  * 
  * State Management:
  * - isMenuOpen: Controls dropdown menu visibility
- * - cycleType, customDateRange: Managed by TransactionContext
+ * - cycleType, weekStartDay, customCycle: Managed by TransactionContext
+ * - baseCurrency: Managed by TransactionContext, stored per user in Firestore
  * - Automatically persists settings to localStorage via context
  * 
  * Props:
@@ -38,6 +44,7 @@ import { useTransactions } from '../components/TransactionContext';
  *                              - isAnonymous: Whether user is not authenticated
  * @param {function} props.onSignOut - Callback to sign out user
  * @param {function} props.onSignInGoogle - Callback to sign in with Google
+ * @param {function} [props.onManageRates] - Opens the exchange rate table
  * 
  * Dependencies:
  * - lucide-react: Icons (MoreVertical for menu button)
@@ -58,11 +65,12 @@ import { useTransactions } from '../components/TransactionContext';
  * //   [Sign Out]
  * //   [User Name]
  * //   Billing Cycle Setting
- * //   ○ Calendar Month  ○ Custom Range
- * //   (if Custom selected: Start Date, End Date inputs)
+ * //   ○ Calendar Month  ○ Weekly  ○ Bi-weekly  ○ Custom Cycle
+ * //   (if Weekly/Bi-weekly selected: Week Starts On)
+ * //   (if Custom selected: Repeats, Start Day or First Period Start + Every N Weeks)
  * ```
  */
-const UserInfo = ({ user, onSignOut, onSignInGoogle }) => {
+const UserInfo = ({ user, onSignOut, onSignInGoogle, onManageRates }) => {
   // ==================== State Management ====================
   
   // Menu Visibility State
@@ -79,23 +87,41 @@ const UserInfo = ({ user, onSignOut, onSignInGoogle }) => {
   // Billing cycle settings from TransactionContext
   // These values are persisted to localStorage automatically
   //
-  // cycleType: "calendar" | "custom"
+  // cycleType: "calendar" | "weekly" | "biweekly" | "custom"
   // - "calendar": Standard month (1st to last day)
-  // - "custom": User-defined date range
+  // - "weekly" / "biweekly": One or two weeks starting on weekStartDay
+  // - "custom": Cycle anchored to a pay day
   //
-  // customDateRange: { start: "YYYY-MM-DD", end: "YYYY-MM-DD" }
+  // weekStartDay: 0-6 (0 = Sunday), first day of weekly/bi-weekly periods
+  //
+  // customCycle: { kind: "monthly", day } | { kind: "weekly", start, weeks }
   // - Only used when cycleType === "custom"
-  // - Format: ISO date string without time
+  // - "monthly": starts on `day` each month (e.g., 25 → 25th to 24th)
+  // - "weekly": starts every `weeks` weeks, in step with `start` ("YYYY-MM-DD")
+  //
+  // periodRange: { start, end } of the viewed period
+  // - Used to pre-fill the anchor when switching between kinds
   //
   // formatCycleSettingInfo(): Function that returns human-readable cycle description
   // - Calendar mode: "Calendar Month (1st - EOM)"
-  // - Custom mode: "MM/DD/YYYY to MM/DD/YYYY"
+  // - Weekly mode: "Weekly (starts Monday)"
+  // - Custom mode: "Starts on day 25 each month", "Every 2 weeks on Friday (from 1/3/2025)"
+  //
+  // baseCurrency: ISO 4217 code all amounts are displayed in (e.g., "QAR")
+  // updateBaseCurrency(code): Saves a new base currency to the user's settings
+  // formatMoney(amount): Formats an amount in the base currency (used for the preview)
   const {
     cycleType,
     setCycleType,
-    customDateRange,
-    setCustomDateRange,
-    formatCycleSettingInfo
+    weekStartDay,
+    setWeekStartDay,
+    customCycle,
+    setCustomCycle,
+    periodRange,
+    formatCycleSettingInfo,
+    baseCurrency,
+    updateBaseCurrency,
+    formatMoney
   } = useTransactions();
 
   // ==================== Avatar Setup ====================
@@ -155,48 +181,50 @@ const UserInfo = ({ user, onSignOut, onSignInGoogle }) => {
   // ==================== Event Handlers ====================
   
   /**
-   * handleDateChange(type)
+   * handleCycleChange(field)
    * 
    * Purpose:
-   * Factory function that creates handlers for start/end date input changes.
-   * Updates custom billing cycle dates in context.
+   * Factory function that creates handlers for the custom cycle inputs.
+   * Updates the custom cycle definition in context.
    * 
    * How it works (Currying Pattern):
-   * - Called as: handleDateChange('start') → returns a function
-   * - That function: (e) => { ... updates start date ... }
-   * - Allows reuse for both start and end date inputs
+   * - Called as: handleCycleChange('day') → returns a function
+   * - That function: (e) => { ... updates customCycle.day ... }
+   * - Allows reuse for every cycle input
    * 
    * Process:
-   * 1. Extract new date value from input event
-   * 2. Create new object with updated date using spread operator
-   * 3. Call setCustomDateRange to update context
-   * 4. Context automatically persists to localStorage
+   * 1. Extract new value from input event (empty date inputs are ignored)
+   * 2. Switching kind: start a new definition anchored on the viewed period's
+   *    first day, so the period on screen stays where it is
+   * 3. Otherwise: copy the definition with the one field changed
+   * 4. Context validates it and persists it to localStorage
    * 
    * Parameters:
-   * type: "start" | "end" (which date to update)
+   * field: "kind" | "day" | "start" | "weeks"
    * 
    * Example:
    * ```javascript
-   * // For start date input:
-   * onChange={handleDateChange('start')}
-   * 
-   * // When user selects "2024-03-15":
-   * // customDateRange becomes: { start: "2024-03-15", end: "2024-04-14" }
+   * // For the start day select:
+   * onChange={handleCycleChange('day')}
    * 
-   * // For end date input:
-   * onChange={handleDateChange('end')}
-   * // customDateRange becomes: { start: "2024-03-15", end: "2024-05-15" }
+   * // When user selects 25:
+   * // customCycle becomes: { kind: "monthly", day: 25 }
    * ```
    */
-  const handleDateChange = (type) => (e) => {
-    const date = e.target.value; // Extract date string from input (YYYY-MM-DD)
-    
-    // Update the specified date (start or end) in context
-    // Spread operator (...prev) preserves the other date value
-    setCustomDateRange(prev => ({
-      ...prev,
-      [type]: date // [type] is "start" or "end" (computed property)
-    }));
+  const handleCycleChange = (field) => (e) => {
+    const value = e.target.value;
+    if (!value) return;
+
+    if (field === "kind") {
+      setCustomCycle(
+        value === "weekly"
+          ? { kind: "weekly", start: periodRange.start, weeks: 2 }
+          : { kind: "monthly", day: parseDateKey(periodRange.start).getDate() }
+      );
+      return;
+    }
+
+    setCustomCycle({ ...customCycle, [field]: value });
   };
 
   // ==================== Component Render ====================
@@ -313,7 +341,7 @@ const UserInfo = ({ user, onSignOut, onSignInGoogle }) => {
               {/* Shows human-readable description of current billing cycle mode
                   Examples:
                   - "Calendar Month (1st - EOM)"
-                  - "03/15/2024 to 04/14/2024" */}
+                  - "Starts on day 25 each month" */}
               <p className="text-xs text-gray-500 mb-3">
                 Current:{" "}
                 <span className="font-normal text-gray-700">
@@ -322,98 +350,195 @@ const UserInfo = ({ user, onSignOut, onSignInGoogle }) => {
               </p>
 
               {/* Billing Cycle Mode Selection */}
-              {/* Two radio button options for billing cycle type
+              {/* One radio button per cycle type (see utils/cycles CYCLE_TYPES)
                   - Calendar Month: Standard 1st to last day of month
-                  - Custom Range: User-defined start/end dates
+                  - Weekly / Bi-weekly: One or two weeks from the first day of week
+                  - Custom Cycle: Anchored to a pay day (monthly or every N weeks)
                   
                   Radio buttons grouped by name="cycleType"
                   Only one can be selected at a time
                   
-                  onChange: Calls setCycleType("calendar") or setCycleType("custom")
+                  onChange: Calls setCycleType with the selected type
                   Updates context and persists to localStorage */}
-              <div className="flex space-x-2 mb-3">
-                
-                {/* Calendar Month Radio */}
-                <label className="flex items-center space-x-2 cursor-pointer text-sm font-medium text-gray-700">
-                  <input
-                    type="radio"
-                    name="cycleType"
-                    value="calendar"
-                    checked={cycleType === "calendar"}
-                    onChange={() => setCycleType("calendar")}
-                    className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500"
-                  />
-                  <span>Calendar Month</span>
-                </label>
-
-                {/* Custom Range Radio */}
-                <label className="flex items-center space-x-2 cursor-pointer text-sm font-medium text-gray-700">
-                  <input
-                    type="radio"
-                    name="cycleType"
-                    value="custom"
-                    checked={cycleType === "custom"}
-                    onChange={() => setCycleType("custom")}
-                    className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500"
-                  />
-                  <span>Custom Range</span>
-                </label>
+              <div className="grid grid-cols-2 gap-2 mb-3">
+                {Object.entries(CYCLE_TYPES).map(([type, label]) => (
+                  <label
+                    key={type}
+                    className="flex items-center space-x-2 cursor-pointer text-sm font-medium text-gray-700"
+                  >
+                    <input
+                      type="radio"
+                      name="cycleType"
+                      value={type}
+                      checked={cycleType === type}
+                      onChange={() => setCycleType(type)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
               </div>
 
-              {/* Custom Date Range Inputs */}
+              {/* First Day of Week Select */}
+              {/* Conditionally rendered only for weekly and bi-weekly cycles
+                  Weekday names come from the browser locale (Jan 7, 2024 was a Sunday) */}
+              {(cycleType === "weekly" || cycleType === "biweekly") && (
+                <div className="flex flex-col space-y-1 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+                  <label htmlFor="weekStartDay" className="text-sm text-gray-700 font-medium">
+                    Week Starts On:
+                  </label>
+                  <select
+                    id="weekStartDay"
+                    value={weekStartDay}
+                    onChange={(e) => setWeekStartDay(e.target.value)}
+                    className="p-2 border border-blue-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {[0, 1, 2, 3, 4, 5, 6].map((day) => (
+                      <option key={day} value={day}>
+                        {new Date(2024, 0, 7 + day).toLocaleDateString("default", {
+                          weekday: "long",
+                        })}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {/* Custom Cycle Inputs */}
               {/* Conditionally rendered only when cycleType === "custom"
-                  Allows user to set custom start/end dates
+                  Defines when each period starts; every period is computed from it
                   - Light blue background box for visual grouping
-                  - Two date inputs (start and end)
-                  - Format hint: "YYYY-MM-DD" */}
+                  - Repeats: monthly on a day, or every N weeks
+                  - Monthly: start day select (1-31)
+                  - Weekly: first period start date + number of weeks */}
               {cycleType === "custom" && (
                 <div className="flex flex-col space-y-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                   
-                  {/* Start Date Input */}
-                  {/* Allows selection of custom cycle start date
-                      - onChange: Triggers handleDateChange('start')
-                      - Updates customDateRange.start in context
-                      - Value synced from context state */}
+                  {/* Cycle Kind Select */}
                   <div className="flex flex-col space-y-1">
-                    <label htmlFor="startDate" className="text-sm text-gray-700 font-medium">
-                      Start Date:
+                    <label htmlFor="cycleKind" className="text-sm text-gray-700 font-medium">
+                      Repeats:
                     </label>
-                    <input
-                      id="startDate"
-                      type="date"
-                      value={customDateRange.start}
-                      onChange={handleDateChange('start')}
+                    <select
+                      id="cycleKind"
+                      value={customCycle.kind}
+                      onChange={handleCycleChange('kind')}
                       className="p-2 border border-blue-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
-                    />
+                    >
+                      {Object.entries(CUSTOM_CYCLE_KINDS).map(([kind, label]) => (
+                        <option key={kind} value={kind}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
                   </div>
 
-                  {/* End Date Input */}
-                  {/* Allows selection of custom cycle end date
-                      - onChange: Triggers handleDateChange('end')
-                      - Updates customDateRange.end in context
-                      - Value synced from context state */}
-                  <div className="flex flex-col space-y-1">
-                    <label htmlFor="endDate" className="text-sm text-gray-700 font-medium">
-                      End Date:
-                    </label>
-                    <input
-                      id="endDate"
-                      type="date"
-                      value={customDateRange.end}
-                      onChange={handleDateChange('end')}
-                      className="p-2 border border-blue-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
-                    />
-                  </div>
+                  {customCycle.kind === "monthly" ? (
+                    /* Start Day Select */
+                    /* Day of the month each period starts on
+                       - Days past the end of a short month start on its last day */
+                    <div className="flex flex-col space-y-1">
+                      <label htmlFor="cycleDay" className="text-sm text-gray-700 font-medium">
+                        Start Day:
+                      </label>
+                      <select
+                        id="cycleDay"
+                        value={customCycle.day}
+                        onChange={handleCycleChange('day')}
+                        className="p-2 border border-blue-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        {Array.from({ length: 31 }, (_, i) => i + 1).map((day) => (
+                          <option key={day} value={day}>
+                            {day}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ) : (
+                    <>
+                      {/* First Period Start Input */}
+                      {/* Any pay day: sets the weekday and which weeks periods start on */}
+                      <div className="flex flex-col space-y-1">
+                        <label htmlFor="cycleStart" className="text-sm text-gray-700 font-medium">
+                          A Period Starts On:
+                        </label>
+                        <input
+                          id="cycleStart"
+                          type="date"
+                          value={customCycle.start}
+                          onChange={handleCycleChange('start')}
+                          className="p-2 border border-blue-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </div>
+
+                      {/* Period Length Select */}
+                      <div className="flex flex-col space-y-1">
+                        <label htmlFor="cycleWeeks" className="text-sm text-gray-700 font-medium">
+                          Every:
+                        </label>
+                        <select
+                          id="cycleWeeks"
+                          value={customCycle.weeks}
+                          onChange={handleCycleChange('weeks')}
+                          className="p-2 border border-blue-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+                        >
+                          {[1, 2, 3, 4].map((weeks) => (
+                            <option key={weeks} value={weeks}>
+                              {weeks === 1 ? "1 week" : `${weeks} weeks`}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    </>
+                  )}
 
-                  {/* Format Hint */}
-                  {/* Helper text explaining expected date format
-                      Assists users unfamiliar with ISO date format */}
+                  {/* Hint */}
+                  {/* Explains that navigation follows the anchor */}
                   <p className="text-xs text-gray-500 mt-1">
-                    Format: YYYY-MM-DD
+                    Use the period arrows to move between cycles.
                   </p>
                 </div>
               )}
             </div>
+
+            {/* ========== Section 3: Currency Setting ========== */}
+            {/* Base currency for every amount in the app
+                - Saved to the user's settings document, so it follows them across devices
+                - Only changes how amounts are displayed; stored amounts are not converted
+                - Preview shows the currency's symbol placement and decimals */}
+            <div className="px-4 pt-3 pb-4 border-t">
+              <label htmlFor="baseCurrency" className="block text-sm font-semibold text-gray-800 mb-2">
+                Currency
+              </label>
+              <select
+                id="baseCurrency"
+                value={baseCurrency}
+                onChange={(e) => updateBaseCurrency(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+              >
+                {SUPPORTED_CURRENCIES.map((code) => (
+                  <option key={code} value={code}>
+                    {code}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Example: {formatMoney(1234.5)}
+              </p>
+
+              {/* Opens ExchangeRatesManager (rates for foreign currency transactions) */}
+              {onManageRates && (
+                <button
+                  onClick={() => {
+                    onManageRates();
+                    setIsMenuOpen(false);
+                  }}
+                  className="mt-2 text-sm text-blue-600 hover:text-blue-800 font-semibold"
+                >
+                  Exchange Rates
+                </button>
+              )}
+            </div>
           </div>
         )}
       </div>
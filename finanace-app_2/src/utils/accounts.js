@@ -0,0 +1,78 @@
+/**
+ * Account helpers
+ *
+ * Purpose:
+ * Pure functions for accounts/wallets (cash, debit card, credit card...).
+ * Every transaction belongs to one account through `accountId`; an account's
+ * running balance is its opening balance plus the transactions posted to it.
+ *
+ * Balance rules:
+ * - income   → balance += amount
+ * - expense  → balance -= amount (split expenses count once, at their total)
+ * - transfer → no change (money moves between budget categories, not accounts)
+ * - surplus roll-out/roll-over pairs (isRollOver) → no change; they only move
+ *   budget between periods
+ *
+ * Default account:
+ * Transactions written before accounts existed have no `accountId`. They
+ * belong to the account with the fixed ID DEFAULT_ACCOUNT_ID, which
+ * TransactionContext creates when a user has no accounts yet.
+ *
+ * A credit card is an account whose balance is usually negative (amount owed).
+ */
+
+export const DEFAULT_ACCOUNT_ID = "default";
+
+/**
+ * getAccountId(transaction)
+ *
+ * @param {Object} transaction - Stored or pending transaction
+ * @returns {string} accountId, or DEFAULT_ACCOUNT_ID for pre-account documents
+ */
+export const getAccountId = (transaction) =>
+  transaction.accountId || DEFAULT_ACCOUNT_ID;
+
+/**
+ * getAccountEffect(transaction)
+ *
+ * @param {Object} transaction - { type, amount, isRollOver? }
+ * @returns {number} Signed change to the account balance
+ */
+export const getAccountEffect = (transaction) => {
+  if (!transaction || typeof transaction.amount !== "number") return 0;
+  if (transaction.isRollOver) return 0;
+  if (transaction.type === "income") return transaction.amount;
+  if (transaction.type === "expense") return -transaction.amount;
+  return 0;
+};
+
+/**
+ * computeAccountBalances(accounts, transactions, asOf)
+ *
+ * @param {Array<Object>} accounts - [{ id, openingBalance }, ...]
+ * @param {Array<Object>} transactions - Transactions with Firestore Timestamp dates
+ * @param {Date} [asOf] - Only count transactions dated on or before this moment
+ * @returns {Object} { [accountId]: balance }
+ *
+ * @example
+ * computeAccountBalances(
+ *   [{ id: "cash", openingBalance: 200 }],
+ *   [{ accountId: "cash", type: "expense", amount: 50, date }]
+ * )
+ * // → { cash: 150 }
+ */
+export const computeAccountBalances = (accounts, transactions, asOf) => {
+  const balances = {};
+  accounts.forEach((account) => {
+    balances[account.id] = Number(account.openingBalance) || 0;
+  });
+
+  transactions.forEach((t) => {
+    if (asOf && t.date?.toDate() > asOf) return;
+    const accountId = getAccountId(t);
+    if (!(accountId in balances)) return;
+    balances[accountId] += getAccountEffect(t);
+  });
+
+  return balances;
+};
@@ -0,0 +1,125 @@
+import { buildCategorySummary } from "./summary";
+
+/**
+ * Planned budget helpers
+ *
+ * Purpose:
+ * A planned budget is how much the user means to spend in a category each
+ * period, set ahead of time and independent of the income and transfers
+ * posted to it (which is what ExpenseList's "% remaining" falls back to).
+ * It is stored on the category document:
+ * {
+ *   plannedAmount: number | null (minor units; every period),
+ *   plannedOverrides: { "YYYY-MM-DD": number } (minor units; one period,
+ *                     keyed by the period's first day)
+ * }
+ *
+ * Overrides are keyed by period start, so after switching billing cycle the
+ * old overrides no longer match any period and plannedAmount applies again.
+ *
+ * Plans are measured against getActualSpending(), which leaves out roll-over
+ * pairs: carrying a balance into the next period isn't spending.
+ */
+
+/**
+ * getPlannedBudget(category, periodStart)
+ *
+ * @param {Object} category - Category document
+ * @param {string} periodStart - "YYYY-MM-DD", first day of the period
+ * @returns {number|null} Planned amount in minor units, or null when the
+ *                        category has no plan for that period
+ *
+ * @example
+ * getPlannedBudget({ plannedAmount: 500000 }, "2025-03-01") // → 500000
+ * getPlannedBudget(
+ *   { plannedAmount: 500000, plannedOverrides: { "2025-03-01": 800000 } },
+ *   "2025-03-01"
+ * ) // → 800000
+ */
+export const getPlannedBudget = (category, periodStart) => {
+  const override = category?.plannedOverrides?.[periodStart];
+  if (typeof override === "number") return override;
+  return typeof category?.plannedAmount === "number"
+    ? category.plannedAmount
+    : null;
+};
+
+/**
+ * getActualSpending(transactions)
+ *
+ * Spending per category that plans are measured against, shared by
+ * BudgetReport and ExpenseList so both show the same actual amount.
+ *
+ * @param {Array<Object>} transactions - Transactions of the period
+ * @returns {Object} { [categoryName]: amount } of expenses in minor units,
+ *                   roll-over pairs left out (categories without any omitted)
+ *
+ * @example
+ * // 300.00 spent on Food and a 200.00 surplus rolled out of it
+ * getActualSpending(marchTransactions) // → { Food: 300000 }
+ */
+export const getActualSpending = (transactions) => {
+  const summary = buildCategorySummary(
+    transactions.filter((t) => !t.isRollOver)
+  );
+  const actual = {};
+  Object.entries(summary).forEach(([name, { expense }]) => {
+    if (expense > 0) actual[name] = expense;
+  });
+  return actual;
+};
+
+/**
+ * buildBudgetReport(categories, actualSpending, periodStart)
+ *
+ * Planned vs actual spending, one row per expense category passed in
+ * (categories created in the app carry no `type`; only "income" ones are
+ * left out).
+ *
+ * @param {Array<Object>} categories - Category documents
+ * @param {Object} actualSpending - getActualSpending() of the period
+ * @param {string} periodStart - "YYYY-MM-DD", first day of the period
+ * @returns {Object} {
+ *   rows: [{ category, planned, actual, variance, usedRatio, overBudget,
+ *            isOverride }],  // most over budget first
+ *   totals: { planned, actual, variance }  // rows with a plan only
+ * }
+ *   - planned: minor units, null when unplanned
+ *   - actual: expenses in the period (minor units)
+ *   - variance: planned - actual (negative when over budget; null when unplanned)
+ *   - usedRatio: actual / planned (null when unplanned or planned is 0)
+ */
+export const buildBudgetReport = (categories, actualSpending, periodStart) => {
+  const rows = categories
+    .filter((category) => category.type !== "income")
+    .map((category) => {
+      const planned = getPlannedBudget(category, periodStart);
+      const actual = actualSpending[category.name] || 0;
+      return {
+        category,
+        planned,
+        actual,
+        variance: planned === null ? null : planned - actual,
+        usedRatio: planned ? actual / planned : null,
+        overBudget: planned !== null && actual > planned,
+        isOverride:
+          typeof category.plannedOverrides?.[periodStart] === "number",
+      };
+    })
+    .sort(
+      (a, b) =>
+        (a.variance ?? Infinity) - (b.variance ?? Infinity) ||
+        a.category.name.localeCompare(b.category.name)
+    );
+
+  const totals = { planned: 0, actual: 0, variance: 0 };
+  rows
+    .filter((row) => row.planned !== null)
+    .forEach((row) => {
+      totals.planned += row.planned;
+      totals.actual += row.actual;
+      totals.variance += row.variance;
+    });
+
+  return { rows, totals };
+};
@@ -0,0 +1,71 @@
+/**
+ * Chart helpers
+ *
+ * Purpose:
+ * Pure helpers for the SVG charts drawn by SpendingCharts. Charts are plain
+ * <svg> elements sized by a viewBox, so they scale with their container and
+ * need no chart library or external service.
+ */
+
+// Segment colours, in order; categories past the last one share "Other"
+export const CHART_COLORS = [
+  "#3b82f6", // blue-500
+  "#ef4444", // red-500
+  "#f59e0b", // amber-500
+  "#10b981", // emerald-500
+  "#8b5cf6", // violet-500
+  "#ec4899", // pink-500
+];
+
+export const OTHER_COLOR = "#9ca3af"; // gray-400
+
+/**
+ * topSegments(values, maxSegments)
+ *
+ * @param {Object} values - { [label]: amount } (zero and negative amounts are dropped)
+ * @param {number} [maxSegments=CHART_COLORS.length] - Segments before "Other"
+ * @returns {Array<Object>} [{ label, value, color }] biggest first, the rest
+ *                          summed into a final "Other" segment
+ *
+ * @example
+ * topSegments({ Food: 300, Rent: 1000, Fun: 50 }, 2)
+ * // → [{ label: "Rent", value: 1000, ... }, { label: "Food", value: 300, ... },
+ * //     { label: "Other", value: 50, color: OTHER_COLOR }]
+ */
+export const topSegments = (values, maxSegments = CHART_COLORS.length) => {
+  const sorted = Object.entries(values)
+    .filter(([, value]) => value > 0)
+    .sort(([, a], [, b]) => b - a);
+
+  const segments = sorted.slice(0, maxSegments).map(([label, value], i) => ({
+    label,
+    value,
+    color: CHART_COLORS[i % CHART_COLORS.length],
+  }));
+  const rest = sorted
+    .slice(maxSegments)
+    .reduce((sum, [, value]) => sum + value, 0);
+  if (rest > 0) {
+    segments.push({ label: "Other", value: rest, color: OTHER_COLOR });
+  }
+  return segments;
+};
+
+/**
+ * niceMax(value)
+ *
+ * @param {number} value - Largest value to show on an axis
+ * @returns {number} Smallest 1, 2 or 5 × 10^n at or above `value`, so axis
+ *                   labels are round numbers (1 when value <= 0)
+ *
+ * @example
+ * niceMax(730)  // → 1000
+ * niceMax(1800) // → 2000
+ * niceMax(4100) // → 5000
+ */
+export const niceMax = (value) => {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((s) => s * magnitude >= value);
+  return step * magnitude;
+};
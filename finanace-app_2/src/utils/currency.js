@@ -0,0 +1,78 @@
+/**
+ * Currency helpers
+ *
+ * Purpose:
+ * What the app knows about currencies. Everything is delegated to
+ * Intl.NumberFormat, which knows each currency's symbol, its placement for the
+ * user's locale and its number of decimals (QAR/USD 2, KWD/BHD 3, JPY 0).
+ * Amounts themselves are handled by utils/money, whose formatMoney renders
+ * them with the formatters built here.
+ *
+ * The user's base currency is stored in their settings document (see
+ * TransactionContext); components normally call the context's formatMoney,
+ * which binds it.
+ */
+
+export const DEFAULT_CURRENCY = "QAR";
+
+// Currencies offered in the settings menu (ISO 4217 codes)
+export const SUPPORTED_CURRENCIES = [
+  "QAR",
+  "AED",
+  "SAR",
+  "KWD",
+  "BHD",
+  "OMR",
+  "EGP",
+  "INR",
+  "PKR",
+  "USD",
+  "EUR",
+  "GBP",
+  "JPY",
+];
+
+// Intl.NumberFormat instances are costly to build; reuse one per currency/sign
+const formatters = new Map();
+
+/**
+ * getCurrencyFormatter(currency, signDisplay)
+ *
+ * @param {string} currency - ISO 4217 code
+ * @param {string} signDisplay - Intl.NumberFormat signDisplay option
+ * @returns {Intl.NumberFormat} Cached currency formatter
+ */
+export const getCurrencyFormatter = (currency, signDisplay = "auto") => {
+  const key = `${currency}|${signDisplay}`;
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.NumberFormat(undefined, {
+        style: "currency",
+        currency,
+        signDisplay,
+      })
+    );
+  }
+  return formatters.get(key);
+};
+
+/**
+ * getCurrencyDecimals(currency)
+ *
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Minor-unit digits, e.g. 2 for QAR, 3 for KWD, 0 for JPY
+ */
+export const getCurrencyDecimals = (currency = DEFAULT_CURRENCY) =>
+  getCurrencyFormatter(currency).resolvedOptions().maximumFractionDigits;
+
+/**
+ * getCurrencyStep(currency)
+ *
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Smallest amount as a number input `step`, e.g. "0.001" for KWD
+ */
+export const getCurrencyStep = (currency = DEFAULT_CURRENCY) => {
+  const decimals = getCurrencyDecimals(currency);
+  return decimals === 0 ? "1" : `0.${"0".repeat(decimals - 1)}1`;
+};
@@ -0,0 +1,300 @@
+import { toDateKey, parseDateKey } from "./recurrence";
+
+/**
+ * Billing cycle helpers
+ *
+ * Purpose:
+ * Pure period maths for the billing cycle chosen in settings (see
+ * TransactionContext `cycleType` / `cycleSettings`). Every period is computed
+ * from the cycle definition and a date inside it, never by shifting the
+ * previous period, so navigating back and forth always lands on the same days.
+ *
+ * Periods are exchanged as { start: "YYYY-MM-DD", end: "YYYY-MM-DD" }, both
+ * days inclusive, handled as local calendar days (see utils/recurrence).
+ *
+ * Cycle types:
+ * - "calendar": calendar months, 1st to last day
+ * - "weekly":   weeks starting on `weekStartDay` (0 = Sunday ... 6 = Saturday)
+ * - "biweekly": two-week periods starting on `weekStartDay`, paired in step
+ *               with the week of BIWEEKLY_REFERENCE (for another pairing, use
+ *               a custom cycle every 2 weeks)
+ * - "custom":   periods anchored by `customCycle`:
+ *   { kind: "monthly", day: 1-31 }
+ *     Starts on that day each month (pay day on the 25th → 25th to 24th).
+ *     Days past the end of a short month start on its last day instead.
+ *   { kind: "weekly", start: "YYYY-MM-DD", weeks: 1-4 }
+ *     Starts every `weeks` weeks on the weekday of `start`, in step with it
+ *     ("every other Friday" → the date of any pay Friday, weeks: 2).
+ */
+
+// Cycle types in menu order, with their labels
+export const CYCLE_TYPES = {
+  calendar: "Calendar Month",
+  weekly: "Weekly",
+  biweekly: "Bi-weekly",
+  custom: "Custom Cycle",
+};
+
+export const CUSTOM_CYCLE_KINDS = {
+  monthly: "Monthly on a day",
+  weekly: "Every few weeks",
+};
+
+export const DEFAULT_CUSTOM_CYCLE = { kind: "monthly", day: 1 };
+
+// Sunday; bi-weekly periods start on its week (shifted to weekStartDay) and
+// every second week from there
+const BIWEEKLY_REFERENCE = "2024-01-07";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Whole days since the epoch, unaffected by daylight saving changes
+const dayNumber = (date) =>
+  Math.round(
+    Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS
+  );
+
+// Period of `weeks` weeks containing `date`, in step with the `anchor` day
+const weeksPeriod = (date, anchor, weeks) => {
+  const length = weeks * 7;
+  const index = Math.floor((dayNumber(date) - dayNumber(anchor)) / length);
+  const start = addDays(anchor, index * length);
+  return {
+    start: toDateKey(start),
+    end: toDateKey(addDays(start, length - 1)),
+  };
+};
+
+// Start of a monthly period in the given month (month may be out of range)
+const monthlyStart = (year, month, day) =>
+  new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+
+/**
+ * normalizeCustomCycle(cycle)
+ *
+ * @param {Object} cycle - Stored cycle definition, possibly invalid
+ * @returns {Object} A valid definition (DEFAULT_CUSTOM_CYCLE as fallback)
+ */
+export const normalizeCustomCycle = (cycle) => {
+  if (cycle?.kind === "weekly" && /^\d{4}-\d{2}-\d{2}$/.test(cycle.start)) {
+    const weeks = Math.round(Number(cycle.weeks));
+    return {
+      kind: "weekly",
+      start: cycle.start,
+      weeks: weeks >= 1 && weeks <= 4 ? weeks : 1,
+    };
+  }
+  const day = Math.round(Number(cycle?.day));
+  return cycle?.kind === "monthly" && day >= 1 && day <= 31
+    ? { kind: "monthly", day }
+    : DEFAULT_CUSTOM_CYCLE;
+};
+
+/**
+ * normalizeWeekStartDay(day)
+ *
+ * @param {number|string} day - Stored first day of week, possibly invalid
+ * @returns {number} 0-6 (Sunday first); 1 (Monday) as fallback
+ */
+export const normalizeWeekStartDay = (day) => {
+  const value = Number(day);
+  return Number.isInteger(value) && value >= 0 && value <= 6 ? value : 1;
+};
+
+/**
+ * customCycleFromRange(range)
+ *
+ * Builds a cycle definition from a fixed { start, end } range, the way custom
+ * cycles were stored before they were anchored.
+ *
+ * @param {Object} range - { start: "YYYY-MM-DD", end: "YYYY-MM-DD" }
+ * @returns {Object} Weekly definition when the range is a whole number of
+ *                   weeks (up to 4), otherwise monthly on the start's day
+ *
+ * @example
+ * customCycleFromRange({ start: "2025-03-25", end: "2025-04-24" })
+ * // → { kind: "monthly", day: 25 }
+ * customCycleFromRange({ start: "2025-01-03", end: "2025-01-16" })
+ * // → { kind: "weekly", start: "2025-01-03", weeks: 2 }
+ */
+export const customCycleFromRange = (range) => {
+  const start = parseDateKey(range.start);
+  const days = dayNumber(parseDateKey(range.end)) - dayNumber(start) + 1;
+  if (days % 7 === 0 && days >= 7 && days <= 28) {
+    return { kind: "weekly", start: range.start, weeks: days / 7 };
+  }
+  return { kind: "monthly", day: start.getDate() };
+};
+
+/**
+ * getPeriodContaining(date, cycleType, settings)
+ *
+ * @param {Date} date - Any moment of the wanted period
+ * @param {string} cycleType - One of the CYCLE_TYPES keys
+ * @param {Object} settings - { customCycle, weekStartDay }
+ * @param {Object} settings.customCycle - Cycle definition (custom cycles only)
+ * @param {number} settings.weekStartDay - 0-6, Sunday first (weekly and
+ *                                         bi-weekly cycles only)
+ * @returns {Object} { start, end } of the period that contains `date`
+ *
+ * @example
+ * getPeriodContaining(new Date(2025, 1, 10), "custom",
+ *   { customCycle: { kind: "monthly", day: 31 } })
+ * // → { start: "2025-01-31", end: "2025-02-27" }
+ * getPeriodContaining(new Date(2025, 1, 10), "custom",
+ *   { customCycle: { kind: "weekly", start: "2025-01-03", weeks: 2 } })
+ * // → { start: "2025-01-31", end: "2025-02-13" }
+ * getPeriodContaining(new Date(2025, 1, 10), "weekly", { weekStartDay: 1 })
+ * // → { start: "2025-02-10", end: "2025-02-16" }
+ */
+export const getPeriodContaining = (date, cycleType, settings) => {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+
+  if (cycleType === "weekly" || cycleType === "biweekly") {
+    const weekStartDay = normalizeWeekStartDay(settings?.weekStartDay);
+    const anchor = addDays(parseDateKey(BIWEEKLY_REFERENCE), weekStartDay);
+    return weeksPeriod(date, anchor, cycleType === "weekly" ? 1 : 2);
+  }
+
+  if (cycleType === "custom") {
+    const cycle = normalizeCustomCycle(settings?.customCycle);
+
+    if (cycle.kind === "weekly") {
+      return weeksPeriod(date, parseDateKey(cycle.start), cycle.weeks);
+    }
+
+    const today = new Date(year, month, date.getDate());
+    const offset = today < monthlyStart(year, month, cycle.day) ? -1 : 0;
+    return {
+      start: toDateKey(monthlyStart(year, month + offset, cycle.day)),
+      end: toDateKey(
+        addDays(monthlyStart(year, month + offset + 1, cycle.day), -1)
+      ),
+    };
+  }
+
+  return {
+    start: toDateKey(new Date(year, month, 1)),
+    end: toDateKey(new Date(year, month + 1, 0)),
+  };
+};
+
+/**
+ * getPeriodAfter(period, cycleType, settings)
+ *
+ * @param {Object} period - { start, end } as returned by getPeriodContaining
+ * @param {string} cycleType - One of the CYCLE_TYPES keys
+ * @param {Object} settings - { customCycle, weekStartDay }
+ * @returns {Object} { start, end } of the following period
+ */
+export const getPeriodAfter = (period, cycleType, settings) =>
+  getPeriodContaining(
+    addDays(parseDateKey(period.end), 1),
+    cycleType,
+    settings
+  );
+
+/**
+ * getPeriodBefore(period, cycleType, settings)
+ *
+ * @param {Object} period - { start, end } as returned by getPeriodContaining
+ * @param {string} cycleType - One of the CYCLE_TYPES keys
+ * @param {Object} settings - { customCycle, weekStartDay }
+ * @returns {Object} { start, end } of the preceding period
+ */
+export const getPeriodBefore = (period, cycleType, settings) =>
+  getPeriodContaining(
+    addDays(parseDateKey(period.start), -1),
+    cycleType,
+    settings
+  );
+
+/**
+ * getSamePeriodLastYear(period, cycleType, settings)
+ *
+ * The period containing the same calendar day one year before `period`
+ * starts (Feb 29 → Feb 28), e.g. March 2024 for March 2025, or the week
+ * around Mar 10, 2024 for the week starting Mar 10, 2025.
+ *
+ * @param {Object} period - { start, end } as returned by getPeriodContaining
+ * @param {string} cycleType - One of the CYCLE_TYPES keys
+ * @param {Object} settings - { customCycle, weekStartDay }
+ * @returns {Object} { start, end } of the period a year earlier
+ */
+export const getSamePeriodLastYear = (period, cycleType, settings) => {
+  const start = parseDateKey(period.start);
+  return getPeriodContaining(
+    monthlyStart(start.getFullYear() - 1, start.getMonth(), start.getDate()),
+    cycleType,
+    settings
+  );
+};
+
+/**
+ * getPeriodsEnding(period, count, cycleType, settings)
+ *
+ * @param {Object} period - { start, end } of the last period wanted
+ * @param {number} count - Number of periods
+ * @param {string} cycleType - One of the CYCLE_TYPES keys
+ * @param {Object} settings - { customCycle, weekStartDay }
+ * @returns {Array<Object>} `count` consecutive periods, oldest first,
+ *                          ending with `period`
+ */
+export const getPeriodsEnding = (period, count, cycleType, settings) => {
+  const periods = [period];
+  while (periods.length < count) {
+    periods.unshift(getPeriodBefore(periods[0], cycleType, settings));
+  }
+  return periods;
+};
+
+/**
+ * getPeriodsInYear(year, cycleType, settings)
+ *
+ * A period belongs to the year it starts in, so a cycle starting on the 25th
+ * puts Dec 25 - Jan 24 in the earlier year.
+ *
+ * @param {number} year - Full year (e.g., 2025)
+ * @param {string} cycleType - One of the CYCLE_TYPES keys
+ * @param {Object} settings - { customCycle, weekStartDay }
+ * @returns {Array<Object>} Periods starting in `year`, oldest first
+ *                          (12 months, 52-53 weeks, 26-27 bi-weeks, ...)
+ */
+export const getPeriodsInYear = (year, cycleType, settings) => {
+  const firstDay = toDateKey(new Date(year, 0, 1));
+  const lastDay = toDateKey(new Date(year, 11, 31));
+
+  let period = getPeriodContaining(new Date(year, 0, 1), cycleType, settings);
+  if (period.start < firstDay) {
+    period = getPeriodAfter(period, cycleType, settings);
+  }
+
+  const periods = [];
+  while (period.start <= lastDay) {
+    periods.push(period);
+    period = getPeriodAfter(period, cycleType, settings);
+  }
+  return periods;
+};
+
+/**
+ * describeCustomCycle(cycle)
+ *
+ * @param {Object} cycle - Cycle definition
+ * @returns {string} e.g. "Starts on day 25 each month",
+ *                   "Every 2 weeks on Friday (from 1/3/2025)"
+ */
+export const describeCustomCycle = (cycle) => {
+  const { kind, day, start, weeks } = normalizeCustomCycle(cycle);
+  if (kind === "weekly") {
+    const anchor = parseDateKey(start);
+    const weekday = anchor.toLocaleDateString("default", { weekday: "long" });
+    const every = weeks === 1 ? "Every week" : `Every ${weeks} weeks`;
+    return `${every} on ${weekday} (from ${anchor.toLocaleDateString()})`;
+  }
+  return `Starts on day ${day} each month`;
+};
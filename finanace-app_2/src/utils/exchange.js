@@ -0,0 +1,121 @@
+import { roundMinor } from "./money";
+
+/**
+ * Exchange rate helpers
+ *
+ * Purpose:
+ * Pure functions for transactions entered in a foreign currency. Such a
+ * transaction keeps what was actually paid and stores its value in the base
+ * currency as `amount`, so every total, counter and report keeps working in
+ * the base currency without knowing about currencies at all:
+ * {
+ *   amount: number (minor units of the base currency, converted),
+ *   originalAmount: number (minor units of originalCurrency, as paid),
+ *   originalCurrency: "USD",
+ *   exchangeRate: number (base currency units per 1 originalCurrency)
+ * }
+ * Split lines carry their own `originalAmount` next to the converted `amount`.
+ *
+ * Rate table:
+ * The user's rates are kept in the browser (see TransactionContext) as
+ * { [baseCurrency]: { [currency]: rate } }, where rate is again "1 currency =
+ * rate base units", e.g. { QAR: { USD: 3.64, EUR: 3.95 } }.
+ */
+
+/**
+ * convertToBase(amount, rate, baseCurrency)
+ *
+ * @param {number} amount - Minor units of the foreign currency
+ * @param {number} rate - Base units per 1 foreign unit
+ * @param {string} baseCurrency - ISO 4217 code (sets the rounding)
+ * @returns {number} Minor units of the base currency, rounded to its coin
+ *
+ * @example
+ * convertToBase(20000, 3.64, "QAR") // → 72800 (QAR 72.80)
+ */
+export const convertToBase = (amount, rate, baseCurrency) =>
+  roundMinor(Number(amount) * Number(rate), baseCurrency);
+
+/**
+ * isValidRate(rate)
+ *
+ * @param {*} rate
+ * @returns {boolean} true for a finite number greater than zero
+ */
+export const isValidRate = (rate) =>
+  typeof rate === "number" && Number.isFinite(rate) && rate > 0;
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+/**
+ * parseRateFile(text, baseCurrency)
+ *
+ * Reads an exchange rate file chosen by the user. Accepted formats:
+ *
+ * - CSV / plain text, one "CODE,rate" per line (1 CODE = rate base units);
+ *   a header line and blank lines are ignored:
+ *     currency,rate
+ *     USD,3.64
+ *     EUR,3.95
+ *
+ * - JSON object of the same shape: { "USD": 3.64, "EUR": 3.95 }
+ *
+ * - JSON as published by rate APIs: { "base": "USD", "rates": { "QAR": 3.64,
+ *   "EUR": 0.92 } }, meaning 1 base = rates[X] units of X. Rates are converted
+ *   to the user's base currency (here 1 EUR = 3.64 / 0.92 QAR), which
+ *   requires the file to contain it (or to be based on it).
+ *
+ * @param {string} text - File contents
+ * @param {string} baseCurrency - The user's base currency
+ * @returns {Object} { [currency]: rate } in base units per foreign unit
+ * @throws {Error} When the file has no usable rates (message is user-facing)
+ */
+export const parseRateFile = (text, baseCurrency) => {
+  let entries = [];
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith("{")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error("The file is not valid JSON.");
+    }
+
+    if (data && typeof data.rates === "object" && data.base) {
+      // API style: rates are "units of X per 1 data.base"
+      const rates = { ...data.rates, [data.base]: 1 };
+      const perBase = Number(rates[baseCurrency]);
+      if (!isValidRate(perBase)) {
+        throw new Error(`The file has no rate for ${baseCurrency}.`);
+      }
+      entries = Object.entries(rates).map(([code, units]) => [
+        code,
+        perBase / Number(units),
+      ]);
+    } else {
+      entries = Object.entries(data).map(([code, rate]) => [
+        code,
+        Number(rate),
+      ]);
+    }
+  } else {
+    entries = trimmed.split(/\r?\n/).map((line) => {
+      const [code = "", rate = ""] = line.split(/[,;\t]/);
+      return [code.trim(), parseFloat(rate)];
+    });
+  }
+
+  const rates = {};
+  entries.forEach(([code, rate]) => {
+    const upper = String(code).toUpperCase();
+    if (upper === baseCurrency || !CURRENCY_CODE.test(upper)) return;
+    if (!isValidRate(rate)) return;
+    rates[upper] = rate;
+  });
+
+  if (Object.keys(rates).length === 0) {
+    throw new Error("No exchange rates found in the file.");
+  }
+  return rates;
+};
@@ -0,0 +1,134 @@
+import { buildCategorySummary } from "./summary";
+import { toDateKey, parseDateKey, getOccurrencesBetween } from "./recurrence";
+
+/**
+ * Spending forecast helpers
+ *
+ * Purpose:
+ * End-of-period projection of spending, per category and overall, shown by
+ * ExpenseList while a period is under way. For each category:
+ *
+ *   projected = spent so far
+ *             + pace × days left
+ *             + recurring expenses still scheduled in the period
+ *
+ * The pace is the daily average of the non-recurring spending dated up to
+ * today: recurring items (rent, subscriptions) are lumpy and already counted
+ * through their schedule, so they are kept out of it. Roll-over pairs are
+ * left out everywhere, like in the other summaries (see utils/summary).
+ *
+ * A period that hasn't started has no pace yet (only its scheduled items
+ * are projected); a period that has ended projects exactly what was spent.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days from one key to the other, both inclusive (0 when `to` is before `from`)
+const countDays = (fromKey, toKey) => {
+  const from = parseDateKey(fromKey);
+  const to = parseDateKey(toKey);
+  const days =
+    Math.round(
+      (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+        Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) /
+        DAY_MS
+    ) + 1;
+  return Math.max(days, 0);
+};
+
+/**
+ * getScheduledSpending(templates, period, todayKey, nameFor)
+ *
+ * @param {Array<Object>} templates - Recurring templates (see utils/recurrence)
+ * @param {Object} period - { start, end } date keys
+ * @param {string} todayKey - "YYYY-MM-DD" of today
+ * @param {Function} nameFor - template → current category name
+ * @returns {Object} { [categoryName]: amount } of the expense occurrences
+ *                   dated after today and inside the period (paused
+ *                   templates and skipped dates left out)
+ */
+export const getScheduledSpending = (templates, period, todayKey, nameFor) => {
+  const tomorrow = parseDateKey(todayKey);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const fromKey =
+    toDateKey(tomorrow) > period.start ? toDateKey(tomorrow) : period.start;
+
+  const scheduled = {};
+  templates
+    .filter((template) => template.type === "expense" && !template.paused)
+    .forEach((template) => {
+      const count = getOccurrencesBetween(template, fromKey, period.end).length;
+      if (count === 0) return;
+      const name = nameFor(template);
+      scheduled[name] = (scheduled[name] || 0) + count * template.amount;
+    });
+  return scheduled;
+};
+
+/**
+ * buildSpendingForecast(transactions, period, todayKey, scheduled)
+ *
+ * @param {Array<Object>} transactions - Transactions of the period
+ * @param {Object} period - { start, end } date keys
+ * @param {string} todayKey - "YYYY-MM-DD" of today
+ * @param {Object} scheduled - getScheduledSpending() for the period
+ * @returns {Object} {
+ *   categories: { [categoryName]: { spent, pace, scheduled, projected } },
+ *   total: { spent, scheduled, projected },
+ *   daysElapsed, daysLeft  // days of the period up to / after today
+ * }
+ *   - pace: non-recurring spending per day so far (minor units, unrounded)
+ *   - projected: estimated spending at the end of the period (minor units)
+ *
+ * @example
+ * // Mar 1-31, today Mar 10: 200.00 of groceries so far, nothing recurring
+ * buildSpendingForecast(marchTransactions,
+ *   { start: "2025-03-01", end: "2025-03-31" }, "2025-03-10", {})
+ * // → categories.Groceries: { spent: 200000, pace: 20000, scheduled: 0,
+ * //                           projected: 620000 }
+ */
+export const buildSpendingForecast = (
+  transactions,
+  period,
+  todayKey,
+  scheduled
+) => {
+  const lastCountedDay = todayKey < period.end ? todayKey : period.end;
+  const daysElapsed = countDays(period.start, lastCountedDay);
+  const daysLeft = countDays(period.start, period.end) - daysElapsed;
+
+  const counted = transactions.filter((t) => !t.isRollOver);
+  const spentSummary = buildCategorySummary(counted);
+  const paceSummary = buildCategorySummary(
+    counted.filter(
+      (t) => !t.recurringId && toDateKey(t.date.toDate()) <= todayKey
+    )
+  );
+
+  const categories = {};
+  const total = { spent: 0, scheduled: 0, projected: 0 };
+  const names = new Set([
+    ...Object.keys(spentSummary),
+    ...Object.keys(scheduled),
+  ]);
+  names.forEach((name) => {
+    const spent = spentSummary[name]?.expense || 0;
+    const pace =
+      daysElapsed > 0 ? (paceSummary[name]?.expense || 0) / daysElapsed : 0;
+    const categoryScheduled = scheduled[name] || 0;
+    if (spent === 0 && categoryScheduled === 0) return;
+
+    const projected = Math.round(spent + pace * daysLeft + categoryScheduled);
+    categories[name] = {
+      spent,
+      pace,
+      scheduled: categoryScheduled,
+      projected,
+    };
+    total.spent += spent;
+    total.scheduled += categoryScheduled;
+    total.projected += projected;
+  });
+
+  return { categories, total, daysElapsed, daysLeft };
+};
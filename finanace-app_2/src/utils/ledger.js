@@ -0,0 +1,192 @@
+/**
+ * Ledger helpers
+ *
+ * Purpose:
+ * Pure functions describing how a transaction affects the running counters
+ * stored on category documents. Every write path in TransactionContext
+ * (add, update, delete, forward) derives its counter changes from here, so
+ * the counters are always maintained with the same rules.
+ *
+ * Counter rules:
+ * - income   → category.budgetAmount += amount
+ * - expense  → category.spentAmount  += amount
+ * - transfer → from-category.spentAmount += amount,
+ *              to-category.budgetAmount  += amount
+ *   (money leaves one budget and tops up another; overall totals are unchanged)
+ *
+ * Category keys:
+ * Transactions reference their category by `categoryId`. Documents written
+ * before IDs existed only carry the `category` name, so they are keyed by
+ * name until the one-time migration fills in `categoryId`. A `categoryId` of
+ * null marks an orphan (its category was gone) and affects no counters.
+ * A transfer keeps its source in `categoryId`/`category` and its destination
+ * in `toCategoryId`/`toCategory`, keyed the same way.
+ *
+ * Split transactions:
+ * An income or expense can carry `splits: [{ categoryId, category, amount }]`
+ * line items summing to its amount. The parent then has no category of its
+ * own (categoryId null) and each line counts against its own category.
+ *
+ * These helpers have no Firestore dependency; callers turn the resulting
+ * deltas into `increment()` writes inside a batch or transaction.
+ */
+
+/**
+ * getCategoryKey(transaction)
+ *
+ * @param {Object} transaction - Stored or pending transaction
+ * @returns {string|null} categoryId, or the category name for pre-migration documents
+ */
+export const getCategoryKey = (transaction) =>
+  "categoryId" in transaction ? transaction.categoryId : transaction.category;
+
+/**
+ * getTransferTargetKey(transaction)
+ *
+ * @param {Object} transaction - Stored or pending transfer
+ * @returns {string|null} toCategoryId, or the toCategory name when the ID is absent
+ */
+export const getTransferTargetKey = (transaction) =>
+  "toCategoryId" in transaction
+    ? transaction.toCategoryId
+    : transaction.toCategory;
+
+/**
+ * isSplit(transaction)
+ *
+ * @param {Object} transaction - Stored or pending transaction
+ * @returns {boolean} true when the amount is split across category line items
+ */
+export const isSplit = (transaction) =>
+  Array.isArray(transaction?.splits) && transaction.splits.length > 0;
+
+/**
+ * getCategoryEffects(transaction)
+ *
+ * Lists the counter changes a single transaction contributes.
+ *
+ * @param {Object} transaction - { type, amount, categoryId, category, toCategoryId?, toCategory? }
+ * @returns {Array<{ categoryKey: string, field: string, amount: number }>}
+ *
+ * @example
+ * getCategoryEffects({ type: "expense", amount: 50, categoryId: "abc123" })
+ * // → [{ categoryKey: "abc123", field: "spentAmount", amount: 50 }]
+ *
+ * getCategoryEffects({ type: "expense", amount: 50, categoryId: null, splits: [
+ *   { categoryId: "food", amount: 30 }, { categoryId: "health", amount: 20 }
+ * ] })
+ * // → [{ categoryKey: "food", field: "spentAmount", amount: 30 },
+ * //    { categoryKey: "health", field: "spentAmount", amount: 20 }]
+ */
+export const getCategoryEffects = (transaction) => {
+  if (!transaction || typeof transaction.amount !== "number") return [];
+
+  if (isSplit(transaction)) {
+    const field =
+      transaction.type === "income"
+        ? "budgetAmount"
+        : transaction.type === "expense"
+          ? "spentAmount"
+          : null;
+    if (!field) return [];
+    return transaction.splits.map((line) => ({
+      categoryKey: getCategoryKey(line),
+      field,
+      amount: line.amount,
+    }));
+  }
+
+  const categoryKey = getCategoryKey(transaction);
+
+  if (transaction.type === "income") {
+    return [{ categoryKey, field: "budgetAmount", amount: transaction.amount }];
+  }
+  if (transaction.type === "expense") {
+    return [{ categoryKey, field: "spentAmount", amount: transaction.amount }];
+  }
+  if (transaction.type === "transfer") {
+    return [
+      { categoryKey, field: "spentAmount", amount: transaction.amount },
+      {
+        categoryKey: getTransferTargetKey(transaction),
+        field: "budgetAmount",
+        amount: transaction.amount,
+      },
+    ];
+  }
+  return [];
+};
+
+/**
+ * sumCategoryDeltas(removed, added)
+ *
+ * Nets out the counter changes of transactions being removed and added,
+ * so one write per category can carry the whole change.
+ *
+ * Used for:
+ * - add:    sumCategoryDeltas([], [newTx])
+ * - delete: sumCategoryDeltas([oldTx], [])
+ * - edit:   sumCategoryDeltas([oldTx], [newTx]) → old amount out, new amount in
+ *
+ * @param {Array<Object>} removed - Transactions whose effect is reversed
+ * @param {Array<Object>} added - Transactions whose effect is applied
+ * @returns {Object} { [categoryKey]: { [field]: signedDelta } } with zero deltas dropped
+ *
+ * @example
+ * sumCategoryDeltas(
+ *   [{ type: "expense", amount: 50, categoryId: "food" }],
+ *   [{ type: "expense", amount: 45, categoryId: "shopping" }]
+ * )
+ * // → { food: { spentAmount: -50 }, shopping: { spentAmount: 45 } }
+ */
+export const sumCategoryDeltas = (removed = [], added = []) => {
+  const deltas = {};
+
+  const apply = (transaction, sign) => {
+    getCategoryEffects(transaction).forEach(
+      ({ categoryKey, field, amount }) => {
+        if (!categoryKey) return;
+        if (!deltas[categoryKey]) deltas[categoryKey] = {};
+        deltas[categoryKey][field] =
+          (deltas[categoryKey][field] || 0) + sign * amount;
+      }
+    );
+  };
+
+  removed.forEach((t) => apply(t, -1));
+  added.forEach((t) => apply(t, 1));
+
+  // Drop fields that net out to zero (e.g., editing only the description)
+  Object.keys(deltas).forEach((category) => {
+    Object.keys(deltas[category]).forEach((field) => {
+      if (deltas[category][field] === 0) delete deltas[category][field];
+    });
+    if (Object.keys(deltas[category]).length === 0) delete deltas[category];
+  });
+
+  return deltas;
+};
+
+/**
+ * computeCategoryTotals(transactions)
+ *
+ * Rebuilds every category's counters from scratch by applying the same
+ * rules as the incremental write paths to the full transaction history.
+ * Used by the "Recalculate totals" reconciliation to detect drift.
+ *
+ * @param {Array<Object>} transactions - All stored transactions
+ * @returns {Object} { [categoryKey]: { budgetAmount: number, spentAmount: number } }
+ */
+export const computeCategoryTotals = (transactions = []) => {
+  const totals = {};
+  transactions.forEach((t) => {
+    getCategoryEffects(t).forEach(({ categoryKey, field, amount }) => {
+      if (!categoryKey) return;
+      if (!totals[categoryKey]) {
+        totals[categoryKey] = { budgetAmount: 0, spentAmount: 0 };
+      }
+      totals[categoryKey][field] += amount;
+    });
+  });
+  return totals;
+};
@@ -0,0 +1,279 @@
+import { collection, doc, increment, runTransaction } from "firebase/firestore";
+import { sumCategoryDeltas } from "./ledger";
+
+/**
+ * Ledger writes
+ *
+ * Purpose:
+ * The Firestore transactions behind TransactionContext's ledger operations
+ * (add, update, delete, forward, undo forward). Each one writes the
+ * transaction document(s) and the category counter increments in a single
+ * runTransaction, so they commit together or not at all: a failure or a
+ * second tab can't leave a document without its counter change, or the
+ * other way around.
+ *
+ * Unlike the other utils these talk to Firestore. They take the Firestore
+ * instance and the user's base path (`artifacts/{appId}/users/{uid}`) instead
+ * of reading them from the provider, so the emulator tests
+ * (ledgerWrites.test.js, `npm test`) run the exact code the app runs.
+ *
+ * Category keys (see utils/ledger) are turned into category document IDs by
+ * the caller's `resolveCategoryId(key)`; keys it can't resolve (deleted or
+ * orphaned categories) affect no counters.
+ */
+
+/**
+ * writeCategoryDeltas(firestoreTx, targets)
+ *
+ * Purpose:
+ * Write phase for counter updates: queues one update per category using
+ * increment(), which the server applies on top of the stored value.
+ * Two tabs adding to the same category therefore add up instead of the
+ * last read-modify-write overwriting the other.
+ *
+ * Works with both a runTransaction transaction and a writeBatch.
+ *
+ * @param {Object} firestoreTx - Transaction or WriteBatch
+ * @param {Array<Object>} targets - { ref, fields } from readCategoryTargets
+ */
+export const writeCategoryDeltas = (firestoreTx, targets) => {
+  targets.forEach(({ ref, fields }) => {
+    const update = {};
+    Object.entries(fields).forEach(([field, delta]) => {
+      update[field] = increment(delta);
+    });
+    firestoreTx.update(ref, update);
+  });
+};
+
+/**
+ * readCategoryTargets(firestoreTx, db, basePath, deltas, resolveCategoryId)
+ *
+ * Purpose:
+ * Read phase for counter updates inside runTransaction. Resolves each
+ * category key in `deltas` (from sumCategoryDeltas) to its document and
+ * keeps only categories that still exist, so a deleted category never
+ * blocks the rest of the write.
+ *
+ * Firestore requires every read in a transaction to happen before any write,
+ * so callers await this before queueing their set/update/delete calls.
+ *
+ * @returns {Promise<Array<Object>>} { ref, fields } for writeCategoryDeltas
+ */
+export const readCategoryTargets = async (
+  firestoreTx,
+  db,
+  basePath,
+  deltas,
+  resolveCategoryId
+) => {
+  const targets = [];
+  for (const [categoryKey, fields] of Object.entries(deltas)) {
+    const categoryId = resolveCategoryId(categoryKey);
+    if (!categoryId) continue;
+
+    const ref = doc(db, `${basePath}/categories`, categoryId);
+    const snapshot = await firestoreTx.get(ref);
+    if (snapshot.exists()) targets.push({ ref, fields });
+  }
+  return targets;
+};
+
+/**
+ * commitNewTransaction(db, basePath, transaction, resolveCategoryId)
+ *
+ * Writes a new transaction document and adds its amounts to the category
+ * counters.
+ *
+ * @param {Object} transaction - Complete document data (Timestamps, userId, ...)
+ * @returns {Promise<string>} ID of the new transaction document
+ */
+export const commitNewTransaction = async (
+  db,
+  basePath,
+  transaction,
+  resolveCategoryId
+) => {
+  const ref = doc(collection(db, `${basePath}/transactions`));
+  await runTransaction(db, async (firestoreTx) => {
+    const targets = await readCategoryTargets(
+      firestoreTx,
+      db,
+      basePath,
+      sumCategoryDeltas([], [transaction]),
+      resolveCategoryId
+    );
+    firestoreTx.set(ref, transaction);
+    writeCategoryDeltas(firestoreTx, targets);
+  });
+  return ref.id;
+};
+
+/**
+ * commitTransactionUpdate(db, basePath, transactionId, payload, resolveCategoryId)
+ *
+ * Applies `payload` to a stored transaction and moves its old amounts out of
+ * the old categories and the new amounts into the new ones. The stored
+ * document is re-read inside the transaction, so the "old" side is the latest
+ * saved version even if another tab edited it.
+ *
+ * @throws {Error} When the transaction no longer exists (nothing is written)
+ */
+export const commitTransactionUpdate = async (
+  db,
+  basePath,
+  transactionId,
+  payload,
+  resolveCategoryId
+) => {
+  const ref = doc(db, `${basePath}/transactions`, transactionId);
+  await runTransaction(db, async (firestoreTx) => {
+    const snapshot = await firestoreTx.get(ref);
+    if (!snapshot.exists()) {
+      throw new Error(`Transaction '${transactionId}' no longer exists.`);
+    }
+
+    // Move the old amount out of the old category, then into the new one
+    const stored = snapshot.data();
+    const targets = await readCategoryTargets(
+      firestoreTx,
+      db,
+      basePath,
+      sumCategoryDeltas([stored], [{ ...stored, ...payload }]),
+      resolveCategoryId
+    );
+
+    firestoreTx.update(ref, payload);
+    writeCategoryDeltas(firestoreTx, targets);
+  });
+};
+
+/**
+ * commitTransactionDeletes(db, basePath, transactionIds, resolveCategoryId)
+ *
+ * Deletes the transactions (e.g. both halves of a roll-over pair) and
+ * reverses their effect on the category counters. Documents already removed
+ * elsewhere are skipped, so nothing is reversed twice.
+ */
+export const commitTransactionDeletes = async (
+  db,
+  basePath,
+  transactionIds,
+  resolveCategoryId
+) => {
+  await runTransaction(db, async (firestoreTx) => {
+    const snapshots = [];
+    for (const id of transactionIds) {
+      snapshots.push(
+        await firestoreTx.get(doc(db, `${basePath}/transactions`, id))
+      );
+    }
+    const storedSnapshots = snapshots.filter((s) => s.exists());
+
+    // Reverse what the transactions added to their categories
+    const targets = await readCategoryTargets(
+      firestoreTx,
+      db,
+      basePath,
+      sumCategoryDeltas(
+        storedSnapshots.map((s) => s.data()),
+        []
+      ),
+      resolveCategoryId
+    );
+
+    storedSnapshots.forEach((s) => firestoreTx.delete(s.ref));
+    writeCategoryDeltas(firestoreTx, targets);
+  });
+};
+
+/**
+ * commitForward(db, basePath, forwardId, transactions, record, resolveCategoryId)
+ *
+ * Writes every roll-out/roll-over transaction of a forward, their counter
+ * increments and the forward record (`forwards/{forwardId}`), whose
+ * `transactionIds` lists the documents written so commitUndoForward can
+ * remove them again.
+ *
+ * @param {Array<Object>} transactions - Roll-over pairs, each carrying forwardId
+ * @param {Object} record - Forward record without transactionIds
+ * @returns {Promise<Array<string>>} IDs of the transaction documents written
+ */
+export const commitForward = async (
+  db,
+  basePath,
+  forwardId,
+  transactions,
+  record,
+  resolveCategoryId
+) => {
+  const refs = transactions.map(() =>
+    doc(collection(db, `${basePath}/transactions`))
+  );
+  await runTransaction(db, async (firestoreTx) => {
+    const targets = await readCategoryTargets(
+      firestoreTx,
+      db,
+      basePath,
+      sumCategoryDeltas([], transactions),
+      resolveCategoryId
+    );
+    transactions.forEach((t, index) => firestoreTx.set(refs[index], t));
+    writeCategoryDeltas(firestoreTx, targets);
+    firestoreTx.set(doc(db, `${basePath}/forwards`, forwardId), {
+      ...record,
+      transactionIds: refs.map((ref) => ref.id),
+    });
+  });
+  return refs.map((ref) => ref.id);
+};
+
+/**
+ * commitUndoForward(db, basePath, forwardId, resolveCategoryId)
+ *
+ * Deletes every transaction a forward wrote, reverses their counter
+ * increments and removes the forward record. Transactions already deleted on
+ * their own are skipped.
+ *
+ * @returns {Promise<boolean>} false when the forward record is gone (already undone)
+ */
+export const commitUndoForward = async (
+  db,
+  basePath,
+  forwardId,
+  resolveCategoryId
+) => {
+  const forwardRef = doc(db, `${basePath}/forwards`, forwardId);
+  return runTransaction(db, async (firestoreTx) => {
+    // ========== READ PHASE ==========
+    const forwardSnapshot = await firestoreTx.get(forwardRef);
+    if (!forwardSnapshot.exists()) return false; // Already undone
+    const transactionIds = forwardSnapshot.data().transactionIds || [];
+
+    const snapshots = [];
+    for (const id of transactionIds) {
+      snapshots.push(
+        await firestoreTx.get(doc(db, `${basePath}/transactions`, id))
+      );
+    }
+    const storedSnapshots = snapshots.filter((s) => s.exists());
+
+    // Reverse what commitForward added to the category counters
+    const targets = await readCategoryTargets(
+      firestoreTx,
+      db,
+      basePath,
+      sumCategoryDeltas(
+        storedSnapshots.map((s) => s.data()),
+        []
+      ),
+      resolveCategoryId
+    );
+
+    // ========== WRITE PHASE ==========
+    storedSnapshots.forEach((s) => firestoreTx.delete(s.ref));
+    writeCategoryDeltas(firestoreTx, targets);
+    firestoreTx.delete(forwardRef);
+    return true;
+  });
+};
@@ -0,0 +1,311 @@
+import { afterAll, beforeEach, describe, expect, it } from "vitest";
+import { initializeApp } from "firebase/app";
+import {
+  collection,
+  connectFirestoreEmulator,
+  doc,
+  getDoc,
+  getDocs,
+  getFirestore,
+  setDoc,
+  terminate,
+  Timestamp,
+} from "firebase/firestore";
+import {
+  commitNewTransaction,
+  commitTransactionUpdate,
+  commitTransactionDeletes,
+  commitForward,
+  commitUndoForward,
+} from "./ledgerWrites";
+
+/**
+ * Ledger write tests
+ *
+ * Run against the Firestore emulator with `npm test`, which starts it with
+ * firebase.test.json and firestore.test.rules (the emulator needs Java, see
+ * README "Running the tests"). Each ledger operation is
+ * checked both ways: when it commits, the transaction documents and the
+ * category counters change together; when the server rejects the commit,
+ * neither does.
+ *
+ * Rejections come from the "locked" category: the test rules refuse any
+ * change to it, so an operation that touches its counters alongside another
+ * category's fails as a whole.
+ */
+
+const PROJECT_ID = "demo-finance";
+const BASE_PATH = "artifacts/test-app/users/test-user";
+const [HOST, PORT] = (
+  process.env.FIRESTORE_EMULATOR_HOST || "127.0.0.1:8080"
+).split(":");
+
+const app = initializeApp({ projectId: PROJECT_ID }, "ledger-writes-test");
+const db = getFirestore(app);
+connectFirestoreEmulator(db, HOST, Number(PORT));
+
+// Tests key transactions by category ID only
+const resolveCategoryId = (categoryKey) => categoryKey;
+
+const categoryRef = (id) => doc(db, `${BASE_PATH}/categories`, id);
+const transactionRef = (id) => doc(db, `${BASE_PATH}/transactions`, id);
+
+const readCounters = async (id) => {
+  const { budgetAmount, spentAmount } = (await getDoc(categoryRef(id))).data();
+  return { budgetAmount, spentAmount };
+};
+
+const readTransactionIds = async () =>
+  (await getDocs(collection(db, `${BASE_PATH}/transactions`))).docs.map(
+    (snapshot) => snapshot.id
+  );
+
+const expense = (categoryId, amount, extra = {}) => ({
+  type: "expense",
+  amount,
+  category: categoryId,
+  categoryId,
+  description: "Test expense",
+  date: Timestamp.fromDate(new Date(2025, 2, 15)),
+  userId: "test-user",
+  ...extra,
+});
+
+// Split expense counted against two categories (food and locked)
+const splitExpense = () =>
+  expense(null, 20000, {
+    category: null,
+    splits: [
+      { categoryId: "food", category: "food", amount: 15000 },
+      { categoryId: "locked", category: "locked", amount: 5000 },
+    ],
+  });
+
+// Roll-out/roll-over pair moving a surplus of `amount` into the next period
+const rollOverPair = (categoryId, amount, forwardId) => [
+  expense(categoryId, amount, { isRollOver: true, forwardId }),
+  {
+    ...expense(categoryId, amount, { isRollOver: true, forwardId }),
+    type: "income",
+    date: Timestamp.fromDate(new Date(2025, 3, 1)),
+  },
+];
+
+/**
+ * Stores the food, rent and locked categories with the given spentAmounts
+ * and the given transactions as they are, without touching the counters.
+ */
+const seed = async (spent = {}, transactions = {}) => {
+  for (const id of ["food", "rent", "locked"]) {
+    await setDoc(categoryRef(id), {
+      name: id,
+      budgetAmount: 0,
+      spentAmount: spent[id] || 0,
+      ...(id === "locked" ? { locked: true } : {}),
+    });
+  }
+  for (const [id, transaction] of Object.entries(transactions)) {
+    await setDoc(transactionRef(id), transaction);
+  }
+};
+
+beforeEach(async () => {
+  // Wipe the emulator's database between tests
+  await fetch(
+    `http://${HOST}:${PORT}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+    { method: "DELETE" }
+  );
+});
+
+afterAll(() => terminate(db));
+
+describe("commitNewTransaction", () => {
+  it("writes the transaction and its counter change together", async () => {
+    await seed();
+
+    const id = await commitNewTransaction(
+      db,
+      BASE_PATH,
+      expense("food", 20000),
+      resolveCategoryId
+    );
+
+    expect((await getDoc(transactionRef(id))).data().amount).toBe(20000);
+    expect(await readCounters("food")).toEqual({
+      budgetAmount: 0,
+      spentAmount: 20000,
+    });
+  });
+
+  it("writes nothing when the commit is rejected", async () => {
+    await seed();
+
+    await expect(
+      commitNewTransaction(db, BASE_PATH, splitExpense(), resolveCategoryId)
+    ).rejects.toThrow();
+
+    expect(await readTransactionIds()).toEqual([]);
+    expect((await readCounters("food")).spentAmount).toBe(0);
+  });
+});
+
+describe("commitTransactionUpdate", () => {
+  beforeEach(() => seed({ food: 20000 }, { t1: expense("food", 20000) }));
+
+  it("moves the amount between categories with the edit", async () => {
+    await commitTransactionUpdate(
+      db,
+      BASE_PATH,
+      "t1",
+      { category: "rent", categoryId: "rent", amount: 15000 },
+      resolveCategoryId
+    );
+
+    const stored = (await getDoc(transactionRef("t1"))).data();
+    expect(stored).toMatchObject({ categoryId: "rent", amount: 15000 });
+    expect((await readCounters("food")).spentAmount).toBe(0);
+    expect((await readCounters("rent")).spentAmount).toBe(15000);
+  });
+
+  it("keeps the stored version when the commit is rejected", async () => {
+    await expect(
+      commitTransactionUpdate(
+        db,
+        BASE_PATH,
+        "t1",
+        { category: "locked", categoryId: "locked" },
+        resolveCategoryId
+      )
+    ).rejects.toThrow();
+
+    const stored = (await getDoc(transactionRef("t1"))).data();
+    expect(stored).toMatchObject({ categoryId: "food", amount: 20000 });
+    expect((await readCounters("food")).spentAmount).toBe(20000);
+  });
+
+  it("writes nothing when the transaction no longer exists", async () => {
+    await expect(
+      commitTransactionUpdate(
+        db,
+        BASE_PATH,
+        "missing",
+        { category: "rent", categoryId: "rent", amount: 15000 },
+        resolveCategoryId
+      )
+    ).rejects.toThrow("no longer exists");
+
+    expect(await readTransactionIds()).toEqual(["t1"]);
+    expect((await readCounters("rent")).spentAmount).toBe(0);
+  });
+});
+
+describe("commitTransactionDeletes", () => {
+  beforeEach(() =>
+    seed(
+      { food: 20000, locked: 5000 },
+      { t1: expense("food", 20000), t2: expense("locked", 5000) }
+    )
+  );
+
+  it("deletes the transaction and reverses its counter change", async () => {
+    await commitTransactionDeletes(db, BASE_PATH, ["t1"], resolveCategoryId);
+
+    expect(await readTransactionIds()).toEqual(["t2"]);
+    expect((await readCounters("food")).spentAmount).toBe(0);
+  });
+
+  it("deletes nothing when the commit is rejected", async () => {
+    await expect(
+      commitTransactionDeletes(db, BASE_PATH, ["t1", "t2"], resolveCategoryId)
+    ).rejects.toThrow();
+
+    expect((await readTransactionIds()).sort()).toEqual(["t1", "t2"]);
+    expect((await readCounters("food")).spentAmount).toBe(20000);
+  });
+});
+
+describe("commitForward", () => {
+  const record = { periodEnd: "2025-03-31", targetDate: "2025-04-01" };
+
+  it("writes every pair, their counters and the forward record", async () => {
+    await seed();
+
+    const ids = await commitForward(
+      db,
+      BASE_PATH,
+      "f1",
+      [
+        ...rollOverPair("food", 50000, "f1"),
+        ...rollOverPair("rent", 10000, "f1"),
+      ],
+      record,
+      resolveCategoryId
+    );
+
+    expect((await readTransactionIds()).sort()).toEqual([...ids].sort());
+    expect(await readCounters("food")).toEqual({
+      budgetAmount: 50000,
+      spentAmount: 50000,
+    });
+    expect(await readCounters("rent")).toEqual({
+      budgetAmount: 10000,
+      spentAmount: 10000,
+    });
+    const forward = (
+      await getDoc(doc(db, `${BASE_PATH}/forwards`, "f1"))
+    ).data();
+    expect(forward).toMatchObject({ ...record, transactionIds: ids });
+  });
+
+  it("writes nothing when the commit is rejected", async () => {
+    await seed();
+
+    await expect(
+      commitForward(
+        db,
+        BASE_PATH,
+        "f1",
+        [
+          ...rollOverPair("food", 50000, "f1"),
+          ...rollOverPair("locked", 10000, "f1"),
+        ],
+        record,
+        resolveCategoryId
+      )
+    ).rejects.toThrow();
+
+    expect(await readTransactionIds()).toEqual([]);
+    expect(await readCounters("food")).toEqual({
+      budgetAmount: 0,
+      spentAmount: 0,
+    });
+    const forward = await getDoc(doc(db, `${BASE_PATH}/forwards`, "f1"));
+    expect(forward.exists()).toBe(false);
+  });
+
+  it("is reversed as a whole by commitUndoForward", async () => {
+    await seed();
+    await commitForward(
+      db,
+      BASE_PATH,
+      "f1",
+      rollOverPair("food", 50000, "f1"),
+      record,
+      resolveCategoryId
+    );
+
+    expect(
+      await commitUndoForward(db, BASE_PATH, "f1", resolveCategoryId)
+    ).toBe(true);
+
+    expect(await readTransactionIds()).toEqual([]);
+    expect(await readCounters("food")).toEqual({
+      budgetAmount: 0,
+      spentAmount: 0,
+    });
+    // Already undone: nothing left to reverse
+    expect(
+      await commitUndoForward(db, BASE_PATH, "f1", resolveCategoryId)
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  DEFAULT_CURRENCY,
+  getCurrencyDecimals,
+  getCurrencyFormatter,
+} from "./currency";
+
+/**
+ * Money helpers
+ *
+ * Purpose:
+ * Amounts are stored, summed and compared as integer minor units so that
+ * totals never pick up floating point noise (0.1 + 0.2 !== 0.3). Every
+ * amount field in Firestore and in memory is an integer:
+ * - transactions: amount, originalAmount, splits[].amount, splits[].originalAmount
+ * - categories:   budgetAmount, spentAmount
+ * - recurring:    amount
+ * - accounts:     openingBalance, lastReconciliation.{statementBalance,
+ *                 computedBalance, difference}
+ * Only exchange rates stay plain numbers (they are ratios, not money).
+ *
+ * Scale:
+ * One unit is MINOR_UNITS (1000) minor units, whatever the currency. That is
+ * the finest precision any supported currency uses (e.g., KWD has 3
+ * decimals), and because it doesn't depend on the currency, stored amounts
+ * keep their meaning when the user switches base currency. Amounts entered
+ * in a 2-decimal currency are simply multiples of 10.
+ *
+ * Conversions happen only at the edges: parseMoney for what the user types,
+ * formatMoney and toInputValue for what is shown.
+ */
+
+export const MINOR_UNITS = 1000;
+
+/**
+ * toMinor(amount)
+ *
+ * @param {number} amount - Amount in whole units (e.g., 12.5)
+ * @returns {number} Integer minor units (e.g., 12500)
+ */
+export const toMinor = (amount) =>
+  Math.round((Number(amount) || 0) * MINOR_UNITS) || 0;
+
+/**
+ * fromMinor(minor)
+ *
+ * @param {number} minor - Integer minor units
+ * @returns {number} Amount in whole units, for display/formatting only
+ */
+export const fromMinor = (minor) => (Number(minor) || 0) / MINOR_UNITS;
+
+/**
+ * roundMinor(minor, currency)
+ *
+ * @param {number} minor - Minor units, possibly fractional (e.g., after
+ *                         applying an exchange rate)
+ * @param {string} currency - ISO 4217 code whose precision to round to
+ * @returns {number} Integer minor units that are a whole amount of the
+ *                   currency's smallest coin (multiples of 10 for QAR)
+ *
+ * @example
+ * roundMinor(72845.6, "QAR") // → 72850 (QAR 72.85)
+ * roundMinor(72845.6, "KWD") // → 72846 (KWD 72.846)
+ */
+export const roundMinor = (minor, currency = DEFAULT_CURRENCY) => {
+  const step = MINOR_UNITS / 10 ** getCurrencyDecimals(currency);
+  return Math.round((Number(minor) || 0) / step) * step || 0;
+};
+
+/**
+ * parseMoney(input, currency)
+ *
+ * Parses what the user typed into an amount field.
+ *
+ * @param {string|number} input - e.g. "12.5", "1,234.50", " 7 "
+ * @param {string} currency - ISO 4217 code; input is rounded to its precision
+ * @returns {number|null} Integer minor units, or null when not a number
+ *
+ * @example
+ * parseMoney("1,234.5", "QAR") // → 1234500
+ * parseMoney("0.1", "QAR")     // → 100
+ * parseMoney("abc", "QAR")     // → null
+ */
+export const parseMoney = (input, currency) => {
+  const text = String(input ?? "")
+    .replace(/,/g, "")
+    .trim();
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+  return roundMinor(Number(text) * MINOR_UNITS, currency);
+};
+
+/**
+ * toInputValue(minor, currency)
+ *
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Value for an <input type="number">, e.g. "12.50"
+ */
+export const toInputValue = (minor, currency) =>
+  fromMinor(minor).toFixed(getCurrencyDecimals(currency));
+
+/**
+ * formatMoney(minor, currency, options)
+ *
+ * @param {number} minor - Integer minor units
+ * @param {string} [currency=DEFAULT_CURRENCY] - ISO 4217 code
+ * @param {Object} [options]
+ * @param {"auto"|"always"|"never"|"exceptZero"} [options.signDisplay="auto"] -
+ *        "never" prints the absolute value (when colour shows the direction),
+ *        "exceptZero" prefixes +/- for changes
+ * @returns {string}
+ *
+ * @example
+ * formatMoney(1234500, "QAR")                            // "QAR 1,234.50"
+ * formatMoney(1500, "KWD")                               // "KWD 1.500"
+ * formatMoney(-20000, "USD")                             // "-$20.00"
+ * formatMoney(-20000, "USD", { signDisplay: "never" })   // "$20.00"
+ */
+export const formatMoney = (
+  minor,
+  currency = DEFAULT_CURRENCY,
+  { signDisplay = "auto" } = {}
+) =>
+  // Round to the currency's precision first so a stray minor unit such as -1
+  // prints as "0.00" rather than "-0.00"
+  getCurrencyFormatter(currency, signDisplay).format(
+    fromMinor(roundMinor(minor, currency))
+  );
@@ -0,0 +1,254 @@
+/**
+ * Recurrence helpers
+ *
+ * Purpose:
+ * Pure schedule maths for recurring transaction templates (rent, salary,
+ * utilities...). TransactionContext uses these to decide which occurrences
+ * are due and RecurringManager uses them to preview upcoming ones.
+ *
+ * Template shape (as stored in Firestore under users/{uid}/recurring):
+ * {
+ *   frequency: "daily" | "weekly" | "monthly" | "yearly",
+ *   interval: number (every N days/weeks/months/years, default 1),
+ *   startDate: "YYYY-MM-DD" (first possible occurrence),
+ *   dayOfMonth?: number 1-31 (monthly/yearly; defaults to startDate's day),
+ *   endDate?: "YYYY-MM-DD" | null (last allowed occurrence date),
+ *   count?: number | null (total number of occurrences),
+ *   nextIndex: number (occurrences already posted or skipped),
+ *   skippedDates: ["YYYY-MM-DD", ...] (occurrences to pass over without posting)
+ * }
+ *
+ * End-of-month handling:
+ * A dayOfMonth beyond the month's length lands on its last day, so
+ * "monthly on the 31st" posts Jan 31, Feb 28/29, Mar 31, Apr 30, ...
+ * Every occurrence is computed from startDate + index (never from the
+ * previous occurrence), so a short month never drags later dates earlier.
+ *
+ * Dates are handled as local calendar days and exchanged as "YYYY-MM-DD" keys,
+ * which sort correctly as plain strings.
+ */
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * toDateKey(date)
+ *
+ * @param {Date} date
+ * @returns {string} Local calendar day as "YYYY-MM-DD"
+ */
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * parseDateKey(key)
+ *
+ * @param {string} key - "YYYY-MM-DD"
+ * @returns {Date} Local midnight of that day
+ */
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Date of the raw step-th slot of the schedule, before limits are applied.
+ * Monthly/yearly slots clamp dayOfMonth to the length of the target month.
+ */
+const getSlotDate = (template, step) => {
+  const start = parseDateKey(template.startDate);
+  const interval = Math.max(1, Number(template.interval) || 1);
+  const offset = step * interval;
+  const dayOfMonth = Number(template.dayOfMonth) || start.getDate();
+
+  switch (template.frequency) {
+    case "daily":
+      return new Date(
+        start.getFullYear(),
+        start.getMonth(),
+        start.getDate() + offset
+      );
+    case "weekly":
+      return new Date(
+        start.getFullYear(),
+        start.getMonth(),
+        start.getDate() + offset * 7
+      );
+    case "monthly": {
+      const monthIndex = start.getMonth() + offset;
+      const year = start.getFullYear() + Math.floor(monthIndex / 12);
+      const month = ((monthIndex % 12) + 12) % 12;
+      return new Date(
+        year,
+        month,
+        Math.min(dayOfMonth, daysInMonth(year, month))
+      );
+    }
+    case "yearly": {
+      const year = start.getFullYear() + offset;
+      const month = start.getMonth();
+      return new Date(
+        year,
+        month,
+        Math.min(dayOfMonth, daysInMonth(year, month))
+      );
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * getOccurrenceDate(template, index)
+ *
+ * Date of the index-th occurrence (0-based). When dayOfMonth falls before
+ * the start day (e.g., start Jan 30, day 5), the first occurrence moves to
+ * the following period so nothing is scheduled before startDate.
+ *
+ * @param {Object} template - Recurring template
+ * @param {number} index - 0-based occurrence number
+ * @returns {Date|null} null for an unknown frequency
+ */
+export const getOccurrenceDate = (template, index) => {
+  const first = getSlotDate(template, 0);
+  if (!first) return null;
+  const shift = toDateKey(first) < template.startDate ? 1 : 0;
+  return getSlotDate(template, index + shift);
+};
+
+/**
+ * Whether the index-th occurrence on `dateKey` is still inside the
+ * template's end date / occurrence count.
+ */
+const isWithinLimits = (template, index, dateKey) => {
+  if (template.count && index >= Number(template.count)) return false;
+  if (template.endDate && dateKey > template.endDate) return false;
+  return true;
+};
+
+/**
+ * getDueOccurrences(template, todayKey, limit)
+ *
+ * Occurrences from template.nextIndex up to and including today.
+ * Skipped dates are included (flagged) so the caller can advance past them.
+ *
+ * @param {Object} template - Recurring template
+ * @param {string} todayKey - "YYYY-MM-DD" of today
+ * @param {number} [limit=366] - Max occurrences returned per call (keeps one
+ *                               Firestore transaction well under 500 writes)
+ * @returns {Array<{ index: number, dateKey: string, skipped: boolean }>}
+ */
+export const getDueOccurrences = (template, todayKey, limit = 366) => {
+  const skippedDates = template.skippedDates || [];
+  const due = [];
+  for (let index = template.nextIndex || 0; due.length < limit; index++) {
+    const date = getOccurrenceDate(template, index);
+    if (!date) break;
+    const dateKey = toDateKey(date);
+    if (dateKey > todayKey || !isWithinLimits(template, index, dateKey)) break;
+    due.push({ index, dateKey, skipped: skippedDates.includes(dateKey) });
+  }
+  return due;
+};
+
+/**
+ * getUpcomingOccurrences(template, n)
+ *
+ * Next n occurrences that have not been posted yet (including skipped ones,
+ * flagged), for display in the management screen.
+ *
+ * @param {Object} template - Recurring template
+ * @param {number} [n=3]
+ * @returns {Array<{ index: number, dateKey: string, skipped: boolean }>}
+ */
+export const getUpcomingOccurrences = (template, n = 3) => {
+  const skippedDates = template.skippedDates || [];
+  const upcoming = [];
+  for (let index = template.nextIndex || 0; upcoming.length < n; index++) {
+    const date = getOccurrenceDate(template, index);
+    if (!date) break;
+    const dateKey = toDateKey(date);
+    if (!isWithinLimits(template, index, dateKey)) break;
+    upcoming.push({ index, dateKey, skipped: skippedDates.includes(dateKey) });
+  }
+  return upcoming;
+};
+
+/**
+ * getOccurrencesBetween(template, fromKey, toKey)
+ *
+ * Dates of the occurrences not posted yet that fall between two days (both
+ * inclusive), skipped ones left out. Used by the spending forecast for what
+ * is still scheduled in the viewed period.
+ *
+ * @param {Object} template - Recurring template
+ * @param {string} fromKey - "YYYY-MM-DD", first day
+ * @param {string} toKey - "YYYY-MM-DD", last day
+ * @returns {Array<string>} "YYYY-MM-DD" keys, oldest first
+ */
+export const getOccurrencesBetween = (template, fromKey, toKey) => {
+  const skippedDates = template.skippedDates || [];
+  const dates = [];
+  for (let index = template.nextIndex || 0; ; index++) {
+    const date = getOccurrenceDate(template, index);
+    if (!date) break;
+    const dateKey = toDateKey(date);
+    if (dateKey > toKey || !isWithinLimits(template, index, dateKey)) break;
+    if (dateKey >= fromKey && !skippedDates.includes(dateKey)) {
+      dates.push(dateKey);
+    }
+  }
+  return dates;
+};
+
+/**
+ * countOccurrencesThrough(template, dateKey)
+ *
+ * Number of occurrences dated on or before dateKey. Used when a template's
+ * schedule is edited: the new schedule resumes after today instead of
+ * back-posting occurrences the old schedule already covered.
+ *
+ * @param {Object} template - Recurring template (with the new schedule)
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @returns {number}
+ */
+export const countOccurrencesThrough = (template, dateKey) => {
+  let index = 0;
+  for (;;) {
+    const date = getOccurrenceDate(template, index);
+    if (!date) return index;
+    const key = toDateKey(date);
+    if (key > dateKey || !isWithinLimits(template, index, key)) return index;
+    index++;
+  }
+};
+
+/**
+ * describeSchedule(template)
+ *
+ * @param {Object} template - Recurring template
+ * @returns {string} e.g. "Every 2 weeks", "Monthly on day 31 (or last day)"
+ */
+export const describeSchedule = (template) => {
+  const interval = Math.max(1, Number(template.interval) || 1);
+  const unit = {
+    daily: "day",
+    weekly: "week",
+    monthly: "month",
+    yearly: "year",
+  }[template.frequency];
+  const every =
+    interval === 1
+      ? { day: "Daily", week: "Weekly", month: "Monthly", year: "Yearly" }[unit]
+      : `Every ${interval} ${unit}s`;
+
+  if (template.frequency === "monthly" || template.frequency === "yearly") {
+    const day =
+      Number(template.dayOfMonth) || parseDateKey(template.startDate).getDate();
+    return day > 28
+      ? `${every} on day ${day} (or last day)`
+      : `${every} on day ${day}`;
+  }
+  return every;
+};
@@ -0,0 +1,64 @@
+/**
+ * Rollover policy helpers
+ *
+ * Purpose:
+ * Each category can carry its balance into the next billing period on its
+ * own, instead of through the manual "Forward Surplus" step in ExpenseList.
+ * The policy is stored on the category document:
+ * {
+ *   rolloverPolicy: "none" | "surplus" | "all" | "cap",
+ *   rolloverCap: number | null (minor units; "cap" only),
+ *   rolloverFrom: "YYYY-MM-DD" (day the policy was switched on; the period
+ *                 containing it is the first one carried over),
+ *   rolledOverThrough: "YYYY-MM-DD" | null (end of the last period carried
+ *                      over; the idempotency marker, see TransactionContext)
+ * }
+ *
+ * TransactionContext applies the policy once per completed period, posting
+ * the same roll-out/roll-over pair a manual forward does.
+ */
+
+// Policies in menu order, with their labels
+export const ROLLOVER_POLICIES = {
+  none: "No rollover",
+  surplus: "Carry surplus",
+  all: "Carry surplus and deficit",
+  cap: "Carry surplus up to a cap",
+};
+
+/**
+ * getRolloverPolicy(category)
+ *
+ * @param {Object} category - Category document
+ * @returns {string} One of the ROLLOVER_POLICIES keys ("none" when unset)
+ */
+export const getRolloverPolicy = (category) =>
+  ROLLOVER_POLICIES[category?.rolloverPolicy]
+    ? category.rolloverPolicy
+    : "none";
+
+/**
+ * getRolloverAmount(category, balance)
+ *
+ * @param {Object} category - Category document (policy and cap)
+ * @param {number} balance - Category balance for the completed period (minor units)
+ * @returns {number} Amount to carry into the next period: positive for a
+ *                   surplus, negative for a deficit, 0 for nothing
+ *
+ * @example
+ * getRolloverAmount({ rolloverPolicy: "surplus" }, -4000)                 // → 0
+ * getRolloverAmount({ rolloverPolicy: "all" }, -4000)                     // → -4000
+ * getRolloverAmount({ rolloverPolicy: "cap", rolloverCap: 50000 }, 80000) // → 50000
+ */
+export const getRolloverAmount = (category, balance) => {
+  switch (getRolloverPolicy(category)) {
+    case "surplus":
+      return Math.max(balance, 0);
+    case "all":
+      return balance;
+    case "cap":
+      return Math.min(Math.max(balance, 0), category.rolloverCap || 0);
+    default:
+      return 0;
+  }
+};
@@ -0,0 +1,254 @@
+import { isSplit } from "./ledger";
+import { toDateKey, parseDateKey } from "./recurrence";
+
+/**
+ * Category summary helpers
+ *
+ * Purpose:
+ * Per-period totals by category name, shown by ExpenseList (budget bars)
+ * and AddTransactionModal (summary card for the selected category), and the
+ * multi-period totals of the year / N-period view (PeriodSummary), the
+ * overview charts (SpendingCharts) and the period-over-period deltas
+ * (TrendDelta in OverviewSection and ExpenseList).
+ * Unlike the stored counters (see ledger.js), these are always computed from
+ * the transactions passed in, i.e. only the visible period(s).
+ */
+
+/**
+ * buildCategorySummary(transactions)
+ *
+ * Rules:
+ * - income   → category.income
+ * - expense  → category.expense
+ * - transfer → from-category.transferOut, to-category.transferIn
+ * - balance  = income + transferIn - expense - transferOut
+ * - split income/expense → each line item counts for its own category
+ *
+ * Transactions are keyed by their (resolved) `category` / `toCategory` names.
+ *
+ * @param {Array<Object>} transactions - Transactions of the period
+ * @returns {Object} { [categoryName]: { income, expense, transferIn, transferOut, balance } }
+ *
+ * @example
+ * buildCategorySummary([
+ *   { type: "income", amount: 500, category: "Savings" },
+ *   { type: "transfer", amount: 200, category: "Savings", toCategory: "Food" },
+ * ])
+ * // → { Savings: { income: 500, transferOut: 200, balance: 300, ... },
+ * //     Food:    { transferIn: 200, balance: 200, ... } }
+ */
+export const buildCategorySummary = (transactions = []) => {
+  const summary = {};
+
+  const entry = (name) => {
+    if (!summary[name]) {
+      summary[name] = {
+        income: 0,
+        expense: 0,
+        transferIn: 0,
+        transferOut: 0,
+        balance: 0,
+      };
+    }
+    return summary[name];
+  };
+
+  transactions.forEach((t) => {
+    if (isSplit(t) && (t.type === "income" || t.type === "expense")) {
+      t.splits.forEach((line) => {
+        if (!line.category || typeof line.amount !== "number") return;
+        const sign = t.type === "income" ? 1 : -1;
+        entry(line.category)[t.type] += line.amount;
+        entry(line.category).balance += sign * line.amount;
+      });
+      return;
+    }
+    if (!t || typeof t.amount !== "number" || !t.category || !t.type) return;
+
+    if (t.type === "income") {
+      entry(t.category).income += t.amount;
+      entry(t.category).balance += t.amount;
+    } else if (t.type === "expense") {
+      entry(t.category).expense += t.amount;
+      entry(t.category).balance -= t.amount;
+    } else if (t.type === "transfer" && t.toCategory) {
+      entry(t.category).transferOut += t.amount;
+      entry(t.category).balance -= t.amount;
+      entry(t.toCategory).transferIn += t.amount;
+      entry(t.toCategory).balance += t.amount;
+    }
+  });
+
+  return summary;
+};
+
+/**
+ * buildMultiPeriodSummary(transactions, periods, todayKey)
+ *
+ * Totals for several periods side by side (year and N-period views).
+ *
+ * Rules:
+ * - income/expenses: income and expense amounts; transfers only move money
+ *   between categories and are left out
+ * - roll-out/roll-over pairs (isRollOver) are left out: they only move a
+ *   balance from one period to the next, and would count it as both income
+ *   and spending
+ * - savingsRate = (income - expenses) / income over the transactions dated
+ *   up to today, null when there is no income yet
+ *
+ * @param {Array<Object>} transactions - All transactions (any dates)
+ * @param {Array<Object>} periods - { start, end } date keys, oldest first
+ * @param {string} todayKey - "YYYY-MM-DD", end of the to-date totals
+ * @returns {Object} {
+ *   rows: [{ period, income, expenses, balance, categories }], // one per period
+ *   categories: { [categoryName]: { income, expense, ... } }, // all periods
+ *   totals: { income, expenses, balance },               // all periods
+ *   toDate: { income, expenses, balance, savingsRate }   // up to todayKey
+ * }
+ */
+export const buildMultiPeriodSummary = (transactions, periods, todayKey) => {
+  const first = periods[0]?.start;
+  const last = periods[periods.length - 1]?.end;
+
+  const rows = periods.map((period) => ({
+    period,
+    income: 0,
+    expenses: 0,
+    balance: 0,
+    transactions: [],
+  }));
+  const totals = { income: 0, expenses: 0, balance: 0 };
+  const toDate = { income: 0, expenses: 0, balance: 0, savingsRate: null };
+  const counted = [];
+
+  transactions.forEach((t) => {
+    if (t.isRollOver || (t.type !== "income" && t.type !== "expense")) return;
+
+    const dateKey = toDateKey(t.date.toDate());
+    if (!first || dateKey < first || dateKey > last) return;
+    const row = rows.find(
+      ({ period }) => dateKey >= period.start && dateKey <= period.end
+    );
+    if (!row) return;
+    counted.push(t);
+    row.transactions.push(t);
+
+    const key = t.type === "income" ? "income" : "expenses";
+    const sign = t.type === "income" ? 1 : -1;
+    [row, totals, ...(dateKey <= todayKey ? [toDate] : [])].forEach((sum) => {
+      sum[key] += t.amount;
+      sum.balance += sign * t.amount;
+    });
+  });
+
+  if (toDate.income > 0) toDate.savingsRate = toDate.balance / toDate.income;
+
+  return {
+    rows: rows.map(({ transactions: rowTransactions, ...row }) => ({
+      ...row,
+      categories: buildCategorySummary(rowTransactions),
+    })),
+    categories: buildCategorySummary(counted),
+    totals,
+    toDate,
+  };
+};
+
+/**
+ * buildPeriodComparison(transactions, periods)
+ *
+ * Totals of a period next to those of the period before it and of the same
+ * period last year, counted like the figures they are shown under
+ * (OverviewSection's cards, ExpenseList's rows): every income and expense,
+ * roll-overs included, transfers left out of income and expenses.
+ *
+ * @param {Array<Object>} transactions - All transactions (any dates)
+ * @param {Object} periods - { current, previous, lastYear }, each { start, end }
+ * @returns {Object} { current, previous, lastYear }, each
+ *                   { period, income, expenses, balance, categories }
+ *                   (categories: buildCategorySummary of the period)
+ */
+export const buildPeriodComparison = (transactions, periods) => {
+  const totalsFor = (period) => {
+    const inPeriod = transactions.filter((t) => {
+      const dateKey = toDateKey(t.date.toDate());
+      return dateKey >= period.start && dateKey <= period.end;
+    });
+    const totals = { period, income: 0, expenses: 0, balance: 0 };
+    inPeriod.forEach((t) => {
+      if (t.type === "income") {
+        totals.income += t.amount;
+        totals.balance += t.amount;
+      } else if (t.type === "expense") {
+        totals.expenses += t.amount;
+        totals.balance -= t.amount;
+      }
+    });
+    return { ...totals, categories: buildCategorySummary(inPeriod) };
+  };
+
+  return {
+    current: totalsFor(periods.current),
+    previous: totalsFor(periods.previous),
+    lastYear: totalsFor(periods.lastYear),
+  };
+};
+
+/**
+ * getChange(current, previous)
+ *
+ * @param {number} current - Amount in the period shown
+ * @param {number} previous - Amount in the period compared with
+ * @returns {Object} { change, ratio }
+ *   - change: current - previous
+ *   - ratio: change / |previous| (0.12 = up 12%), null when previous is 0
+ *
+ * @example
+ * getChange(1120, 1000) // → { change: 120, ratio: 0.12 }
+ * getChange(500, 0)     // → { change: 500, ratio: null }
+ */
+export const getChange = (current, previous) => ({
+  change: current - previous,
+  ratio: previous === 0 ? null : (current - previous) / Math.abs(previous),
+});
+
+/**
+ * buildDailySpend(transactions, period)
+ *
+ * Cumulative spending for each day of a period (daily spend line chart).
+ * Roll-over pairs are left out, like in buildMultiPeriodSummary.
+ *
+ * @param {Array<Object>} transactions - Transactions of the period
+ * @param {Object} period - { start, end } date keys
+ * @returns {Array<Object>} [{ dateKey, spent, cumulative }] one per day,
+ *                          from period.start to period.end
+ *
+ * @example
+ * buildDailySpend(
+ *   [{ type: "expense", amount: 500, date: <Mar 2> }],
+ *   { start: "2025-03-01", end: "2025-03-03" }
+ * )
+ * // → [{ dateKey: "2025-03-01", spent: 0, cumulative: 0 },
+ * //     { dateKey: "2025-03-02", spent: 500, cumulative: 500 },
+ * //     { dateKey: "2025-03-03", spent: 0, cumulative: 500 }]
+ */
+export const buildDailySpend = (transactions, period) => {
+  const spentByDay = {};
+  transactions.forEach((t) => {
+    if (t.isRollOver || t.type !== "expense") return;
+    const dateKey = toDateKey(t.date.toDate());
+    spentByDay[dateKey] = (spentByDay[dateKey] || 0) + t.amount;
+  });
+
+  const days = [];
+  let cumulative = 0;
+  const day = parseDateKey(period.start);
+  while (toDateKey(day) <= period.end) {
+    const dateKey = toDateKey(day);
+    const spent = spentByDay[dateKey] || 0;
+    cumulative += spent;
+    days.push({ dateKey, spent, cumulative });
+    day.setDate(day.getDate() + 1);
+  }
+  return days;
+};